@@ -1,31 +1,43 @@
-// firebaseAdmin.js — SOLO LEE EL SECRET FILE
+// firebaseAdmin.js — LEE EL SECRET FILE (o usa el emulador local de Firestore)
 import admin from 'firebase-admin';
 import fs from 'fs';
 
 const SECRET_PATH = process.env.FIREBASE_SERVICE_ACCOUNT_JSON_FILE
   || '/etc/secrets/FIREBASE_SERVICE_ACCOUNT_JSON';
 
-if (!fs.existsSync(SECRET_PATH)) {
-  throw new Error(`No existe el Secret File en ${SECRET_PATH}`);
-}
-
-const raw = fs.readFileSync(SECRET_PATH, 'utf8');
-const sa = JSON.parse(raw);
-
-// Normaliza saltos de línea en la private_key
-if (sa.private_key && sa.private_key.includes('\\n')) {
-  sa.private_key = sa.private_key.replace(/\\n/g, '\n');
-}
-
-if (!sa.project_id) {
-  throw new Error('El Service Account no contiene project_id');
-}
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert(sa),
-    projectId: sa.project_id, // fuerza projectId para evitar "Unable to detect a Project Id"
-  });
+// Con FIRESTORE_EMULATOR_HOST (p. ej. "localhost:8080") no se necesitan credenciales
+const USE_EMULATOR = !!process.env.FIRESTORE_EMULATOR_HOST && !fs.existsSync(SECRET_PATH);
+
+if (USE_EMULATOR) {
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      projectId: process.env.GCLOUD_PROJECT || 'demo-udel',
+    });
+  }
+  console.log(`🧪 Firestore emulador en ${process.env.FIRESTORE_EMULATOR_HOST}`);
+} else {
+  if (!fs.existsSync(SECRET_PATH)) {
+    throw new Error(`No existe el Secret File en ${SECRET_PATH}`);
+  }
+
+  const raw = fs.readFileSync(SECRET_PATH, 'utf8');
+  const sa = JSON.parse(raw);
+
+  // Normaliza saltos de línea en la private_key
+  if (sa.private_key && sa.private_key.includes('\\n')) {
+    sa.private_key = sa.private_key.replace(/\\n/g, '\n');
+  }
+
+  if (!sa.project_id) {
+    throw new Error('El Service Account no contiene project_id');
+  }
+
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(sa),
+      projectId: sa.project_id, // fuerza projectId para evitar "Unable to detect a Project Id"
+    });
+  }
 }
 
 const db = admin.firestore();
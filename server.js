@@ -5,6 +5,18 @@ import cors from 'cors';
 import multer from 'multer';
 import axios from 'axios';
 import OpenAI from 'openai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { spawn } from 'child_process';
+import { pipeline } from 'stream/promises';
+import { EventEmitter } from 'events';
+import PDFDocument from 'pdfkit';
 import { admin, db, FieldValue } from './firebaseAdmin.js';
 
 // ====== App básica ======
@@ -40,51 +52,246 @@ console.log(`📝 Modelo de texto: ${TEXT_MODEL}`);
 console.log(`🔄 Fallbacks de video: ${VALID_VIDEO_MODELS.slice(1).join(', ')}`);
 console.log(`🔄 Fallbacks de texto: ${VALID_TEXT_MODELS.slice(1).join(', ')}`);
 
-// Función auxiliar para intentar con modelos alternativos
-async function retryWithModels(operation, initialModel, validModels) {
-  const models = validModels.filter(m => m !== initialModel);
+const VIMEO_ACCESS_TOKEN = process.env.VIMEO_ACCESS_TOKEN;
+const SCORE_THRESHOLD = 10; // Umbral para permitir subida a Vimeo (10% para pruebas)
+
+// Proveedores de IA: 'gemini' | 'openai' | 'fake' (AI_PROVIDER define ambos de una vez)
+const AI_PROVIDER = process.env.AI_PROVIDER;
+const AI_VIDEO_PROVIDER = process.env.AI_VIDEO_PROVIDER || AI_PROVIDER || 'gemini';
+const AI_TEXT_PROVIDER = process.env.AI_TEXT_PROVIDER || AI_PROVIDER || (OPENAI_API_KEY ? 'openai' : 'gemini');
+const OPENAI_TEXT_MODEL = process.env.OPENAI_TEXT_MODEL || 'gpt-4o';
+const VALID_OPENAI_TEXT_MODELS = [OPENAI_TEXT_MODEL, 'gpt-4o', 'gpt-4o-mini']
+  .filter((v, i, a) => a.indexOf(v) === i); // Eliminar duplicados
+
+// ====== Reintentos de IA (clasificación, backoff y circuit breaker) ======
+// Cada error se clasifica antes de decidir qué hacer:
+//   fatal → se lanza de inmediato (400/401/403: nuestra petición o la API key; otro modelo no lo arregla)
+//   retry → mismo modelo tras un backoff exponencial con jitter, o lo que pida Retry-After (429/5xx/red)
+//   next  → siguiente modelo (404 del modelo, timeouts, respuestas inválidas)
+// Un modelo que falla AI_BREAKER_THRESHOLD veces seguidas se salta durante el cooldown
+// (circuit breaker); al vencer se le da un intento de prueba (half_open).
+const AI_RETRY_MAX = Math.max(0, Number(process.env.AI_RETRY_MAX ?? 2));
+const AI_RETRY_BASE_MS = Number(process.env.AI_RETRY_BASE_MS) || 2000;
+const AI_RETRY_MAX_DELAY_MS = 60_000;
+const AI_BREAKER_THRESHOLD = Number(process.env.AI_BREAKER_THRESHOLD) || 3;
+const AI_BREAKER_COOLDOWN_MS = (Number(process.env.AI_BREAKER_COOLDOWN_SEC) || 300) * 1000;
+
+const FATAL_AI_STATUSES = [400, 401, 403];
+const RETRYABLE_AI_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT'];
+
+// Retry-After (segundos o fecha HTTP) o el RetryInfo de Gemini ("retryDelay": "30s"), en ms
+function retryAfterMs(e) {
+  const headers = e?.response?.headers || e?.headers || {};
+  const raw = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (raw) {
+    const seconds = Number(raw);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(raw);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const retryInfo = (e?.response?.data?.error?.details || []).find(d => d?.retryDelay);
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Funciona con errores de axios (Gemini, Vimeo) y del SDK de OpenAI
+function classifyAiError(e) {
+  const status = e?.response?.status ?? (Number.isInteger(e?.status) ? e.status : null);
+  if (status && FATAL_AI_STATUSES.includes(status)) return { kind: 'fatal', status };
+  if (status && RETRYABLE_AI_STATUSES.includes(status)) return { kind: 'retry', status, retryAfterMs: retryAfterMs(e) };
+  if (!status && RETRYABLE_NETWORK_CODES.includes(e?.code)) return { kind: 'retry', status: null, retryAfterMs: null };
+  return { kind: 'next', status };
+}
+
+function backoffDelayMs(retry, suggestedMs) {
+  if (suggestedMs !== null && suggestedMs !== undefined) return Math.min(suggestedMs, AI_RETRY_MAX_DELAY_MS);
+  const exp = Math.min(AI_RETRY_BASE_MS * 2 ** retry, AI_RETRY_MAX_DELAY_MS);
+  return Math.round(exp / 2 + Math.random() * exp / 2); // jitter: entre 50% y 100%
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Estado del circuit breaker por modelo
+const modelBreakers = new Map();
+
+function breakerFor(model) {
+  if (!modelBreakers.has(model)) {
+    modelBreakers.set(model, { consecutiveFailures: 0, openUntil: 0, lastError: null, lastFailureAt: null });
+  }
+  return modelBreakers.get(model);
+}
+
+function breakerState(breaker) {
+  if (breaker.openUntil > Date.now()) return 'open';
+  return breaker.openUntil ? 'half_open' : 'closed';
+}
+
+function recordModelSuccess(model) {
+  const breaker = breakerFor(model);
+  if (breaker.openUntil) console.log(`✅ Circuit breaker cerrado para ${model}`);
+  Object.assign(breaker, { consecutiveFailures: 0, openUntil: 0 });
+}
+
+function recordModelFailure(model, e) {
+  const breaker = breakerFor(model);
+  breaker.consecutiveFailures++;
+  breaker.lastError = String(e?.message || e).slice(0, 300);
+  breaker.lastFailureAt = new Date().toISOString();
+  // En half_open basta un fallo para volver a abrir
+  if (breaker.openUntil || breaker.consecutiveFailures >= AI_BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + AI_BREAKER_COOLDOWN_MS;
+    console.warn(`⛔ Circuit breaker abierto para ${model} por ${AI_BREAKER_COOLDOWN_MS / 1000}s (${breaker.consecutiveFailures} fallos seguidos)`);
+  }
+}
+
+function describeModelBreakers() {
+  const out = {};
+  for (const [model, breaker] of modelBreakers) {
+    out[model] = {
+      state: breakerState(breaker),
+      consecutiveFailures: breaker.consecutiveFailures,
+      openUntil: breaker.openUntil > Date.now() ? new Date(breaker.openUntil).toISOString() : null,
+      lastError: breaker.lastError,
+      lastFailureAt: breaker.lastFailureAt
+    };
+  }
+  return out;
+}
+
+// Función auxiliar para intentar con modelos alternativos.
+// operation(model, attempt, retry): attempt 0 es el modelo inicial, 1..n los fallbacks;
+// retry cuenta los reintentos del mismo modelo.
+// onAttempt(model, attempt, lastError): aviso opcional antes de cada modelo (progreso en vivo)
+// onRetry({ model, retry, delayMs, error }): aviso opcional antes de cada reintento
+async function retryWithModels(operation, initialModel, validModels, { onAttempt = () => {}, onRetry = () => {} } = {}) {
+  const ordered = [initialModel, ...validModels.filter(m => m !== initialModel)];
+  // Los modelos con el breaker abierto se saltan; si están todos abiertos se intentan igual
+  const available = ordered.filter(m => breakerState(breakerFor(m)) !== 'open');
+  const models = available.length ? available : ordered;
+  if (available.length < ordered.length) {
+    console.warn(`⛔ Modelos omitidos por circuit breaker: ${ordered.filter(m => !available.includes(m)).join(', ')}${available.length ? '' : ' (todos abiertos, se intentan igual)'}`);
+  }
   let lastError = null;
 
-  // Primer intento con el modelo inicial
+  for (const [i, model] of models.entries()) {
+    console.log(i === 0 ? `🔄 Intentando con modelo: ${model}` : `🔄 Reintentando con modelo alternativo: ${model}`);
+    onAttempt(model, i, lastError);
+
+    for (let retry = 0; ; retry++) {
+      try {
+        const out = await operation(model, i, retry);
+        recordModelSuccess(model);
+        return out;
+      } catch (e) {
+        lastError = e;
+        const { kind, status, retryAfterMs: suggestedMs } = classifyAiError(e);
+        console.warn(`⚠️ Error con modelo ${model}${status ? ` (HTTP ${status})` : ''}:`, e.message);
+
+        if (kind === 'fatal') throw e;
+        if (kind === 'retry' && retry < AI_RETRY_MAX) {
+          const delayMs = backoffDelayMs(retry, suggestedMs);
+          console.warn(`⏳ Reintento ${retry + 1}/${AI_RETRY_MAX} de ${model} en ${Math.round(delayMs / 100) / 10}s`);
+          onRetry({ model, retry: retry + 1, delayMs, error: e });
+          await sleep(delayMs);
+          continue;
+        }
+        recordModelFailure(model, e);
+        break;
+      }
+    }
+  }
+
+  throw lastError || new Error('Todos los modelos fallaron');
+}
+
+// ====== Archivos temporales ======
+// Los videos se escriben a disco (nunca en memoria) y se borran en cuanto
+// termina el trabajo que los usa; nada se conserva entre reinicios.
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'udel-uploads');
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // múltiplo de 256 KiB (requisito de Gemini)
+const MAX_VIDEO_BYTES = 500 * 1024 * 1024;
+
+// Todos los temporales se nombran `${Date.now()}-${uuid}…`; al limpiar solo se tocan esos
+const TEMP_FILE_RE = /^\d{13}-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/;
+
+// Al arrancar no hay trabajos vivos: los temporales previos son basura de un reinicio.
+// La carpeta es configurable, así que lo que no creó este servidor se deja donde está
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+for (const entry of fs.readdirSync(UPLOAD_TMP_DIR, { withFileTypes: true })) {
+  if (entry.isFile() && TEMP_FILE_RE.test(entry.name)) fs.rmSync(path.join(UPLOAD_TMP_DIR, entry.name), { force: true });
+}
+
+async function removeTempFile(filePath) {
+  if (!filePath) return;
   try {
-    console.log(`🔄 Intentando con modelo: ${initialModel}`);
-    return await operation(initialModel);
+    await fs.promises.rm(filePath, { force: true });
   } catch (e) {
-    console.warn(`⚠️ Error con modelo ${initialModel}:`, e.message);
-    lastError = e;
+    console.warn('No se pudo borrar el archivo temporal:', filePath, e?.message);
   }
+}
 
-  // Intentar con modelos alternativos
-  for (const model of models) {
-    try {
-      console.log(`🔄 Reintentando con modelo alternativo: ${model}`);
-      return await operation(model);
-    } catch (e) {
-      console.warn(`⚠️ Error con modelo ${model}:`, e.message);
-      lastError = e;
+// Lee un archivo en bloques de tamaño fijo sin cargarlo completo
+async function* readFileChunks(filePath, chunkSize = UPLOAD_CHUNK_SIZE) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    let offset = 0;
+    for (;;) {
+      const buffer = Buffer.alloc(chunkSize);
+      const { bytesRead } = await handle.read(buffer, 0, chunkSize, offset);
+      if (bytesRead === 0) break;
+      yield { offset, chunk: bytesRead < chunkSize ? buffer.subarray(0, bytesRead) : buffer };
+      offset += bytesRead;
     }
+  } finally {
+    await handle.close();
   }
-
-  throw lastError || new Error('Todos los modelos fallaron');
 }
-const VIMEO_ACCESS_TOKEN = process.env.VIMEO_ACCESS_TOKEN;
-const SCORE_THRESHOLD = 10; // Umbral para permitir subida a Vimeo (10% para pruebas)
 
-// Inicializar OpenAI si está configurado
-let openai = null;
-if (OPENAI_API_KEY) {
-  openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-  console.log('✅ OpenAI configurado para generación de cartas descriptivas');
-} else {
-  console.log('⚠️ OpenAI no configurado - solo se usará Gemini');
+// Lee `length` bytes desde `offset` (para reanudar una subida donde la dejó el servidor)
+async function readFileRange(filePath, offset, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, offset);
+    return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+  } finally {
+    await handle.close();
+  }
 }
 
-if (!GEMINI_API_KEY) throw new Error('Falta GEMINI_API_KEY');
+// ====== Multer (disco temporal) ======
+// Como multer.diskStorage, pero calcula el SHA-256 mientras escribe (file.sha256)
+const hashingDiskStorage = {
+  _handleFile(req, file, cb) {
+    const filename = `${Date.now()}-${crypto.randomUUID()}${path.extname(file.originalname || '')}`;
+    const filePath = path.join(UPLOAD_TMP_DIR, filename);
+    const hash = crypto.createHash('sha256');
+    const out = fs.createWriteStream(filePath);
+    let size = 0;
+
+    file.stream.on('data', (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    });
+    out.on('error', cb);
+    out.on('finish', () => cb(null, {
+      destination: UPLOAD_TMP_DIR,
+      filename,
+      path: filePath,
+      size,
+      sha256: hash.digest('hex')
+    }));
+    file.stream.pipe(out);
+  },
+  _removeFile(req, file, cb) {
+    removeTempFile(file.path).then(() => cb(null), cb);
+  }
+};
 
-// ====== Multer (memoria) ======
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 500 * 1024 * 1024 },
+  storage: hashingDiskStorage,
+  limits: { fileSize: MAX_VIDEO_BYTES },
   fileFilter: (req, file, cb) => {
     if (!file.mimetype?.startsWith('video/')) return cb(new Error('Solo se aceptan archivos de video'), false);
     cb(null, true);
@@ -92,6 +299,8 @@ const upload = multer({
 });
 
 // ====== Helpers Gemini Files ======
+// Archivos remotos en uso por un trabajo de esta instancia (el mantenimiento no los toca)
+const activeGeminiFiles = new Set();
 
 // Extrae "files/xxxxx" desde la respuesta de files:upload
 function extractGeminiFileRef(uploaded) {
@@ -105,22 +314,25 @@ function extractGeminiFileRef(uploaded) {
   return null;
 }
 
-// Espera a que el archivo quede ACTIVE
-async function waitGeminiFileReady(fileRef, { timeoutMs = 45000, intervalMs = 1200 } = {}) {
+// Espera a que el archivo quede ACTIVE (onPoll recibe cada estado consultado)
+async function waitGeminiFileReady(fileRef, { timeoutMs = 45000, intervalMs = 1200, onPoll = () => {} } = {}) {
   const id = String(fileRef).replace(/^.*files\//, '');
   const url = `https://generativelanguage.googleapis.com/v1beta/files/${id}?key=${GEMINI_API_KEY}`;
   const start = Date.now();
   for (;;) {
     const r = await axios.get(url, { timeout: 10000 });
     const state = r?.data?.file?.state || r?.data?.state;
+    onPoll({ state: state || 'UNKNOWN', elapsedMs: Date.now() - start });
     if (state === 'ACTIVE') return r.data.file || r.data;
     if (Date.now() - start > timeoutMs) throw new Error(`El archivo en Gemini no quedó listo (estado: ${state || 'desconocido'})`);
     await new Promise(res => setTimeout(res, intervalMs));
   }
 }
 
-// Sube buffer a Gemini Files (resumable)
-async function uploadToGemini(buffer, mimeType, fileName) {
+// Sube un archivo en disco a Gemini Files (resumable, por bloques); onProgress recibe los bytes enviados
+async function uploadToGemini(filePath, mimeType, fileName, { onProgress = () => {} } = {}) {
+  const { size } = await fs.promises.stat(filePath);
+
   const initRes = await axios.post(
     `https://generativelanguage.googleapis.com/upload/v1beta/files?key=${GEMINI_API_KEY}`,
     { file: { display_name: fileName || 'video.mp4', mime_type: mimeType } },
@@ -129,7 +341,7 @@ async function uploadToGemini(buffer, mimeType, fileName) {
         'Content-Type': 'application/json; charset=UTF-8',
         'X-Goog-Upload-Protocol': 'resumable',
         'X-Goog-Upload-Command': 'start',
-        'X-Goog-Upload-Header-Content-Length': String(buffer.length),
+        'X-Goog-Upload-Header-Content-Length': String(size),
         'X-Goog-Upload-Header-Content-Type': mimeType,
         'X-Goog-Upload-File-Name': encodeURIComponent(fileName || 'video.mp4'),
       },
@@ -140,16 +352,23 @@ async function uploadToGemini(buffer, mimeType, fileName) {
   const uploadUrl = initRes.headers['x-goog-upload-url'];
   if (!uploadUrl) throw new Error('No se obtuvo upload URL de Gemini');
 
-  const finalizeRes = await axios.post(uploadUrl, buffer, {
-    headers: {
-      'Content-Type': mimeType,
-      'X-Goog-Upload-Command': 'upload, finalize',
-      'X-Goog-Upload-Offset': '0',
-    },
-    maxBodyLength: Infinity,
-    timeout: 10 * 60_000,
-  });
+  let finalizeRes = null;
+  for await (const { offset, chunk } of readFileChunks(filePath)) {
+    const isLast = offset + chunk.length >= size;
+    const chunkRes = await axios.post(uploadUrl, chunk, {
+      headers: {
+        'Content-Type': mimeType,
+        'X-Goog-Upload-Command': isLast ? 'upload, finalize' : 'upload',
+        'X-Goog-Upload-Offset': String(offset),
+      },
+      maxBodyLength: Infinity,
+      timeout: 5 * 60_000,
+    });
+    if (isLast) finalizeRes = chunkRes;
+    onProgress({ bytesSent: offset + chunk.length, totalBytes: size });
+  }
 
+  if (!finalizeRes) throw new Error('El archivo a subir a Gemini está vacío');
   return finalizeRes.data; // { file: { name, uri, ... } }
 }
 
@@ -167,73 +386,654 @@ async function deleteGeminiFile(fileNameOrUri) {
   }
 }
 
-// ====== Gemini: generateContent (v1beta, snake_case para archivos) ======
-async function geminiAnalyze({ fileUri, mimeType }) {
-  console.log(`📹 Iniciando análisis de video con URI: ${fileUri}`);
-  return retryWithModels(async (MODEL) => {
-  const body = {
-    contents: [
-      {
-        role: 'user',
-        parts: [
-          { 
-            file_data: { 
-              file_uri: fileUri, 
-              mime_type: mimeType 
-            } 
-          },
-          {
-        text:
-`IMPORTANTE: Responde SIEMPRE en ESPAÑOL. Todos los textos, notas, sugerencias y descripciones deben estar en español.
+// ====== Proveedores de IA ======
+// Interfaz común para "analizar video", "generar texto" y "evaluar carta".
+// Cada proveedor expone:
+//   name, models: { video: [], text: [] }, supportsVideo, isConfigured()
+//   uploadVideo(file, { onStage, onProgress }) → handle   |  deleteVideo(handle)
+//   analyzeVideo(handle, { model, prompt, repairNote, rubric, segment, measuredMedia }) → { text, usage }
+//   transcribeVideo(handle, { model, prompt, segment }) → { text, usage } (JSON de transcripción)
+//   generateText({ model, system, prompt, temperature, maxTokens, json }) → { text, usage }
+//   evaluateCarta({ model, prompt, carta }) → { text, usage }
+// La selección de modelos/fallbacks (retryWithModels), la validación y el score
+// quedan fuera del proveedor para que todos se comporten igual.
+
+function normalizeUsage(input, output, total) {
+  const inputTokens = Number(input) || 0;
+  const outputTokens = Number(output) || 0;
+  return { inputTokens, outputTokens, totalTokens: Number(total) || inputTokens + outputTokens };
+}
 
-Evalúa el video adjunto como clase en video optimizada para atención y aprendizaje y calidad técnica profesional. Usa audio + transcripción + metadatos (resolución, fps, bitrate, sample rate, canales) si están disponibles. No inventes datos: si algo no puede detectarse, márcalo como "unknown". Responde SOLO JSON con el esquema indicado al final.
+function createGeminiProvider() {
+  async function generateContent(model, body, timeout) {
+    // IMPORTANTE: Usar v1beta para soporte de archivos con prefijo models/
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GEMINI_API_KEY}`;
+    console.log(`🔗 URL completa: ${url.replace(GEMINI_API_KEY, 'API_KEY_HIDDEN')}`);
+    const res = await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout
+    });
+    const meta = res?.data?.usageMetadata || {};
+    return {
+      text: res?.data?.candidates?.[0]?.content?.parts?.[0]?.text || '',
+      usage: normalizeUsage(meta.promptTokenCount, meta.candidatesTokenCount, meta.totalTokenCount)
+    };
+  }
 
-REGLAS (mejores prácticas pedagógicas + estándares técnicos, con IDs y pesos):
+  async function generateText({ model, system, prompt, temperature = 0.3, maxTokens, json = false }) {
+    const generationConfig = { temperature };
+    if (maxTokens) generationConfig.maxOutputTokens = maxTokens;
+    if (json) generationConfig.response_mime_type = 'application/json';
+
+    return generateContent(model, {
+      ...(system && { system_instruction: { parts: [{ text: system }] } }),
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig
+    }, 120_000);
+  }
+
+  return {
+    name: 'gemini',
+    models: { video: VALID_VIDEO_MODELS, text: VALID_TEXT_MODELS },
+    supportsVideo: true,
+    isConfigured: () => !!GEMINI_API_KEY,
+
+    async uploadVideo(file, { onStage = async () => {}, onProgress = () => {} } = {}) {
+      // 1) Subir a Gemini Files
+      await onStage('uploading');
+      const uploaded = await uploadToGemini(file.path, file.mimetype, file.originalname, {
+        onProgress: (p) => onProgress('upload', p)
+      });
+      console.log('[Gemini] uploaded file meta:', uploaded);
+
+      // 2) Esperar a que el archivo quede ACTIVE
+      const fileRef = extractGeminiFileRef(uploaded); // "files/ID"
+      if (!fileRef) throw new Error('No se obtuvo referencia del archivo (name/uri) de Gemini');
+      activeGeminiFiles.add(fileRef);
+
+      const handle = {
+        fileRef,
+        // 3) Usar la URI completa que retorna Gemini (v1beta format)
+        fileUri: uploaded?.file?.uri || `https://generativelanguage.googleapis.com/v1beta/${fileRef}`,
+        mimeType: file.mimetype
+      };
+
+      try {
+        await onStage('waiting_active');
+        await waitGeminiFileReady(fileRef, {
+          timeoutMs: 45000,
+          intervalMs: 1200,
+          onPoll: (p) => onProgress('fileState', p)
+        });
+      } catch (e) {
+        activeGeminiFiles.delete(fileRef);
+        deleteGeminiFile(fileRef).catch(() => {});
+        throw e;
+      }
+      return handle;
+    },
+
+    async deleteVideo(handle) {
+      if (!handle?.fileRef) return;
+      // Si el borrado falla, el archivo queda huérfano y lo limpia el mantenimiento
+      activeGeminiFiles.delete(handle.fileRef);
+      await deleteGeminiFile(handle.fileRef);
+    },
+
+    async analyzeVideo(handle, { model, prompt, repairNote }) {
+      const parts = [
+        { file_data: { file_uri: handle.fileUri, mime_type: handle.mimeType } },
+        { text: prompt }
+      ];
+      if (repairNote) parts.push({ text: repairNote });
+
+      return generateContent(model, {
+        contents: [{ role: 'user', parts }],
+        generationConfig: {
+          temperature: 0.2,
+          response_mime_type: 'application/json'
+        }
+      }, 8 * 60_000);
+    },
+
+    async transcribeVideo(handle, { model, prompt }) {
+      return generateContent(model, {
+        contents: [{
+          role: 'user',
+          parts: [
+            { file_data: { file_uri: handle.fileUri, mime_type: handle.mimeType } },
+            { text: prompt }
+          ]
+        }],
+        generationConfig: {
+          temperature: 0,
+          response_mime_type: 'application/json'
+        }
+      }, 8 * 60_000);
+    },
+
+    generateText,
+
+    evaluateCarta({ model, prompt }) {
+      return generateText({ model, system: CARTA_EVALUATOR_SYSTEM, prompt, temperature: 0.1, json: true });
+    }
+  };
+}
+
+function createOpenAIProvider() {
+  const client = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+
+  async function generateText({ model, system, prompt, temperature = 0.3, maxTokens, json = false }) {
+    if (!client) throw new Error('OpenAI no está configurado');
+    const completion = await client.chat.completions.create({
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt }
+      ],
+      temperature,
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(json && { response_format: { type: 'json_object' } })
+    });
+    const usage = completion.usage || {};
+    return {
+      text: completion.choices[0]?.message?.content || '',
+      usage: normalizeUsage(usage.prompt_tokens, usage.completion_tokens, usage.total_tokens)
+    };
+  }
+
+  const noVideo = async () => {
+    throw new Error('El proveedor OpenAI no soporta análisis de video');
+  };
+
+  return {
+    name: 'openai',
+    models: { video: [], text: VALID_OPENAI_TEXT_MODELS },
+    supportsVideo: false,
+    isConfigured: () => !!client,
+    uploadVideo: noVideo,
+    deleteVideo: async () => {},
+    analyzeVideo: noVideo,
+    transcribeVideo: noVideo,
+    generateText,
+    evaluateCarta({ model, prompt }) {
+      return generateText({ model, system: CARTA_EVALUATOR_SYSTEM, prompt, temperature: 0.1, json: true });
+    }
+  };
+}
+
+// Proveedor local y determinista: mismas entradas → mismas salidas, sin red ni API keys.
+// Sirve para desarrollo y para probar todas las rutas en una laptop.
+function createFakeProvider() {
+  const seedBytes = (...parts) => crypto.createHash('sha256').update(parts.join('|')).digest();
+  const fakeUsage = (text) => normalizeUsage(500, Math.ceil(text.length / 4));
+
+  return {
+    name: 'fake',
+    models: { video: ['fake-video-1'], text: ['fake-text-1'] },
+    supportsVideo: true,
+    isConfigured: () => true,
+
+    async uploadVideo(file, { onStage = async () => {}, onProgress = () => {} } = {}) {
+      await onStage('uploading');
+      const { size } = await fs.promises.stat(file.path);
+      onProgress('upload', { bytesSent: size, totalBytes: size });
+      await onStage('waiting_active');
+      onProgress('fileState', { state: 'ACTIVE', elapsedMs: 0 });
+      return { fileName: file.originalname || path.basename(file.path), size, mimeType: file.mimetype };
+    },
+
+    async deleteVideo() {},
+
+    async analyzeVideo(handle, { rubric = DEFAULT_RUBRIC, segment = null, measuredMedia = null }) {
+      const seed = seedBytes(handle.fileName, handle.size, rubric.id, rubric.version, segment?.index ?? 'full');
+      const duration = segment ? segment.end - segment.start : (measuredMedia?.container?.duration_sec || 600);
+      const outOfScope = (r) => segment && ((r.segmentScope === 'first' && segment.index !== 0)
+        || (r.segmentScope === 'last' && segment.index !== segment.count - 1));
+      const at = (fraction) => Math.round(duration * fraction);
+
+      const findings = (rubric.rules || []).map((r, i) => {
+        const subScore = outOfScope(r) ? null : 40 + (seed[i % seed.length] % 61);
+        return {
+          ruleId: r.id,
+          ok: subScore !== null && subScore >= 70,
+          subScore,
+          note: `Evaluación simulada de ${r.title || r.id}.`,
+          evidence: { timestamps: [{ start: at(0.1 + (i % 8) / 10), end: at(0.1 + (i % 8) / 10) + 15, description: 'Momento simulado' }] },
+          suggestions: subScore !== null && subScore < 70 ? `Reforzar ${r.title || r.id}.` : ''
+        };
+      });
+
+      const result = {
+        score: 0,
+        summary: `Análisis simulado (proveedor fake) de "${handle.fileName}". Los valores son deterministas y no reflejan el contenido real del video.`,
+        findings,
+        suggestions: findings.filter(f => f.suggestions).slice(0, 5).map(f => f.suggestions),
+        unknownRules: findings.filter(f => f.subScore === null).map(f => f.ruleId),
+        assetsDetected: { links: [], repo: false, snippets: false, plantillas: false, rubrica: false },
+        structure: {
+          hook: { start: 0, end: 25, type: 'pregunta' },
+          objetivos: ['Aplicar el concepto central de la clase'],
+          mapa: { steps: ['Concepto', 'Práctica', 'Caso real'], count: 3 },
+          paresConceptoDemo: [{ concept: 'Concepto central', demoT: at(0.2) }],
+          microPracticas: [{ t: at(0.35), instruccion: 'Pausa el video y resuelve el ejercicio' }, { t: at(0.6), instruccion: 'Tu turno: mini-reto' }],
+          recuperacion: [{ t: at(0.8), pregunta: '¿Qué paso va primero?', clave: 'El concepto base' }],
+          casoReal: { t: at(0.65), descripcion: 'Caso aplicado simulado' },
+          recap: { bullets: ['Concepto', 'Práctica', 'Aplicación'] },
+          tarea: { instruccion: 'Resolver el ejercicio propuesto', entregable: 'Documento PDF', criterios: ['Correcto', 'Completo', 'Claro'] }
+        },
+        pacing: { longSegments: [], avgGapMicroPracticeSec: at(0.25) },
+        compliance: { bulletsMax: 3, bulletsBreaches: [] },
+        accessibility: { cc: false, transcript: false, contrast_ok: true, font_legible: true, audio_ok: true },
+        mediaAnalysis: {
+          video: { resolution_px: null, fps: null, bitrate_mbps: null, issues: [] },
+          audio: { lufs: null, peak_db: null, noise_floor_db: null, sample_rate_hz: null, channels: null, issues: [] }
+        },
+        metrics: { duracion_min: Math.round((duration / 60) * 10) / 10, micropracticas_count: 2, bloques_count: 3 }
+      };
+      result.score = computeRubricScore(result, rubric).score;
+
+      const text = JSON.stringify(result);
+      return { text, usage: fakeUsage(text) };
+    },
 
-R1_HOOK (peso 8): Inicio con historia/pregunta/demo del resultado <=30s. Detecta tipo y timestamps.
+    async transcribeVideo(handle, { segment = null }) {
+      const duration = segment ? segment.end - segment.start : 120;
+      const frases = [
+        'Hola, bienvenidos a esta clase.',
+        'Hoy vamos a revisar el concepto central paso a paso.',
+        'Pausa el video y resuelve el ejercicio.',
+        'Veamos ahora un caso real.',
+        'Recapitulando lo más importante.',
+        'Tu tarea es aplicar lo visto en un entregable breve.'
+      ];
+      const segments = [];
+      for (let t = 0, i = 0; t + 4 <= duration; t += 6, i++) {
+        segments.push({ start: t, end: t + 5, text: frases[i % frases.length] });
+      }
+      const text = JSON.stringify({ language: 'es', segments });
+      return { text, usage: fakeUsage(text) };
+    },
+
+    async generateText({ prompt }) {
+      const tema = (prompt.match(/sobre: "(.+)"/) || [])[1]?.slice(0, 200) || 'Tema de la clase';
+      const text = `INFORMACION GENERAL DE LA CLASE
+Titulo de la clase: ${tema}
+Duracion: 12 minutos
+Modalidad: Video educativo asincrono
 
-R2_OBJETIVOS (peso 8): 1–2 objetivos observables al inicio (<=90s) con verbo de logro. Extrae texto si aparece.
+OBJETIVOS DE APRENDIZAJE
+Al finalizar esta clase, el estudiante sera capaz de aplicar los conceptos principales de ${tema}.
+
+CONTENIDO PEDAGOGICO DE LA CLASE
+SECCION 1: HOOK - Inicio Impactante (0:00-0:25)
+SECCION 2: OBJETIVOS Y MAPA (0:25-1:15)
+SECCION 3: BLOQUE 1 - Concepto Fundamental (1:15-4:00)
+SECCION 4: MICRO-PRACTICA 1 (4:00-4:45)
+SECCION 5: BLOQUE 2 - Aplicacion Practica (4:45-7:30)
+SECCION 6: MICRO-PRACTICA 2 (7:30-8:15)
+SECCION 7: BLOQUE 3 - Caso Real y Transferencia (8:15-10:30)
+SECCION 8: RECUPERACION Y CHEQUEO (10:30-11:15)
+SECCION 9: CIERRE Y RECAP (11:15-12:15)
+SECCION 10: TAREA APLICABLE (12:15-13:00)
 
-R3_MAPA_3PASOS (peso 6): Roadmap de máx. 3 pasos visible o verbal. Cuenta pasos y ubicación.
+(Carta generada por el proveedor fake para pruebas locales.)`;
+      return { text, usage: fakeUsage(text) };
+    },
 
-R4_CARGA_COGNITIVA (peso 8): Diapositivas limpias (≤3 bullets simultáneos, ≤10 palabras/bullet). Reporta máximos y breaches.
+    async evaluateCarta({ carta = '' }) {
+      const seed = seedBytes(carta);
+      const findings = CARTA_CRITERIA.map((c, i) => {
+        const subScore = 60 + (seed[i] % 41);
+        return { ruleId: c.id, ok: subScore >= 80, subScore, note: `Evaluación simulada de ${c.id}.`, suggestions: subScore < 80 ? 'Detallar más esta sección.' : '' };
+      });
+      const total = CARTA_CRITERIA.reduce((acc, c) => acc + c.weight, 0);
+      const score = Math.round(findings.reduce((acc, f, i) => acc + f.subScore * CARTA_CRITERIA[i].weight, 0) / total);
+      const text = JSON.stringify({
+        score,
+        findings,
+        suggestions: findings.filter(f => f.suggestions).map(f => `${f.ruleId}: ${f.suggestions}`),
+        summary: 'Evaluación simulada (proveedor fake).'
+      });
+      return { text, usage: fakeUsage(text) };
+    }
+  };
+}
 
-R5_SEGMENTACION (peso 8): Clase en 2–4 bloques con señalización ("Parte 1/3", títulos, marcadores). Lista bloques con timestamps.
+const aiProviders = {
+  gemini: createGeminiProvider(),
+  openai: createOpenAIProvider(),
+  fake: createFakeProvider()
+};
 
-R6_SENALIZACION (peso 6): Guías visuales/verbales (cursor, zoom, resaltado, "Paso 2 de 3") al introducir conceptos. Evidencia con momentos.
+function selectAiProvider(name, { video = false } = {}) {
+  const provider = aiProviders[name];
+  if (!provider) throw new Error(`Proveedor de IA desconocido: ${name} (usa ${Object.keys(aiProviders).join(', ')})`);
+  if (!provider.isConfigured()) {
+    throw new Error(name === 'gemini' ? 'Falta GEMINI_API_KEY' : name === 'openai' ? 'Falta OPENAI_API_KEY' : `Proveedor ${name} no configurado`);
+  }
+  if (video && !provider.supportsVideo) throw new Error(`El proveedor ${name} no soporta análisis de video`);
+  return provider;
+}
 
-R7_DEMO_INMEDIATA (peso 8): Tras cada concepto clave hay demo/ejemplo práctico inmediato. Vincula concepto→demo por timestamp.
+const videoProvider = selectAiProvider(AI_VIDEO_PROVIDER, { video: true });
+const textProvider = selectAiProvider(AI_TEXT_PROVIDER);
+console.log(`🤖 Proveedor de video: ${videoProvider.name} | Proveedor de texto: ${textProvider.name}`);
+
+// ====== Consumo de IA (tokens, latencia y costo estimado) ======
+// Cada llamada a un modelo queda en `aiUsage` con quién la originó y se suma al acumulado
+// diario `aiUsageDaily` (un documento por día + usuario/plantel/función/modelo/proveedor),
+// que es lo que lee el reporte. El costo es una estimación con precios de lista en USD
+// por millón de tokens (entrada / salida).
+const AI_PRICES_PER_MTOK = {
+  'gemini-2.0-flash-exp': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4-turbo-preview': { input: 10.00, output: 30.00 },
+  'fake-video-1': { input: 0, output: 0 },
+  'fake-text-1': { input: 0, output: 0 }
+};
 
-R8_PRACTICA_ACTIVA (peso 12): ≥2 micro-prácticas (tu turno/pausa/mini-reto) intercaladas cada 2–4 min. Lista instrucciones y tiempos.
+function estimateAiCostUsd(model, usage) {
+  const price = AI_PRICES_PER_MTOK[String(model).replace(/^models\//, '')];
+  if (!price || !usage) return null;
+  const cost = (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
 
-R9_RECUPERACION (peso 8): Chequeo rápido de recuerdo/comprensión (pregunta, mini-quiz) con retro breve. Detecta ítems y respuesta/clave si existe.
+const AI_USAGE_DIMENSIONS = ['userId', 'plantel', 'feature', 'model', 'provider'];
 
-R10_TRANSFERENCIA (peso 8): Caso/aplicación al mundo real (dataset, API, situación realista). Describe el caso y dónde ocurre.
+function aiUsageRollupRef(day, dims) {
+  const key = crypto.createHash('sha1').update(JSON.stringify(AI_USAGE_DIMENSIONS.map(d => dims[d] ?? null))).digest('hex').slice(0, 20);
+  return db.collection('aiUsageDaily').doc(`${day}_${key}`);
+}
 
-R11_CIERRE_RECAP (peso 6): Recap de 3 bullets (≤10 palabras c/u) + errores comunes. Extrae texto si aparece.
+// Lo que una llamada suma al acumulado diario
+function aiUsageRollupCounters(entry) {
+  return {
+    calls: 1,
+    failedCalls: entry.ok ? 0 : 1,
+    fallbackCalls: entry.attempt > 0 ? 1 : 0,
+    inputTokens: entry.inputTokens || 0,
+    outputTokens: entry.outputTokens || 0,
+    totalTokens: entry.totalTokens || 0,
+    estimatedCostUsd: entry.estimatedCostUsd || 0,
+    latencyMs: entry.latencyMs || 0
+  };
+}
 
-R12_TAREA_Y_CRITERIOS (peso 12): Tarea aplicable (≤20 min) con entregable y criterios de evaluación (rúbrica/checklist). Extrae ambos si existen.
+async function addToAiUsageRollup(entry) {
+  const counters = aiUsageRollupCounters(entry);
+  await aiUsageRollupRef(entry.day, entry).set({
+    day: entry.day,
+    ...Object.fromEntries(AI_USAGE_DIMENSIONS.map(d => [d, entry[d] ?? null])),
+    ...Object.fromEntries(Object.entries(counters).map(([k, v]) => [k, FieldValue.increment(v)])),
+    updatedAt: FieldValue.serverTimestamp()
+  }, { merge: true });
+}
 
-R13_RITMO_ACCESIBILIDAD (peso 8): Ritmo ágil (sin pantalla estática >20s; cortes/cambios cada 60–90s), accesibilidad (subtítulos/CC o transcripción). Marca problemas si se perciben.
+// Ejecuta una llamada al modelo y registra su consumo (también si falla).
+// usageContext: { feature, userId, plantel, analysisId, segmentIndex }
+async function trackAiCall(usageContext = {}, { provider, model, attempt = 0, operation }, call) {
+  const startedAt = Date.now();
+  let usage = null;
+  let error = null;
+  try {
+    const out = await call();
+    usage = out?.usage || null;
+    return out;
+  } catch (e) {
+    error = e;
+    throw e;
+  } finally {
+    const now = new Date();
+    const entry = {
+      provider,
+      model,
+      attempt,
+      operation,
+      feature: usageContext.feature || null,
+      userId: usageContext.userId || null,
+      plantel: usageContext.plantel || null,
+      analysisId: usageContext.analysisId || null,
+      segmentIndex: usageContext.segmentIndex ?? null,
+      ok: !error,
+      error: error ? String(error.message || error).slice(0, 500) : null,
+      inputTokens: usage?.inputTokens || 0,
+      outputTokens: usage?.outputTokens || 0,
+      totalTokens: usage?.totalTokens || 0,
+      latencyMs: Date.now() - startedAt,
+      estimatedCostUsd: estimateAiCostUsd(model, usage),
+      day: now.toISOString().slice(0, 10),
+      createdAt: now
+    };
+    Promise.all([db.collection('aiUsage').add(entry), addToAiUsageRollup(entry)])
+      .catch(e => console.warn('[aiUsage] No se pudo registrar el consumo:', e?.message));
+  }
+}
 
-— Estándares de calidad técnica profesional —
+// Contexto de consumo de una petición autenticada
+function usageContextFor(req, feature, extra = {}) {
+  return { feature, userId: req.user?.uid || null, plantel: req.user?.plantel || null, ...extra };
+}
 
-R14_MEDIA_VIDEO (peso 10): Imagen: resolución >=1080p, fps estable (>=24), exposición/contraste adecuados (sin clipping severo), balance de blancos consistente (piel natural), enfoque nítido en el rostro o contenido, iluminación uniforme (sin sombras duras sobre ojos), encuadre correcto (regla de tercios, headroom adecuado), fondo no distractor (ruido visual bajo), sin artefactos de compresión graves.
+// ====== Rúbrica (datos versionados en Firestore) ======
+// Las reglas viven en la colección `rubrics`; esta es la rúbrica de respaldo
+// cuando no hay ninguna activa (equivale a la versión original del prompt).
+// segmentScope indica en qué segmento se juzga una regla global en el
+// análisis segmentado ('first' | 'last'); sin él se evalúa en todos.
+// measured ('video' | 'audio') marca reglas cuyo subScore se calcula con
+// las métricas medidas con ffprobe/ffmpeg en lugar de la opinión del modelo.
+const RUBRIC_EVIDENCE_FIELDS = ['timestamps', 'count', 'text', 'pairs', 'meta'];
+const RUBRIC_SEGMENT_SCOPES = ['first', 'last'];
+const RUBRIC_MEASURED_KINDS = ['video', 'audio'];
+
+const DEFAULT_RUBRIC = {
+  id: 'default',
+  name: 'Clase en video UDEL (integrada)',
+  version: 1,
+  rules: [
+    { id: 'R1_HOOK', title: 'Hook inicial', weight: 8, segmentScope: 'first', evidenceFields: ['timestamps'],
+      criteria: 'Inicio con historia/pregunta/demo del resultado <=30s. Detecta tipo y timestamps.' },
+    { id: 'R2_OBJETIVOS', title: 'Objetivos', weight: 8, segmentScope: 'first', evidenceFields: ['timestamps', 'text'],
+      criteria: '1–2 objetivos observables al inicio (<=90s) con verbo de logro. Extrae texto si aparece.' },
+    { id: 'R3_MAPA_3PASOS', title: 'Mapa de 3 pasos', weight: 6, segmentScope: 'first', evidenceFields: ['timestamps', 'count', 'text'],
+      criteria: 'Roadmap de máx. 3 pasos visible o verbal. Cuenta pasos y ubicación.' },
+    { id: 'R4_CARGA_COGNITIVA', title: 'Carga cognitiva', weight: 8, evidenceFields: ['timestamps', 'count'],
+      criteria: 'Diapositivas limpias (≤3 bullets simultáneos, ≤10 palabras/bullet). Reporta máximos y breaches.' },
+    { id: 'R5_SEGMENTACION', title: 'Segmentación', weight: 8, evidenceFields: ['timestamps', 'count'],
+      criteria: 'Clase en 2–4 bloques con señalización ("Parte 1/3", títulos, marcadores). Lista bloques con timestamps.' },
+    { id: 'R6_SENALIZACION', title: 'Señalización', weight: 6, evidenceFields: ['timestamps'],
+      criteria: 'Guías visuales/verbales (cursor, zoom, resaltado, "Paso 2 de 3") al introducir conceptos. Evidencia con momentos.' },
+    { id: 'R7_DEMO_INMEDIATA', title: 'Demo inmediata', weight: 8, evidenceFields: ['timestamps', 'pairs'],
+      criteria: 'Tras cada concepto clave hay demo/ejemplo práctico inmediato. Vincula concepto→demo por timestamp.' },
+    { id: 'R8_PRACTICA_ACTIVA', title: 'Práctica activa', weight: 12, evidenceFields: ['timestamps', 'count', 'text'],
+      criteria: '≥2 micro-prácticas (tu turno/pausa/mini-reto) intercaladas cada 2–4 min. Lista instrucciones y tiempos.' },
+    { id: 'R9_RECUPERACION', title: 'Recuperación', weight: 8, evidenceFields: ['timestamps', 'text'],
+      criteria: 'Chequeo rápido de recuerdo/comprensión (pregunta, mini-quiz) con retro breve. Detecta ítems y respuesta/clave si existe.' },
+    { id: 'R10_TRANSFERENCIA', title: 'Transferencia', weight: 8, evidenceFields: ['timestamps', 'text'],
+      criteria: 'Caso/aplicación al mundo real (dataset, API, situación realista). Describe el caso y dónde ocurre.' },
+    { id: 'R11_CIERRE_RECAP', title: 'Cierre y recap', weight: 6, segmentScope: 'last', evidenceFields: ['timestamps', 'text'],
+      criteria: 'Recap de 3 bullets (≤10 palabras c/u) + errores comunes. Extrae texto si aparece.' },
+    { id: 'R12_TAREA_Y_CRITERIOS', title: 'Tarea y criterios', weight: 12, segmentScope: 'last', evidenceFields: ['timestamps', 'text'],
+      criteria: 'Tarea aplicable (≤20 min) con entregable y criterios de evaluación (rúbrica/checklist). Extrae ambos si existen.' },
+    { id: 'R13_RITMO_ACCESIBILIDAD', title: 'Ritmo y accesibilidad', weight: 8, evidenceFields: ['timestamps', 'meta'],
+      criteria: 'Ritmo ágil (sin pantalla estática >20s; cortes/cambios cada 60–90s), accesibilidad (subtítulos/CC o transcripción). Marca problemas si se perciben.' },
+    { id: 'R14_MEDIA_VIDEO', title: 'Calidad de video', weight: 10, measured: 'video', evidenceFields: ['timestamps', 'meta'],
+      criteria: `Imagen: resolución >=1080p, fps estable (>=24), exposición/contraste adecuados (sin clipping severo), balance de blancos consistente (piel natural), enfoque nítido en el rostro o contenido, iluminación uniforme (sin sombras duras sobre ojos), encuadre correcto (regla de tercios, headroom adecuado), fondo no distractor (ruido visual bajo), sin artefactos de compresión graves.
 • Si hay metadatos, extrae resolución/fps/bitrate.
 • Si no, estima por observación y marca lo desconocido como "unknown".
-• Reporta timestamps de problemas (desenfoque, flicker, sobreexposición, banding, moiré).
-
-R15_MEDIA_AUDIO (peso 12): Sonido: inteligible y limpio, sin clipping. Objetivo de loudness -16 a -12 LUFS (voz), picos ≤ -1 dBTP, ruido de fondo < -50 dBFS (estimado), sample rate >= 44.1 kHz, canales mono/estéreo correctos, distancia de mic adecuada (proximidad sin popping), sin eco/reverberación excesiva, sin viento o zumbidos.
+• Reporta timestamps de problemas (desenfoque, flicker, sobreexposición, banding, moiré).` },
+    { id: 'R15_MEDIA_AUDIO', title: 'Calidad de audio', weight: 12, measured: 'audio', evidenceFields: ['timestamps', 'meta'],
+      criteria: `Sonido: inteligible y limpio, sin clipping. Objetivo de loudness -16 a -12 LUFS (voz), picos ≤ -1 dBTP, ruido de fondo < -50 dBFS (estimado), sample rate >= 44.1 kHz, canales mono/estéreo correctos, distancia de mic adecuada (proximidad sin popping), sin eco/reverberación excesiva, sin viento o zumbidos.
 • Si hay metadatos, extrae sample rate, canales, bitrate.
 • Si no, estima con descriptores cualitativos ("ruido de ventilador", "eco sala").
-• Reporta timestamps de ruidos, pops, sibilancia, inconsistencia de volumen.
+• Reporta timestamps de ruidos, pops, sibilancia, inconsistencia de volumen.` },
+    { id: 'R16_MEDIA_PRESENTACION', title: 'Presentación', weight: 8, evidenceFields: ['timestamps'],
+      criteria: 'Consistencia y branding: tipografía legible (≥18 pt aprox.), contraste suficiente, paleta consistente, lower-thirds legibles, transiciones sobrias, coincidencia A/V (lab-sync correcto), estabilidad de cámara (sin temblores notorios), gráficos con altísimo contraste y accesibles (evitar combinaciones rojo/verde críticas). Reporta fallos con timestamps.' }
+  ],
+  bulletPenalty: { ruleId: 'R4_CARGA_COGNITIVA', maxBullets: 3, points: 5 }
+};
+
+// Cache corto de la rúbrica activa (igual que el cache del Google Sheet)
+let activeRubricCache = {
+  data: null,
+  timestamp: null,
+  ttl: 60 * 1000 // 1 minuto de TTL
+};
+
+async function getActiveRubric() {
+  const now = Date.now();
+  if (activeRubricCache.data && (now - activeRubricCache.timestamp) < activeRubricCache.ttl) {
+    return activeRubricCache.data;
+  }
+
+  const snap = await db.collection('rubrics').where('active', '==', true).limit(1).get();
+  const rubric = snap.empty ? DEFAULT_RUBRIC : { id: snap.docs[0].id, ...snap.docs[0].data() };
+
+  activeRubricCache.data = rubric;
+  activeRubricCache.timestamp = now;
+  return rubric;
+}
+
+// Obtiene una versión concreta (para reinterpretar reportes antiguos)
+async function getRubricVersion(rubricId, version) {
+  if (!rubricId || rubricId === DEFAULT_RUBRIC.id) return DEFAULT_RUBRIC;
+
+  const versionDoc = await db.collection('rubrics').doc(rubricId)
+    .collection('versions').doc(String(version)).get();
+  if (versionDoc.exists) return { id: rubricId, ...versionDoc.data() };
+
+  const doc = await db.collection('rubrics').doc(rubricId).get();
+  return doc.exists ? { id: rubricId, ...doc.data() } : null;
+}
+
+// Valida y normaliza el cuerpo de una rúbrica recibida por la API de admin
+function normalizeRubricInput(body = {}) {
+  const errors = [];
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) errors.push('name es obligatorio');
+
+  if (!Array.isArray(body.rules) || body.rules.length === 0) {
+    errors.push('rules debe ser un arreglo con al menos una regla');
+  }
+
+  const seen = new Set();
+  const rules = (Array.isArray(body.rules) ? body.rules : []).map((r, idx) => {
+    const id = typeof r?.id === 'string' ? r.id.trim() : '';
+    const weight = Number(r?.weight);
+    const criteria = typeof r?.criteria === 'string' ? r.criteria.trim() : '';
+    const evidenceFields = Array.isArray(r?.evidenceFields) ? r.evidenceFields : [];
+
+    if (!/^[A-Z0-9_]+$/.test(id)) errors.push(`rules[${idx}].id inválido (usa MAYÚSCULAS, dígitos y _)`);
+    if (seen.has(id)) errors.push(`rules[${idx}].id duplicado: ${id}`);
+    seen.add(id);
+    if (!Number.isFinite(weight) || weight <= 0) errors.push(`rules[${idx}].weight debe ser un número > 0`);
+    if (!criteria) errors.push(`rules[${idx}].criteria es obligatorio`);
+    const badFields = evidenceFields.filter(f => !RUBRIC_EVIDENCE_FIELDS.includes(f));
+    if (badFields.length) errors.push(`rules[${idx}].evidenceFields no válidos: ${badFields.join(', ')}`);
+    if (r?.segmentScope && !RUBRIC_SEGMENT_SCOPES.includes(r.segmentScope)) {
+      errors.push(`rules[${idx}].segmentScope debe ser ${RUBRIC_SEGMENT_SCOPES.join(' o ')}`);
+    }
+    if (r?.measured && !RUBRIC_MEASURED_KINDS.includes(r.measured)) {
+      errors.push(`rules[${idx}].measured debe ser ${RUBRIC_MEASURED_KINDS.join(' o ')}`);
+    }
+
+    return {
+      id,
+      title: typeof r?.title === 'string' && r.title.trim() ? r.title.trim() : id,
+      weight,
+      criteria,
+      evidenceFields,
+      segmentScope: RUBRIC_SEGMENT_SCOPES.includes(r?.segmentScope) ? r.segmentScope : null,
+      measured: RUBRIC_MEASURED_KINDS.includes(r?.measured) ? r.measured : null
+    };
+  });
+
+  let bulletPenalty = null;
+  if (body.bulletPenalty) {
+    const { ruleId, maxBullets, points } = body.bulletPenalty;
+    if (!seen.has(ruleId)) errors.push('bulletPenalty.ruleId debe referirse a una regla de la rúbrica');
+    if (!Number.isFinite(Number(maxBullets)) || !Number.isFinite(Number(points))) {
+      errors.push('bulletPenalty.maxBullets y bulletPenalty.points deben ser numéricos');
+    }
+    bulletPenalty = { ruleId, maxBullets: Number(maxBullets), points: Number(points) };
+  }
+
+  return {
+    errors,
+    rubric: {
+      name,
+      description: typeof body.description === 'string' ? body.description.trim() : '',
+      rules,
+      bulletPenalty
+    }
+  };
+}
+
+// Construye el prompt de análisis de video a partir de la rúbrica.
+// Con `segment` ({ index, count, start, end }) se analiza solo un tramo de la clase;
+// `measuredMedia` son las métricas técnicas medidas localmente (verdad de referencia).
+function buildAnalysisPrompt(rubric, { segment = null, measuredMedia = null } = {}) {
+  const rules = rubric.rules || [];
+  const rulesText = rules.map(r => {
+    const evidence = r.evidenceFields?.length ? `\n• Evidencia esperada: ${r.evidenceFields.join(', ')}.` : '';
+    return `${r.id} (peso ${r.weight}): ${r.criteria}${evidence}`;
+  }).join('\n\n');
+
+  const penalty = rubric.bulletPenalty;
+  const penaltyText = penalty
+    ? `\n• Penalización: si ${penalty.ruleId} detecta >${penalty.maxBullets} bullets simultáneos, resta ${penalty.points} puntos al score total (sin bajar de 0).`
+    : '';
+
+  const findingsSchema = rules
+    .map(r => `{"ruleId":"${r.id}","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string}`)
+    .join(',\n');
+
+  let segmentText = '';
+  if (segment) {
+    const isFirst = segment.index === 0;
+    const isLast = segment.index === segment.count - 1;
+    const outOfScope = rules
+      .filter(r => (r.segmentScope === 'first' && !isFirst) || (r.segmentScope === 'last' && !isLast))
+      .map(r => r.id);
+
+    segmentText = `
+
+CONTEXTO DE SEGMENTO:
+Este video es el segmento ${segment.index + 1} de ${segment.count} de una clase más larga (de ${formatTimestamp(segment.start)} a ${formatTimestamp(segment.end)} de la clase completa).
+• Todos los timestamps deben ser en segundos RELATIVOS al inicio de ESTE segmento.
+• Evalúa solo lo que ocurre en este segmento.${outOfScope.length ? `
+• Las reglas ${outOfScope.join(', ')} se juzgan en otro segmento de la clase: devuélvelas con subScore null y añádelas a unknownRules.` : ''}`;
+  }
+
+  let measuredText = '';
+  if (measuredMedia) {
+    measuredText = `
+
+DATOS TÉCNICOS MEDIDOS (verdad de referencia, medidos con ffprobe/ffmpeg sobre el archivo completo):
+${JSON.stringify({ video: measuredMedia.video, audio: measuredMedia.audio, container: measuredMedia.container })}
+• Usa estos valores tal cual en mediaAnalysis y metrics; NO los estimes ni los marques como "unknown".
+• Limítate a evaluar por observación lo que no se mide (exposición, balance de blancos, enfoque, encuadre, eco, pops, etc.).`;
+  }
+
+  const firstId = rules[0]?.id?.split('_')[0] || '';
+  const lastId = rules[rules.length - 1]?.id?.split('_')[0] || '';
 
-R16_MEDIA_PRESENTACION (peso 8): Consistencia y branding: tipografía legible (≥18 pt aprox.), contraste suficiente, paleta consistente, lower-thirds legibles, transiciones sobrias, coincidencia A/V (lab-sync correcto), estabilidad de cámara (sin temblores notorios), gráficos con altísimo contraste y accesibles (evitar combinaciones rojo/verde críticas). Reporta fallos con timestamps.
+  return `IMPORTANTE: Responde SIEMPRE en ESPAÑOL. Todos los textos, notas, sugerencias y descripciones deben estar en español.
+
+Evalúa el video adjunto como clase en video optimizada para atención y aprendizaje y calidad técnica profesional. Usa audio + transcripción + metadatos (resolución, fps, bitrate, sample rate, canales) si están disponibles. No inventes datos: si algo no puede detectarse, márcalo como "unknown". Responde SOLO JSON con el esquema indicado al final.
+
+REGLAS (mejores prácticas pedagógicas + estándares técnicos, con IDs y pesos):
+
+${rulesText}
 
 CÁLCULO DEL SCORE:
 • Cada regla produce subScore 0–100 según cumplimiento y evidencia. El score final es el promedio ponderado por "peso".
-• Si una regla es "unknown", no la cuentes en el denominador y añádela a unknownRules.
-• Penalización: si R4_CARGA_COGNITIVA detecta >3 bullets simultáneos, resta 5 puntos al score total (sin bajar de 0).
+• Si una regla es "unknown", no la cuentes en el denominador y añádela a unknownRules.${penaltyText}${segmentText}${measuredText}
 
 DETALLES A ENTREGAR POR REGLA (TODO EN ESPAÑOL):
 • ok: boolean
@@ -246,7 +1046,7 @@ MÉTRICAS (si es posible, aproxima):
 duracion_min, max_bullets_por_slide, palabras_promedio_por_bullet, micropracticas_count, bloques_count, mayor_estatico_seg, cortes_por_min, wpm_aprox, cc_subtitulos, video_resolution_px (ej. "1920x1080" o unknown), video_fps, video_bitrate_mbps, audio_lufs, audio_peak_db, noise_floor_db, sample_rate_hz, audio_channels (1|2|unknown), lab_sync_ok (boolean|null), lighting_evenness_0_100 (estimado), white_balance_ok (boolean|null), focus_ok (boolean|null), stabilization_ok (boolean|null), compression_artifacts (boolean|null).
 
 SALIDAS EXTRA (TODO EN ESPAÑOL):
-summary (2–3 frases útiles para el docente EN ESPAÑOL); findings (R1…R16 con textos EN ESPAÑOL); suggestions (Top 5 acciones priorizadas EN ESPAÑOL); unknownRules;
+summary (2–3 frases útiles para el docente EN ESPAÑOL); findings (${firstId}…${lastId} con textos EN ESPAÑOL); suggestions (Top 5 acciones priorizadas EN ESPAÑOL); unknownRules;
 assetsDetected: { links:string, repo:boolean, snippets:boolean, plantillas:boolean, rubrica:boolean }
 structure: { hook:{start,end,type}, objetivos:string, mapa:{steps,count}, paresConceptoDemo:[{concept,demoT}], microPracticas:[{t,instruccion}], recuperacion:[{t,pregunta,clave}], casoReal:{t,descripcion}, recap:{bullets}, tarea:{instruccion,entregable,criterios} }
 pacing: { longSegments:[{start,end,desc}], avgGapMicroPracticeSec }
@@ -262,22 +1062,7 @@ ESQUEMA JSON EXACTO (responde SOLO esto, sin texto adicional, TODO EN ESPAÑOL):
 "score": number,
 "summary": string,
 "findings": [
-{"ruleId":"R1_HOOK","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R2_OBJETIVOS","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R3_MAPA_3PASOS","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R4_CARGA_COGNITIVA","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R5_SEGMENTACION","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R6_SENALIZACION","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R7_DEMO_INMEDIATA","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R8_PRACTICA_ACTIVA","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R9_RECUPERACION","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R10_TRANSFERENCIA","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R11_CIERRE_RECAP","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R12_TAREA_Y_CRITERIOS","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R13_RITMO_ACCESIBILIDAD","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R14_MEDIA_VIDEO","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R15_MEDIA_AUDIO","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string},
-{"ruleId":"R16_MEDIA_PRESENTACION","ok":boolean,"subScore":number,"note":string,"evidence":object,"suggestions":string}
+${findingsSchema}
 ],
 "suggestions": string[],
 "unknownRules": string[],
@@ -371,66 +1156,572 @@ ESQUEMA JSON EXACTO (responde SOLO esto, sin texto adicional, TODO EN ESPAÑOL):
 "compression_artifacts": boolean
 }
 }
-`
+`;
+}
 
+// ====== Validación y score del resultado de análisis ======
+// No confiamos en el JSON del modelo tal cual: se repara lo que se pueda
+// (tipos, findings faltantes) y el score final se recalcula en el servidor.
+const SCORE_MISMATCH_TOLERANCE = 2; // puntos de diferencia tolerados vs. el score del modelo
+const ANALYSIS_PARSE_ATTEMPTS = 2;  // intentos por modelo cuando la respuesta no cumple el esquema
 
-          }
-        ]
-      }
-    ],
-    generationConfig: {
-      temperature: 0.2,
-      response_mime_type: 'application/json'
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '' || value === 'unknown') return null;
+  const n = typeof value === 'string' ? Number(value.replace(',', '.').replace('%', '').trim()) : Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toBooleanOrNull(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 1) return true;
+  if (value === 'false' || value === 0) return false;
+  return null;
+}
+
+// "1. Haz X\n- Haz Y" → ["Haz X", "Haz Y"]
+function toStringArray(value) {
+  if (Array.isArray(value)) return value.map(v => (typeof v === 'string' ? v : JSON.stringify(v))).filter(Boolean);
+  if (typeof value === 'string' && value.trim()) {
+    return value.split(/\n+/).map(v => v.replace(/^\s*(?:[-•*]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+  }
+  return [];
+}
+
+// Segundos a partir de un número, texto numérico o "mm:ss" / "hh:mm:ss"
+function toSecondsOrNull(value) {
+  if (typeof value === 'string' && /^\d{1,2}(:\d{1,2}){1,2}$/.test(value.trim())) {
+    return value.trim().split(':').reduce((acc, part) => acc * 60 + Number(part), 0);
+  }
+  const n = toNumberOrNull(value);
+  return n !== null && n >= 0 ? n : null;
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Métricas numéricas del esquema; un texto no convertible queda en null
+const RESULT_NUMERIC_METRICS = [
+  'duracion_min', 'max_bullets_por_slide', 'palabras_promedio_por_bullet', 'micropracticas_count',
+  'bloques_count', 'mayor_estatico_seg', 'cortes_por_min', 'wpm_aprox'
+];
+
+// Arreglo de elementos con tiempo: convierte `field` (y `optional`) a segundos y descarta lo que no lo trae
+function validateTimedList(items, label, field, issues, optional = []) {
+  if (items === undefined || items === null) return [];
+  if (!Array.isArray(items)) {
+    issues.push(`${label} no es un arreglo`);
+    return [];
+  }
+  const valid = [];
+  for (const item of items) {
+    const t = isPlainObject(item) ? toSecondsOrNull(item[field]) : null;
+    if (t === null) continue;
+    const fixed = { ...item, [field]: t };
+    for (const f of optional) if (fixed[f] !== undefined) fixed[f] = toSecondsOrNull(fixed[f]);
+    valid.push(fixed);
+  }
+  if (valid.length < items.length) issues.push(`${label}: ${items.length - valid.length} elemento(s) sin ${field} válido descartado(s)`);
+  return valid;
+}
+
+// structure, pacing, compliance, mediaAnalysis y metrics se leen después con forma fija
+// (reporte, capítulos, alineación con la carta). Repara tipos y tiempos; devuelve cuántas
+// secciones llegaron con un tipo que no es objeto (eso amerita pedir otra respuesta)
+function validateResultSections(result, issues) {
+  let broken = 0;
+  const section = (key) => {
+    const value = result[key];
+    if (value === undefined || value === null) {
+      issues.push(`Falta ${key}`);
+      return {};
+    }
+    if (!isPlainObject(value)) {
+      issues.push(`${key} no es un objeto`);
+      broken++;
+      return {};
+    }
+    return value;
+  };
+  const subObject = (value, label, { nullable = false } = {}) => {
+    if (value === undefined || value === null) return nullable ? null : {};
+    if (!isPlainObject(value)) {
+      issues.push(`${label} no es un objeto`);
+      return nullable ? null : {};
+    }
+    return value;
+  };
+  const strings = (value, label) => {
+    if (value !== undefined && value !== null && !Array.isArray(value) && typeof value !== 'string') {
+      issues.push(`${label} no es un arreglo`);
     }
+    return toStringArray(value);
   };
 
-  // IMPORTANTE: Usar v1beta para soporte de archivos con prefijo models/
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL}:generateContent?key=${GEMINI_API_KEY}`;
-  console.log(`🔗 URL completa: ${url.replace(GEMINI_API_KEY, 'API_KEY_HIDDEN')}`);
-  const res = await axios.post(url, body, {
-    headers: { 'Content-Type': 'application/json' },
-    timeout: 8 * 60_000
-  });
+  const structure = section('structure');
+  const hook = subObject(structure.hook, 'structure.hook', { nullable: true });
+  const casoReal = subObject(structure.casoReal, 'structure.casoReal', { nullable: true });
+  const mapa = subObject(structure.mapa, 'structure.mapa');
+  const recap = subObject(structure.recap, 'structure.recap');
+  const tarea = subObject(structure.tarea, 'structure.tarea');
+  const steps = strings(mapa.steps, 'structure.mapa.steps');
+  result.structure = {
+    ...structure,
+    hook: hook && { ...hook, start: toSecondsOrNull(hook.start), end: toSecondsOrNull(hook.end) },
+    objetivos: toStringArray(structure.objetivos),
+    mapa: { ...mapa, steps, count: toNumberOrNull(mapa.count) ?? steps.length },
+    paresConceptoDemo: validateTimedList(structure.paresConceptoDemo, 'structure.paresConceptoDemo', 'demoT', issues),
+    microPracticas: validateTimedList(structure.microPracticas, 'structure.microPracticas', 't', issues),
+    recuperacion: validateTimedList(structure.recuperacion, 'structure.recuperacion', 't', issues),
+    casoReal: casoReal && { ...casoReal, t: toSecondsOrNull(casoReal.t) },
+    recap: { ...recap, bullets: strings(recap.bullets, 'structure.recap.bullets') },
+    tarea: { ...tarea, criterios: strings(tarea.criterios, 'structure.tarea.criterios') }
+  };
 
-  const txt = res?.data?.candidates?.[0]?.content?.parts?.[0]?.text || '{}';
-  console.log(`✅ Respuesta recibida del modelo ${MODEL}, parseando JSON...`);
-  
-  try {
-    return JSON.parse(txt);
-  } catch (parseError) {
-    console.error('❌ Error parseando JSON de análisis de video:', parseError.message);
-    console.error('Texto recibido:', txt.substring(0, 500));
-    throw new Error(`Error parseando respuesta de Gemini: ${parseError.message}`);
+  const pacing = section('pacing');
+  result.pacing = {
+    ...pacing,
+    longSegments: validateTimedList(pacing.longSegments, 'pacing.longSegments', 'start', issues, ['end']),
+    avgGapMicroPracticeSec: toNumberOrNull(pacing.avgGapMicroPracticeSec)
+  };
+
+  const compliance = section('compliance');
+  result.compliance = {
+    ...compliance,
+    bulletsMax: toNumberOrNull(compliance.bulletsMax),
+    bulletsBreaches: validateTimedList(compliance.bulletsBreaches, 'compliance.bulletsBreaches', 't', issues)
+  };
+
+  const media = section('mediaAnalysis');
+  const video = subObject(media.video, 'mediaAnalysis.video');
+  const audio = subObject(media.audio, 'mediaAnalysis.audio');
+  result.mediaAnalysis = {
+    ...media,
+    video: { ...video, issues: validateTimedList(video.issues, 'mediaAnalysis.video.issues', 't', issues) },
+    audio: { ...audio, issues: validateTimedList(audio.issues, 'mediaAnalysis.audio.issues', 't', issues) }
+  };
+
+  const metrics = { ...section('metrics') };
+  for (const key of RESULT_NUMERIC_METRICS) {
+    if (metrics[key] === undefined || metrics[key] === null || metrics[key] === 'unknown') continue;
+    const n = toNumberOrNull(metrics[key]);
+    if (n === null) issues.push(`metrics.${key} no es numérico`);
+    metrics[key] = n;
   }
-  }, VIDEO_MODEL, VALID_VIDEO_MODELS);
+  result.metrics = metrics;
+
+  return broken;
 }
 
-// ====== Vimeo Upload Helper ======
-async function uploadToVimeoAPI(buffer, fileName, metadata = {}) {
-  if (!VIMEO_ACCESS_TOKEN) {
-    throw new Error('VIMEO_ACCESS_TOKEN no configurado');
+// Revisa el resultado contra la rúbrica y repara lo reparable.
+// Devuelve { result, issues, fatal }; fatal => conviene pedir otra respuesta.
+function validateAnalysisResult(raw, rubric = DEFAULT_RUBRIC) {
+  const issues = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { result: null, issues: ['La respuesta no es un objeto JSON'], fatal: true };
   }
 
-  console.log('[Vimeo] Iniciando subida de video...');
+  const result = { ...raw };
 
-  // Generar un título atractivo basado en el contenido
-  let videoTitle = '';
-  if (metadata.summary) {
-    // Extraer un título del resumen
-    const summaryText = metadata.summary;
-    // Buscar la primera oración completa o usar las primeras palabras
-    const firstSentence = summaryText.split(/[.!?]/).filter(s => s.trim().length > 0)[0] || '';
-    
-    if (firstSentence.length > 10) {
-      // Si la primera oración es larga, usarla como base para el título
-      // Limitar a 50 caracteres y añadir puntos suspensivos si es necesario
-      videoTitle = firstSentence.trim().substring(0, 50);
-      if (firstSentence.length > 50) videoTitle += '...';
-    }
+  if (typeof result.summary !== 'string') {
+    issues.push('summary no es texto');
+    result.summary = result.summary ? String(result.summary) : '';
   }
-  
-  // Si no se pudo generar un título del resumen, usar un título genérico pero sin mencionar UDEL
-  if (!videoTitle) {
+
+  if (!Array.isArray(result.suggestions)) {
+    issues.push('suggestions no es un arreglo');
+  }
+  result.suggestions = toStringArray(result.suggestions);
+
+  if (!Array.isArray(result.unknownRules)) {
+    if (result.unknownRules !== undefined) issues.push('unknownRules no es un arreglo');
+  }
+  const unknownRules = new Set(toStringArray(result.unknownRules));
+
+  // findings puede llegar como objeto { R1_HOOK: {...} }
+  let findings = result.findings;
+  if (findings && !Array.isArray(findings) && typeof findings === 'object') {
+    issues.push('findings llegó como objeto; se convirtió a arreglo');
+    findings = Object.entries(findings).map(([ruleId, f]) => ({ ruleId, ...f }));
+  }
+  if (!Array.isArray(findings)) {
+    return { result: null, issues: [...issues, 'findings no es un arreglo'], fatal: true };
+  }
+
+  const byRule = new Map();
+  for (const f of findings) {
+    if (!f || typeof f !== 'object' || typeof f.ruleId !== 'string') {
+      issues.push('finding sin ruleId descartado');
+      continue;
+    }
+    byRule.set(f.ruleId, f);
+  }
+
+  const rules = rubric.rules || [];
+  let missing = 0;
+  result.findings = rules.map(rule => {
+    const f = byRule.get(rule.id);
+    if (!f) {
+      missing++;
+      issues.push(`Falta el finding ${rule.id}`);
+      unknownRules.add(rule.id);
+      return { ruleId: rule.id, ok: false, subScore: null, note: 'El modelo no evaluó esta regla', evidence: {}, suggestions: '' };
+    }
+
+    const subScore = toNumberOrNull(f.subScore);
+    if (subScore === null && !unknownRules.has(rule.id)) {
+      issues.push(`subScore inválido en ${rule.id}`);
+      unknownRules.add(rule.id);
+    }
+    const ok = toBooleanOrNull(f.ok);
+    if (ok === null) issues.push(`ok inválido en ${rule.id}`);
+
+    return {
+      ...f,
+      ok: ok ?? (subScore !== null && subScore >= 70),
+      subScore: subScore === null ? null : Math.min(100, Math.max(0, subScore)),
+      note: typeof f.note === 'string' ? f.note : (f.note ? String(f.note) : ''),
+      evidence: f.evidence && typeof f.evidence === 'object' ? f.evidence : {},
+      suggestions: Array.isArray(f.suggestions) ? f.suggestions.join('\n') : (typeof f.suggestions === 'string' ? f.suggestions : '')
+    };
+  });
+
+  const extra = [...byRule.keys()].filter(id => !rules.some(r => r.id === id));
+  if (extra.length) issues.push(`Reglas fuera de la rúbrica ignoradas: ${extra.join(', ')}`);
+
+  result.unknownRules = [...unknownRules].filter(id => rules.some(r => r.id === id));
+
+  const brokenSections = validateResultSections(result, issues);
+
+  // Si falta más de la mitad de las reglas o una sección no es objeto, la respuesta no es aprovechable
+  const fatal = (rules.length > 0 && missing > rules.length / 2) || brokenSections > 0;
+  return { result, issues, fatal };
+}
+
+// Promedio ponderado de subScore × peso, sin reglas unknown, con penalización de bullets
+function computeRubricScore(result, rubric = DEFAULT_RUBRIC) {
+  const unknown = new Set(result?.unknownRules || []);
+  const findings = new Map((result?.findings || []).map(f => [f.ruleId, f]));
+
+  let weighted = 0;
+  let totalWeight = 0;
+  const excludedRules = [];
+
+  for (const rule of rubric.rules || []) {
+    const subScore = toNumberOrNull(findings.get(rule.id)?.subScore);
+    if (unknown.has(rule.id) || subScore === null) {
+      excludedRules.push(rule.id);
+      continue;
+    }
+    weighted += subScore * rule.weight;
+    totalWeight += rule.weight;
+  }
+
+  let score = totalWeight > 0 ? weighted / totalWeight : 0;
+
+  let penaltyApplied = 0;
+  const penalty = rubric.bulletPenalty;
+  if (penalty) {
+    const compliance = result?.compliance || {};
+    const bulletsMax = toNumberOrNull(compliance.bulletsMax);
+    const breaches = Array.isArray(compliance.bulletsBreaches) ? compliance.bulletsBreaches : [];
+    const breached = (bulletsMax !== null && bulletsMax > penalty.maxBullets)
+      || breaches.some(b => toNumberOrNull(b?.count) > penalty.maxBullets);
+    if (breached) {
+      penaltyApplied = penalty.points;
+      score = Math.max(0, score - penalty.points);
+    }
+  }
+
+  return {
+    score: Math.round(score),
+    penaltyApplied,
+    excludedRules,
+    weightUsed: totalWeight
+  };
+}
+
+// Fija result.score al valor recalculado y deja constancia de la diferencia
+function finalizeAnalysisResult(result, rubric = DEFAULT_RUBRIC) {
+  const modelScore = toNumberOrNull(result.modelScore ?? result.score);
+  const computed = computeRubricScore(result, rubric);
+  const delta = modelScore === null ? null : Math.round((modelScore - computed.score) * 10) / 10;
+
+  const scoreCheck = {
+    modelScore,
+    computedScore: computed.score,
+    delta,
+    mismatch: delta === null || Math.abs(delta) > SCORE_MISMATCH_TOLERANCE,
+    penaltyApplied: computed.penaltyApplied,
+    excludedRules: computed.excludedRules
+  };
+
+  return {
+    result: { ...result, modelScore, score: computed.score },
+    scoreCheck
+  };
+}
+
+// ====== Análisis de video (independiente del proveedor) ======
+// Traduce los intentos de retryWithModels a eventos de progreso: 'model' siempre,
+// 'retry' antes de reintentar el mismo modelo y 'fallback' al cambiar de modelo
+function modelAttemptReporter(operation, provider, onProgress) {
+  let previousModel = null;
+  return {
+    onAttempt(model, attempt, lastError) {
+      if (attempt > 0) {
+        onProgress('fallback', { operation, from: previousModel, to: model, reason: lastError?.message || null });
+      }
+      onProgress('model', { operation, provider: provider.name, model, attempt, fallback: attempt > 0 });
+      previousModel = model;
+    },
+    onRetry({ model, retry, delayMs, error }) {
+      onProgress('retry', { operation, model, retry, delayMs, reason: error?.message || null });
+    }
+  };
+}
+
+// Pide el análisis al proveedor, valida el JSON y, si no es aprovechable,
+// vuelve a pedirlo indicando qué estaba mal antes de pasar al siguiente modelo.
+async function analyzeUploadedVideo(handle, { rubric = DEFAULT_RUBRIC, segment = null, measuredMedia = null, provider = videoProvider, model = null, usageContext = {}, onProgress = () => {} } = {}) {
+  console.log(`📹 Iniciando análisis de video con ${provider.name} (rúbrica ${rubric.id} v${rubric.version})${segment ? ` segmento ${segment.index + 1}/${segment.count}` : ''}`);
+  const prompt = buildAnalysisPrompt(rubric, { segment, measuredMedia });
+  return retryWithModels(async (MODEL, modelAttempt) => {
+  let previousIssues = [];
+
+  for (let attempt = 1; attempt <= ANALYSIS_PARSE_ATTEMPTS; attempt++) {
+    // En el reintento le decimos al modelo qué estaba mal en su respuesta
+    const repairNote = previousIssues.length
+      ? `Tu respuesta anterior no cumplía el esquema (${previousIssues.slice(0, 10).join('; ')}). Responde de nuevo SOLO con el JSON completo y válido, incluyendo todas las reglas.`
+      : null;
+
+    const { text } = await trackAiCall(
+      { ...usageContext, segmentIndex: segment?.index },
+      { provider: provider.name, model: MODEL, attempt: modelAttempt, operation: repairNote ? 'analyzeVideo:repair' : 'analyzeVideo' },
+      () => provider.analyzeVideo(handle, { model: MODEL, prompt, repairNote, rubric, segment, measuredMedia })
+    );
+    const txt = text || '{}';
+    console.log(`✅ Respuesta recibida del modelo ${MODEL}, parseando JSON...`);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(txt);
+    } catch (parseError) {
+      console.error('❌ Error parseando JSON de análisis de video:', parseError.message);
+      console.error('Texto recibido:', txt.substring(0, 500));
+      previousIssues = [`JSON inválido: ${parseError.message}`];
+      continue;
+    }
+
+    const { result, issues, fatal } = validateAnalysisResult(parsed, rubric);
+    if (fatal) {
+      console.warn(`⚠️ Respuesta de ${MODEL} no cumple el esquema (intento ${attempt}/${ANALYSIS_PARSE_ATTEMPTS}):`, issues.join('; '));
+      previousIssues = issues;
+      continue;
+    }
+
+    if (issues.length) console.warn(`🔧 Respuesta de ${MODEL} reparada:`, issues.join('; '));
+    return { ...result, validationIssues: issues };
+  }
+
+  throw new Error(`Respuesta de ${provider.name} inválida tras ${ANALYSIS_PARSE_ATTEMPTS} intentos: ${previousIssues.join('; ')}`);
+  }, model || provider.models.video[0], provider.models.video, modelAttemptReporter('analyzeVideo', provider, onProgress));
+}
+
+// ====== Transcripción y subtítulos ======
+// Se transcribe con el mismo archivo ya subido al proveedor (sin segunda subida).
+// Un fallo de la transcripción no invalida el análisis.
+const TRANSCRIPT_ENABLED = process.env.TRANSCRIPT_ENABLED !== 'false';
+const TRANSCRIPT_MAX_CUE_SEC = 10;
+
+function buildTranscriptPrompt({ segment = null } = {}) {
+  const scope = segment
+    ? `Este archivo es el TRAMO ${segment.index + 1} de ${segment.count} de la clase; usa tiempos relativos al inicio de ESTE archivo.`
+    : 'Usa tiempos relativos al inicio del video.';
+  return `Transcribe literalmente el audio de este video en español (respeta términos técnicos en su idioma original).
+${scope}
+Divide la transcripción en subtítulos de máximo ${TRANSCRIPT_MAX_CUE_SEC} segundos y 2 líneas cortas, cortando en pausas naturales.
+No inventes contenido: si un fragmento es inaudible escribe [inaudible]; omite silencios y música sin voz.
+Responde SOLO con JSON válido:
+{"language":"es","segments":[{"start":0.0,"end":3.2,"text":"..."}]}
+("start" y "end" en segundos, números; segmentos en orden y sin traslaparse)`;
+}
+
+// Limpia la transcripción del modelo: tiempos numéricos, orden, sin traslapes ni textos vacíos
+function normalizeTranscript(raw) {
+  const segments = (Array.isArray(raw?.segments) ? raw.segments : [])
+    .map(seg => ({
+      start: toNumberOrNull(seg?.start),
+      end: toNumberOrNull(seg?.end),
+      text: typeof seg?.text === 'string' ? seg.text.replace(/\s+/g, ' ').trim() : ''
+    }))
+    .filter(seg => seg.start !== null && seg.start >= 0 && seg.text)
+    .sort((a, b) => a.start - b.start);
+
+  segments.forEach((seg, i) => {
+    const next = segments[i + 1];
+    if (seg.end === null || seg.end <= seg.start) seg.end = seg.start + Math.min(TRANSCRIPT_MAX_CUE_SEC, next ? next.start - seg.start : 4);
+    if (next && seg.end > next.start) seg.end = next.start;
+    seg.start = Math.round(seg.start * 1000) / 1000;
+    seg.end = Math.round(Math.max(seg.end, seg.start + 0.5) * 1000) / 1000;
+  });
+
+  return {
+    language: typeof raw?.language === 'string' ? raw.language : 'es',
+    segments
+  };
+}
+
+async function transcribeUploadedVideo(handle, { segment = null, provider = videoProvider, usageContext = {}, onProgress = () => {} } = {}) {
+  const prompt = buildTranscriptPrompt({ segment });
+  return retryWithModels(async (MODEL, attempt) => {
+    const { text } = await trackAiCall(
+      { ...usageContext, segmentIndex: segment?.index },
+      { provider: provider.name, model: MODEL, attempt, operation: 'transcribeVideo' },
+      () => provider.transcribeVideo(handle, { model: MODEL, prompt, segment })
+    );
+    const transcript = normalizeTranscript(JSON.parse(text || '{}'));
+    if (!transcript.segments.length) throw new Error('La transcripción llegó vacía');
+    return { ...transcript, provider: provider.name, model: MODEL };
+  }, provider.models.video[0], provider.models.video, modelAttemptReporter('transcribeVideo', provider, onProgress));
+}
+
+function formatCueTime(totalSec, separator) {
+  const ms = Math.max(0, Math.round(totalSec * 1000));
+  const h = String(Math.floor(ms / 3_600_000)).padStart(2, '0');
+  const m = String(Math.floor((ms % 3_600_000) / 60_000)).padStart(2, '0');
+  const sec = String(Math.floor((ms % 60_000) / 1000)).padStart(2, '0');
+  return `${h}:${m}:${sec}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function transcriptToVTT(transcript) {
+  const cues = (transcript?.segments || []).map(seg =>
+    `${formatCueTime(seg.start, '.')} --> ${formatCueTime(seg.end, '.')}\n${seg.text}`);
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+function transcriptToSRT(transcript) {
+  return (transcript?.segments || []).map((seg, i) =>
+    `${i + 1}\n${formatCueTime(seg.start, ',')} --> ${formatCueTime(seg.end, ',')}\n${seg.text}`).join('\n\n') + '\n';
+}
+
+const transcriptRef = (analysisId) => db.collection('analyses').doc(analysisId).collection('artifacts').doc('transcript');
+
+// ====== Vimeo Upload Helper ======
+// Subida TUS por bloques: cada PATCH parte del Upload-Offset que confirmó Vimeo. Si un
+// bloque falla se consulta el offset real con HEAD y se reintenta desde ahí (con backoff).
+// El progreso se reporta con onProgress para guardarlo en el análisis y poder reanudar
+// en otra petición; un video a medias que ya no se puede reanudar se borra de Vimeo.
+const VIMEO_CHUNK_RETRIES = Number(process.env.VIMEO_CHUNK_RETRIES ?? 5);
+const VIMEO_TUS_HEADERS = { 'Tus-Resumable': '1.0.0', 'Accept': 'application/vnd.vimeo.*+json;version=3.4' };
+
+// Bytes que Vimeo ya tiene (HEAD al upload_link); null si el enlace ya no sirve
+async function getVimeoUploadOffset(uploadLink) {
+  try {
+    const r = await axios.head(uploadLink, { headers: VIMEO_TUS_HEADERS, timeout: 30_000 });
+    const offset = Number(r.headers['upload-offset']);
+    return Number.isFinite(offset) ? offset : null;
+  } catch (e) {
+    console.warn('[Vimeo] No se pudo consultar el offset de la subida:', e?.response?.status || e.message);
+    return null;
+  }
+}
+
+// Borra un video de Vimeo (best-effort: subidas abandonadas o reemplazadas)
+async function deleteVimeoVideo(videoUri) {
+  if (!videoUri || !VIMEO_ACCESS_TOKEN) return false;
+  try {
+    await axios.delete(`https://api.vimeo.com${videoUri}`, {
+      headers: { 'Authorization': `Bearer ${VIMEO_ACCESS_TOKEN}`, 'Accept': VIMEO_TUS_HEADERS.Accept },
+      timeout: 30_000
+    });
+    console.log('[Vimeo] Video a medias borrado:', videoUri);
+    return true;
+  } catch (e) {
+    if (e?.response?.status === 404) return true;
+    console.warn('[Vimeo] No se pudo borrar el video:', videoUri, e?.response?.status || e.message);
+    return false;
+  }
+}
+
+// Envía el archivo desde startOffset hasta completar `size` bytes
+async function tusUploadFile(uploadLink, filePath, size, startOffset, onProgress) {
+  let offset = startOffset;
+  let failures = 0;
+
+  while (offset < size) {
+    const chunk = await readFileRange(filePath, offset, Math.min(UPLOAD_CHUNK_SIZE, size - offset));
+    try {
+      const r = await axios.patch(uploadLink, chunk, {
+        headers: {
+          ...VIMEO_TUS_HEADERS,
+          'Upload-Offset': String(offset),
+          'Content-Type': 'application/offset+octet-stream'
+        },
+        maxBodyLength: Infinity,
+        timeout: 5 * 60_000
+      });
+      // El offset que cuenta es el que confirma Vimeo, no el que creemos haber enviado
+      const confirmed = Number(r.headers['upload-offset']);
+      offset = Number.isFinite(confirmed) ? confirmed : offset + chunk.length;
+      failures = 0;
+      await onProgress(offset);
+    } catch (e) {
+      const status = e?.response?.status;
+      // 409 = offset desfasado; 408/429/5xx y errores de red se reintentan; otro 4xx no tiene arreglo
+      if (status && status < 500 && ![408, 409, 429].includes(status)) throw e;
+      if (++failures > VIMEO_CHUNK_RETRIES) throw e;
+
+      const delayMs = backoffDelayMs(failures - 1, retryAfterMs(e));
+      console.warn(`[Vimeo] Bloque en ${offset} falló (${status || e.code || e.message}); reintento ${failures}/${VIMEO_CHUNK_RETRIES} en ${Math.round(delayMs / 1000)}s`);
+      await sleep(delayMs);
+      const serverOffset = await getVimeoUploadOffset(uploadLink);
+      if (serverOffset !== null) offset = serverOffset;
+    }
+  }
+}
+
+// resume: { uri, uploadLink, totalBytes } de una subida anterior del mismo archivo
+// onProgress({ uri, uploadLink, bytesUploaded, totalBytes }) tras crear el video y tras cada bloque
+async function uploadToVimeoAPI(filePath, fileName, metadata = {}, { resume = null, onProgress = async () => {} } = {}) {
+  if (!VIMEO_ACCESS_TOKEN) {
+    throw new Error('VIMEO_ACCESS_TOKEN no configurado');
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+
+  // Reanudar una subida previa si Vimeo todavía la acepta; si no, borrar el video a medias
+  if (resume?.uploadLink && resume.totalBytes === size) {
+    const offset = await getVimeoUploadOffset(resume.uploadLink);
+    if (offset !== null) {
+      console.log(`[Vimeo] Reanudando subida de ${resume.uri} desde ${offset}/${size} bytes`);
+      const report = (bytesUploaded) => onProgress({ uri: resume.uri, uploadLink: resume.uploadLink, bytesUploaded, totalBytes: size });
+      await report(offset);
+      await tusUploadFile(resume.uploadLink, filePath, size, offset, report);
+      return getVimeoVideoInfo(resume.uri);
+    }
+  }
+  if (resume?.uri) await deleteVimeoVideo(resume.uri);
+
+  console.log('[Vimeo] Iniciando subida de video...');
+
+  // Generar un título atractivo basado en el contenido
+  let videoTitle = '';
+  if (metadata.summary) {
+    // Extraer un título del resumen
+    const summaryText = metadata.summary;
+    // Buscar la primera oración completa o usar las primeras palabras
+    const firstSentence = summaryText.split(/[.!?]/).filter(s => s.trim().length > 0)[0] || '';
+    
+    if (firstSentence.length > 10) {
+      // Si la primera oración es larga, usarla como base para el título
+      // Limitar a 50 caracteres y añadir puntos suspensivos si es necesario
+      videoTitle = firstSentence.trim().substring(0, 50);
+      if (firstSentence.length > 50) videoTitle += '...';
+    }
+  }
+  
+  // Si no se pudo generar un título del resumen, usar un título genérico pero sin mencionar UDEL
+  if (!videoTitle) {
     // Quitar la extensión del archivo
     const baseFileName = fileName.replace(/\.[^/.]+$/, "");
     // Convertir guiones bajos y guiones en espacios
@@ -478,7 +1769,7 @@ async function uploadToVimeoAPI(buffer, fileName, metadata = {}) {
     {
       upload: {
         approach: 'tus',
-        size: buffer.length
+        size
       },
       name: videoTitle,
       description: videoDescription,
@@ -498,16 +1789,16 @@ async function uploadToVimeoAPI(buffer, fileName, metadata = {}) {
   const uploadLink = createResponse.data.upload.upload_link;
   const videoUri = createResponse.data.uri;
 
-  // 2. Subir el video usando TUS protocol
-  await axios.patch(uploadLink, buffer, {
-    headers: {
-      'Tus-Resumable': '1.0.0',
-      'Upload-Offset': '0',
-      'Content-Type': 'application/offset+octet-stream'
-    },
-    maxBodyLength: Infinity
-  });
+  // 2. Subir el video usando TUS protocol, por bloques y reanudable
+  const report = (bytesUploaded) => onProgress({ uri: videoUri, uploadLink, bytesUploaded, totalBytes: size });
+  await report(0);
+  await tusUploadFile(uploadLink, filePath, size, 0, report);
+
+  return getVimeoVideoInfo(videoUri);
+}
 
+// Link público (con hash de privacidad) e ID de un video ya subido
+async function getVimeoVideoInfo(videoUri) {
   console.log('[Vimeo] Video subido exitosamente:', videoUri);
 
   // 3. Obtener los detalles completos del video para conseguir la URL correcta con hash
@@ -531,133 +1822,3536 @@ async function uploadToVimeoAPI(buffer, fileName, metadata = {}) {
   };
 }
 
-// ====== Endpoint: Análisis de video (sin subida a Vimeo) ======
-app.post('/analyzeVideo', upload.single('file'), async (req, res) => {
-  const { file } = req;
-  const { analysisId } = req.body || {};
+// Sube un WebVTT como pista de subtítulos de un video de Vimeo y la activa
+async function uploadVimeoTextTrack(videoUri, vtt, { language = 'es', name = 'Español' } = {}) {
+  if (!VIMEO_ACCESS_TOKEN) {
+    throw new Error('VIMEO_ACCESS_TOKEN no configurado');
+  }
 
-  if (!analysisId) return res.status(400).json({ ok: false, error: 'analysisId requerido' });
-  if (!file)       return res.status(400).json({ ok: false, error: 'file requerido' });
+  const headers = {
+    'Authorization': `Bearer ${VIMEO_ACCESS_TOKEN}`,
+    'Accept': 'application/vnd.vimeo.*+json;version=3.4'
+  };
 
-  const ref = db.collection('analyses').doc(analysisId);
+  // 1. Crear la pista (Vimeo devuelve un link temporal para subir el archivo)
+  const createResponse = await axios.post(
+    `https://api.vimeo.com${videoUri}/texttracks`,
+    { type: 'subtitles', language, name },
+    { headers: { ...headers, 'Content-Type': 'application/json' } }
+  );
+  const { uri: textTrackUri, link: uploadLink } = createResponse.data;
 
-  await ref.set({
-    status: 'processing',
-    createdAt: FieldValue.serverTimestamp(),
-    updatedAt: FieldValue.serverTimestamp(),
-    fileName: file.originalname,
-    fileSize: file.size,
-    mimeType: file.mimetype
-  }, { merge: true });
+  // 2. Subir el contenido VTT
+  await axios.put(uploadLink, vtt, {
+    headers: { 'Content-Type': 'text/vtt' },
+    timeout: 60_000
+  });
+
+  // 3. Activarla para que aparezca en el reproductor
+  await axios.patch(`https://api.vimeo.com${textTrackUri}`, { active: true }, {
+    headers: { ...headers, 'Content-Type': 'application/json' }
+  });
+
+  console.log('[Vimeo] Subtítulos agregados:', textTrackUri);
+  return { uri: textTrackUri };
+}
+
+// ====== Organización en Vimeo (carpetas y showcases por catálogo) ======
+// Cada video publicado se coloca en carpetas (projects) carrera → cuatrimestre → materia
+// y en un showcase por materia, igual que el catálogo del Google Sheet. Antes de crear se busca
+// por nombre en Vimeo (lo hecho a mano se reutiliza); las URIs quedan en `vimeoFolders` para no
+// buscarlas en cada subida. El documento de caché se reclama con create(): entre instancias,
+// solo quien lo crea busca/crea en Vimeo y las demás esperan su resultado.
+const VIMEO_ORGANIZE = process.env.VIMEO_ORGANIZE !== 'false';
+const VIMEO_SHOWCASES = process.env.VIMEO_SHOWCASES !== 'false';
+const VIMEO_ROOT_FOLDER_URI = process.env.VIMEO_ROOT_FOLDER_URI || null; // carpeta padre opcional
+const VIMEO_SHOWCASE_PRIVACY = process.env.VIMEO_SHOWCASE_PRIVACY || 'unlisted';
+
+const VIMEO_CONTAINER_WAIT_MS = 20_000;  // Lo que se espera a otra instancia que está creando el contenedor
+const VIMEO_CONTAINER_CLAIM_TTL_MS = 120_000; // Un reclamo más viejo se da por abandonado
+
+// Creaciones en curso en esta instancia (dos subidas de la misma materia crean una sola carpeta)
+const vimeoFolderCreations = new Map();
+
+function vimeoApi(method, apiPath, data) {
+  return axios({
+    method,
+    url: `https://api.vimeo.com${apiPath}`,
+    data,
+    headers: {
+      'Authorization': `Bearer ${VIMEO_ACCESS_TOKEN}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/vnd.vimeo.*+json;version=3.4'
+    },
+    timeout: 30_000
+  });
+}
+
+const vimeoIdFromUri = (uri) => String(uri).split('/').pop();
+
+function vimeoFolderCacheRef(kind, pathParts) {
+  const key = `${kind}|${pathParts.map(p => String(p).trim().toLowerCase()).join('/')}`;
+  return db.collection('vimeoFolders').doc(crypto.createHash('sha1').update(key).digest('hex'));
+}
+
+// Niveles de carpeta a partir de la clase del catálogo
+function catalogFolderPath(catalog) {
+  const cuatrimestre = String(catalog.cuatrimestre || '').trim();
+  return [
+    catalog.carrera,
+    cuatrimestre && (/cuatri/i.test(cuatrimestre) ? cuatrimestre : `Cuatrimestre ${cuatrimestre}`),
+    catalog.materia
+  ].map(v => String(v || '').trim()).filter(Boolean);
+}
+
+const sameVimeoName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Busca en Vimeo una carpeta (bajo parentUri, o de primer nivel) o showcase con ese nombre; { uri } o null
+async function findVimeoContainer(kind, name, parentUri) {
+  if (kind === 'showcase') {
+    const { data } = await vimeoApi('get', `/me/albums?query=${encodeURIComponent(name)}&per_page=100&fields=uri,name`);
+    return (data?.data || []).find(a => sameVimeoName(a.name, name)) || null;
+  }
+  if (parentUri) {
+    const { data } = await vimeoApi('get', `${parentUri}/items?filter_type=folder&per_page=100`);
+    return (data?.data || []).map(item => item.folder).find(f => f && sameVimeoName(f.name, name)) || null;
+  }
+  const { data } = await vimeoApi('get', `/me/projects?query=${encodeURIComponent(name)}&per_page=100`);
+  return (data?.data || []).find(f => sameVimeoName(f.name, name) && !f.metadata?.connections?.ancestor_path?.length) || null;
+}
+
+// Otra instancia reclamó el documento: se espera a que publique la URI
+async function waitForVimeoContainer(ref) {
+  const deadline = Date.now() + VIMEO_CONTAINER_WAIT_MS;
+  while (Date.now() < deadline) {
+    await sleep(1000);
+    const doc = await ref.get();
+    if (!doc.exists) return null; // Quien reclamó falló y liberó el documento
+    if (doc.data().uri) return doc.data();
+  }
+  throw new Error('Otra instancia está creando el mismo contenedor en Vimeo; reintenta en un momento');
+}
+
+// Devuelve (y crea si hace falta) la carpeta o showcase de la ruta; { uri, id, name }
+async function ensureVimeoContainer(kind, pathParts, { parentUri = null, description = '' } = {}) {
+  const ref = vimeoFolderCacheRef(kind, pathParts);
+  const key = ref.id;
+  if (vimeoFolderCreations.has(key)) return vimeoFolderCreations.get(key);
+
+  const creation = (async () => {
+    for (let round = 0; round < 2; round++) {
+      const cached = await ref.get();
+      if (cached.exists && cached.data().uri) return cached.data();
+      if (cached.exists) {
+        const claimedAt = cached.data().claimedAt?.toDate?.();
+        if (claimedAt && Date.now() - claimedAt.getTime() > VIMEO_CONTAINER_CLAIM_TTL_MS) {
+          await ref.delete(); // Reclamo abandonado (la instancia murió a medias)
+        } else {
+          const done = await waitForVimeoContainer(ref);
+          if (done) return done;
+        }
+        continue;
+      }
+
+      try {
+        await ref.create({ kind, path: pathParts, status: 'claimed', claimedAt: FieldValue.serverTimestamp() });
+      } catch (e) {
+        if (e?.code === 6) continue; // ALREADY_EXISTS: otra instancia lo reclamó primero
+        throw e;
+      }
+
+      try {
+        const name = kind === 'showcase' ? pathParts.join(' · ') : pathParts[pathParts.length - 1];
+        let found = await findVimeoContainer(kind, name, parentUri);
+        if (!found) {
+          const { data } = kind === 'showcase'
+            ? await vimeoApi('post', '/me/albums', { name, description, privacy: VIMEO_SHOWCASE_PRIVACY })
+            : await vimeoApi('post', '/me/projects', { name, ...(parentUri && { parent_folder_uri: parentUri }) });
+          found = data;
+          console.log(`[Vimeo] ${kind === 'showcase' ? 'Showcase' : 'Carpeta'} creada: ${pathParts.join(' / ')} (${data.uri})`);
+        } else {
+          console.log(`[Vimeo] ${kind === 'showcase' ? 'Showcase' : 'Carpeta'} existente reutilizada: ${pathParts.join(' / ')} (${found.uri})`);
+        }
+        const container = { kind, name, path: pathParts, uri: found.uri, id: vimeoIdFromUri(found.uri), parentUri };
+        await ref.set({ ...container, createdAt: FieldValue.serverTimestamp() });
+        return container;
+      } catch (e) {
+        await ref.delete().catch(() => {});
+        throw e;
+      }
+    }
+    throw new Error(`No se pudo reclamar ${pathParts.join(' / ')} en vimeoFolders`);
+  })().finally(() => vimeoFolderCreations.delete(key));
+
+  vimeoFolderCreations.set(key, creation);
+  return creation;
+}
+
+// Carpeta de la materia, creando carrera y cuatrimestre en el camino
+async function ensureVimeoFolderPath(pathParts) {
+  let parent = VIMEO_ROOT_FOLDER_URI ? { uri: VIMEO_ROOT_FOLDER_URI } : null;
+  const folders = [];
+  for (let i = 1; i <= pathParts.length; i++) {
+    parent = await ensureVimeoContainer('folder', pathParts.slice(0, i), { parentUri: parent?.uri || null });
+    folders.push({ name: parent.name, uri: parent.uri, id: parent.id });
+  }
+  return folders;
+}
 
-  let uploaded = null;
+// Mete el video en su contenedor; si la caché apunta a algo borrado en Vimeo (404) se recrea una vez
+async function addVideoToVimeoContainer(kind, pathParts, ensure, videoId) {
+  const endpoint = (container) => `/me/${kind === 'showcase' ? 'albums' : 'projects'}/${container.id}/videos/${videoId}`;
+  let container = await ensure();
   try {
-    // 1) Subir a Gemini Files
-    uploaded = await uploadToGemini(file.buffer, file.mimetype, file.originalname);
-    console.log('[Gemini] uploaded file meta:', uploaded);
+    await vimeoApi('put', endpoint(container));
+  } catch (e) {
+    if (e?.response?.status !== 404) throw e;
+    console.warn(`[Vimeo] ${pathParts.join(' / ')} ya no existe en Vimeo; se vuelve a crear`);
+    for (let i = 1; i <= pathParts.length; i++) await vimeoFolderCacheRef(kind, pathParts.slice(0, i)).delete();
+    container = await ensure();
+    await vimeoApi('put', endpoint(container));
+  }
+  return container;
+}
+
+// Clase del catálogo para un análisis: la enviada al publicar o la de su análisis por URL
+async function resolveVimeoCatalog(data, catalogEntry) {
+  const requested = catalogEntry?.materia ? catalogEntry : data.catalog;
+  if (!requested?.materia) return null;
+  const entry = await findCatalogEntry(requested, { requireUrl: false }).catch(e => {
+    console.warn('[Vimeo] No se pudo consultar el catálogo:', e.message);
+    return null;
+  });
+  return {
+    carrera: entry?.carrera || requested.carrera || null,
+    cuatrimestre: entry?.cuatrimestre || requested.cuatrimestre || null,
+    materia: entry?.materia || requested.materia
+  };
+}
 
-    // 2) Esperar a que el archivo quede ACTIVE
-    const fileRef = extractGeminiFileRef(uploaded); // "files/ID"
-    if (!fileRef) throw new Error('No se obtuvo referencia del archivo (name/uri) de Gemini');
+// Coloca un video recién subido en su carpeta y showcase; { status, folders, showcase, error }
+async function organizeVimeoVideo(videoId, catalog) {
+  if (!VIMEO_ORGANIZE) return { status: 'disabled' };
+  if (!catalog) return { status: 'skipped' };
+
+  const pathParts = catalogFolderPath(catalog);
+  let folders = [];
+  const folder = await addVideoToVimeoContainer('folder', pathParts, async () => {
+    folders = await ensureVimeoFolderPath(pathParts);
+    return folders[folders.length - 1];
+  }, videoId);
+
+  let showcase = null;
+  if (VIMEO_SHOWCASES) {
+    showcase = await addVideoToVimeoContainer('showcase', pathParts, () => ensureVimeoContainer('showcase', pathParts, {
+      description: `Clases de ${catalog.materia}${catalog.carrera ? ` (${catalog.carrera})` : ''}`
+    }), videoId);
+  }
 
-    await waitGeminiFileReady(fileRef, { timeoutMs: 45000, intervalMs: 1200 });
+  return {
+    status: 'done',
+    catalog,
+    folders,
+    folder: { name: folder.name, uri: folder.uri, id: folder.id },
+    showcase: showcase && { name: showcase.name, uri: showcase.uri, id: showcase.id }
+  };
+}
 
-    // 3) Usar la URI completa que retorna Gemini (v1beta format)
-    const fileUriForAnalysis = uploaded?.file?.uri || `https://generativelanguage.googleapis.com/v1beta/${fileRef}`;
+// ====== Capítulos y etiquetas en Vimeo (desde el análisis) ======
+// Capítulos: hook, mapa de la clase, bloques de R5_SEGMENTACION, micro-prácticas y recap.
+// Etiquetas: materia/carrera del catálogo y conceptos de la clase (mapa y pares concepto→demo).
+const VIMEO_CHAPTER_MIN_GAP_SEC = 10; // capítulos más juntos que esto se descartan
+const VIMEO_CHAPTER_TITLE_MAX = 60;
+const VIMEO_MAX_TAGS = 20;
 
-    // 4) Analizar
-    const result = await geminiAnalyze({ 
-      fileUri: fileUriForAnalysis, 
-      mimeType: file.mimetype 
-    });
+const clipText = (text, max) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+};
 
-    // 5) Determinar si califica para Vimeo
-    const qualifiesForVimeo = result.score >= SCORE_THRESHOLD;
+// [{ title, timecode }] ordenados, sin duplicados cercanos y dentro de la duración del video
+function buildVimeoChapters(result, { durationSec = null } = {}) {
+  const s = result?.structure || {};
+  const evidence = (ruleId) => ((result?.findings || []).find(f => f.ruleId === ruleId)?.evidence?.timestamps || [])
+    .filter(t => isTimeNumber(t?.start));
+  const candidates = [];
+  const add = (timecode, title) => {
+    if (isTimeNumber(timecode) && title) candidates.push({ timecode: Math.max(0, Math.floor(timecode)), title: clipText(title, VIMEO_CHAPTER_TITLE_MAX) });
+  };
 
-    // 6) Guardar resultado
-    await ref.set({
-      status: 'done',
-      result,
-      qualifiesForVimeo,
-      scoreThreshold: SCORE_THRESHOLD,
-      vimeoStatus: qualifiesForVimeo ? 'pending' : 'not_applicable',
-      updatedAt: FieldValue.serverTimestamp()
-    }, { merge: true });
+  const hookTypes = { historia: 'una historia', pregunta: 'una pregunta', demo: 'una demostración' };
+  add(isTimeNumber(s.hook?.start) ? s.hook.start : 0, hookTypes[s.hook?.type] ? `Introducción: ${hookTypes[s.hook.type]}` : 'Introducción');
 
-    console.log(`[Análisis] Score ${result.score}% - ${qualifiesForVimeo ? 'Califica' : 'No califica'} para Vimeo (umbral: ${SCORE_THRESHOLD}%)`);
+  const steps = Array.isArray(s.mapa?.steps) ? s.mapa.steps.filter(Boolean) : [];
+  const mapaAt = evidence('R3_MAPA_3PASOS')[0];
+  if (mapaAt) add(mapaAt.start, steps.length ? `Mapa de la clase: ${steps.join(' · ')}` : 'Mapa de la clase');
 
-    return res.json({ 
-      ok: true, 
-      analysisId,
-      score: result.score,
-      qualifiesForVimeo
-    });
+  const inVideo = (t) => !isTimeNumber(durationSec) || t.start < durationSec;
+  evidence('R5_SEGMENTACION').filter(inVideo).forEach((block, i, blocks) => {
+    const label = block.description || block.text || block.desc || steps[i];
+    add(block.start, `Parte ${i + 1} de ${blocks.length}${label ? `: ${label}` : ''}`);
+  });
+
+  (Array.isArray(s.microPracticas) ? s.microPracticas : []).forEach(mp => add(mp?.t, `Práctica: ${mp?.instruccion || 'tu turno'}`));
+
+  const recapAt = evidence('R11_CIERRE_RECAP')[0];
+  if (recapAt) add(recapAt.start, 'Recapitulación');
+
+  candidates.sort((a, b) => a.timecode - b.timecode);
+  const chapters = [];
+  for (const chapter of candidates) {
+    if (isTimeNumber(durationSec) && chapter.timecode >= durationSec) continue;
+    const prev = chapters[chapters.length - 1];
+    if (prev && chapter.timecode - prev.timecode < VIMEO_CHAPTER_MIN_GAP_SEC) continue;
+    chapters.push(chapter);
+  }
+  // El primer capítulo debe empezar en 0
+  if (chapters.length) chapters[0].timecode = 0;
+  return chapters;
+}
+
+function buildVimeoTags(catalog, result) {
+  const s = result?.structure || {};
+  const raw = [
+    catalog?.materia,
+    catalog?.carrera,
+    ...(Array.isArray(s.mapa?.steps) ? s.mapa.steps : []),
+    ...(Array.isArray(s.paresConceptoDemo) ? s.paresConceptoDemo.map(p => p?.concept) : [])
+  ];
+  const seen = new Set();
+  const tags = [];
+  for (const value of raw) {
+    const tag = clipText(value, 40).replace(/[,#]/g, ' ').replace(/\s+/g, ' ').trim();
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) continue;
+    seen.add(key);
+    tags.push(tag);
+  }
+  return tags.slice(0, VIMEO_MAX_TAGS);
+}
+
+async function addVimeoChapters(videoUri, chapters) {
+  const created = [];
+  for (const chapter of chapters) {
+    const { data } = await vimeoApi('post', `${videoUri}/chapters`, chapter);
+    created.push({ ...chapter, uri: data?.uri || null });
+  }
+  console.log(`[Vimeo] ${created.length} capítulos agregados a ${videoUri}`);
+  return created;
+}
+
+async function setVimeoTags(videoUri, tags) {
+  await vimeoApi('put', `${videoUri}/tags`, tags.map(name => ({ name })));
+  console.log(`[Vimeo] Etiquetas de ${videoUri}: ${tags.join(', ')}`);
+}
+
+// ====== Retención temporal cifrada (publicar sin volver a subir) ======
+// Un video que califica para Vimeo se conserva cifrado (AES-256-GCM) en disco local
+// hasta que se publica o vence VIDEO_RETENTION_HOURS; así /uploadToVimeo solo necesita
+// el analysisId. Sin VIDEO_RETENTION_KEY la llave es efímera y la copia no sobrevive a
+// un reinicio. Es disco de esta instancia: otra instancia pedirá el archivo de nuevo.
+const VIDEO_RETENTION_HOURS = Number(process.env.VIDEO_RETENTION_HOURS ?? 24); // 0 = desactivado
+const VIDEO_RETENTION_DIR = process.env.VIDEO_RETENTION_DIR || path.join(os.tmpdir(), 'udel-retained');
+const VIDEO_RETENTION_KEY = process.env.VIDEO_RETENTION_KEY
+  ? crypto.createHash('sha256').update(process.env.VIDEO_RETENTION_KEY).digest()
+  : crypto.randomBytes(32);
+const VIDEO_RETENTION_MAX_BYTES = (Number(process.env.VIDEO_RETENTION_MAX_MB) || 5120) * 1024 * 1024;
+const RETENTION_SWEEP_MS = 10 * 60_000;
+// Solo estos nombres (sha256 del analysisId) son de esta sección; nada más de la carpeta se toca
+const RETAINED_FILE_RE = /^[0-9a-f]{64}\.(enc|json)$/;
+
+fs.mkdirSync(VIDEO_RETENTION_DIR, { recursive: true, mode: 0o700 });
+// Con llave efímera lo retenido antes del reinicio ya no se puede descifrar
+if (!process.env.VIDEO_RETENTION_KEY) {
+  for (const name of fs.readdirSync(VIDEO_RETENTION_DIR)) {
+    if (RETAINED_FILE_RE.test(name)) fs.rmSync(path.join(VIDEO_RETENTION_DIR, name), { force: true });
+  }
+}
+
+// El analysisId lo elige el cliente: en disco solo se usa su hash
+function retainedPaths(analysisId) {
+  const base = path.join(VIDEO_RETENTION_DIR, crypto.createHash('sha256').update(String(analysisId)).digest('hex'));
+  return { data: `${base}.enc`, meta: `${base}.json` };
+}
+
+async function discardRetainedVideo(analysisId) {
+  const { data, meta } = retainedPaths(analysisId);
+  await removeTempFile(data);
+  await removeTempFile(meta);
+}
+
+// Metadatos de las copias en disco, de la que vence primero a la última
+async function listRetainedVideos() {
+  const entries = [];
+  for (const name of await fs.promises.readdir(VIDEO_RETENTION_DIR)) {
+    if (!RETAINED_FILE_RE.test(name) || !name.endsWith('.json')) continue;
+    try {
+      entries.push(JSON.parse(await fs.promises.readFile(path.join(VIDEO_RETENTION_DIR, name), 'utf8')));
+    } catch {
+      // Metadatos ilegibles: el barrido de vencidos no los ve, pero tampoco ocupan presupuesto
+    }
+  }
+  return entries.sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+}
+
+async function forgetRetainedVideo(analysisId) {
+  await discardRetainedVideo(analysisId);
+  await db.collection('analyses').doc(analysisId).update({ retainedVideo: FieldValue.delete() })
+    .catch(e => console.warn('[Retención] No se pudo actualizar el análisis:', e?.message));
+}
+
+// Libera espacio para `bytes` dentro de VIDEO_RETENTION_MAX_BYTES desalojando las copias más viejas.
+// Devuelve false si el video por sí solo no cabe en el presupuesto
+async function makeRetentionRoom(analysisId, bytes) {
+  if (bytes > VIDEO_RETENTION_MAX_BYTES) return false;
+  const entries = (await listRetainedVideos()).filter(e => e.analysisId !== analysisId);
+  let used = entries.reduce((sum, e) => sum + (Number(e.size) || 0), 0);
+  for (const entry of entries) {
+    if (used + bytes <= VIDEO_RETENTION_MAX_BYTES) break;
+    await forgetRetainedVideo(entry.analysisId);
+    used -= Number(entry.size) || 0;
+    console.log(`[Retención] Copia de ${entry.analysisId} desalojada por falta de espacio`);
+  }
+  return true;
+}
+
+// Las retenciones se hacen una a la vez para que el presupuesto no se rebase entre dos análisis
+let retentionChain = Promise.resolve();
+
+// Cifra el archivo temporal del análisis; devuelve lo que se guarda en el documento (o null si no cabe)
+function retainVideo(analysisId, file) {
+  const run = retentionChain.then(() => retainVideoNow(analysisId, file));
+  retentionChain = run.catch(() => {});
+  return run;
+}
+
+async function retainVideoNow(analysisId, file) {
+  if (!(await makeRetentionRoom(analysisId, file.size))) {
+    console.warn(`[Retención] El video de ${analysisId} excede VIDEO_RETENTION_MAX_MB; no se retiene`);
+    await discardRetainedVideo(analysisId);
+    return null;
+  }
+
+  const { data, meta } = retainedPaths(analysisId);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', VIDEO_RETENTION_KEY, iv);
+  try {
+    await pipeline(fs.createReadStream(file.path), cipher, fs.createWriteStream(data, { mode: 0o600 }));
   } catch (e) {
-    console.error('analyzeVideo error:', e?.response?.status, e?.response?.data || String(e));
+    await removeTempFile(data);
+    throw e;
+  }
+
+  const expiresAt = new Date(Date.now() + VIDEO_RETENTION_HOURS * 3_600_000);
+  await fs.promises.writeFile(meta, JSON.stringify({
+    analysisId,
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    sha256: file.sha256 || null,
+    expiresAt: expiresAt.toISOString()
+  }), { mode: 0o600 });
+
+  console.log(`[Retención] Video de ${analysisId} retenido hasta ${expiresAt.toISOString()}`);
+  return { expiresAt, size: file.size, sha256: file.sha256 || null, host: os.hostname() };
+}
+
+// Descifra la copia retenida a un archivo temporal (como si viniera de multer) o null si no hay / venció
+async function restoreRetainedVideo(analysisId) {
+  const { data, meta } = retainedPaths(analysisId);
+  let info;
+  try {
+    info = JSON.parse(await fs.promises.readFile(meta, 'utf8'));
+  } catch {
+    return null;
+  }
+  if (new Date(info.expiresAt) <= new Date()) {
+    await discardRetainedVideo(analysisId);
+    return null;
+  }
+
+  const outPath = path.join(UPLOAD_TMP_DIR, `${Date.now()}-${crypto.randomUUID()}${path.extname(info.originalname || '') || '.mp4'}`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', VIDEO_RETENTION_KEY, Buffer.from(info.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(info.authTag, 'base64'));
+  try {
+    await pipeline(fs.createReadStream(data), decipher, fs.createWriteStream(outPath));
+  } catch (e) {
+    // Llave distinta o archivo alterado: la copia no sirve
+    console.warn(`[Retención] No se pudo descifrar el video de ${analysisId}:`, e.message);
+    await removeTempFile(outPath);
+    await discardRetainedVideo(analysisId);
+    return null;
+  }
+
+  return { path: outPath, originalname: info.originalname, mimetype: info.mimetype, size: info.size, sha256: info.sha256 };
+}
+
+// Borra del disco las copias vencidas y lo refleja en su análisis
+async function sweepExpiredRetainedVideos() {
+  const expired = [];
+  for (const info of await listRetainedVideos()) {
+    if (new Date(info.expiresAt) > new Date()) break;
+    await forgetRetainedVideo(info.analysisId);
+    expired.push(info.analysisId);
+  }
+  if (expired.length) console.log(`[Retención] ${expired.length} videos vencidos borrados`);
+  return expired;
+}
+
+function scheduleRetentionSweep() {
+  if (!(VIDEO_RETENTION_HOURS > 0)) return;
+  setInterval(() => {
+    sweepExpiredRetainedVideos().catch(e => console.warn('[Retención] Error al limpiar:', e?.message));
+  }, RETENTION_SWEEP_MS).unref();
+}
+
+// ====== Descarga de videos por URL (Dropbox, Vimeo, enlaces directos) ======
+const VIDEO_EXTENSION_MIME = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.mpeg': 'video/mpeg',
+  '.mpg': 'video/mpeg'
+};
+
+const MAX_URL_REDIRECTS = 5;
+
+// Rangos que no son internet pública: loopback, privados, link-local (metadatos de la nube),
+// CGNAT, multicast/reservados y NAT64. BlockList también compara las IPv6 con IPv4 embebida
+// (::ffff:127.0.0.1 = ::ffff:7f00:1) contra los rangos IPv4
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const a = String(address).replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  const version = net.isIP(a);
+  if (!version) return true; // Lo que no es una IP válida no se considera público
+  return PRIVATE_ADDRESSES.check(a, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Revisión por nombre/literal; los nombres DNS se validan además por lo que resuelven
+function isPrivateHostname(hostname) {
+  const h = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (h === 'localhost' || h.endsWith('.localhost') || h.endsWith('.local') || h.endsWith('.internal')) return true;
+  return net.isIP(h) ? isPrivateAddress(h) : false;
+}
+
+// dns.lookup que falla si alguna dirección del nombre es interna. Va en los agentes HTTP de las
+// peticiones a URLs de usuarios, así la IP validada es la misma a la que se conecta (sin DNS rebinding)
+function publicOnlyLookup(hostname, options, callback) {
+  if (typeof options === 'function') { callback = options; options = {}; }
+  if (typeof options === 'number') options = { family: options };
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`Dirección no permitida para ${hostname}`), { code: 'EADDRNOTALLOWED', httpStatus: 400 }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicHttpAgent = new http.Agent({ keepAlive: false, lookup: publicOnlyLookup });
+const publicHttpsAgent = new https.Agent({ keepAlive: false, lookup: publicOnlyLookup });
+
+// Valida que la URL sea http(s) y que su host no sea ni resuelva a una dirección interna.
+// Devuelve el URL parseado o lanza un error con httpStatus 400
+async function assertPublicUrl(rawUrl, label = 'URL') {
+  let url;
+  try {
+    url = new URL(String(rawUrl).trim());
+  } catch {
+    throw Object.assign(new Error(`${label} inválida`), { httpStatus: 400 });
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw Object.assign(new Error(`${label} no permitida (solo http(s) públicas)`), { httpStatus: 400 });
+  }
+  const notAllowed = () => Object.assign(new Error(`${label} no permitida`), { httpStatus: 400 });
+  if (isPrivateHostname(url.hostname)) throw notAllowed();
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!net.isIP(host)) {
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch {
+      throw Object.assign(new Error(`${label}: no se pudo resolver ${host}`), { httpStatus: 400 });
+    }
+    if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) throw notAllowed();
+  }
+  return url;
+}
+
+// Petición a una URL externa siguiendo las redirecciones a mano: cada Location se valida antes
+// de conectarse. Devuelve { response, url } con la URL final
+async function requestPublicUrl(config) {
+  let url = config.url;
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(url);
+    const response = await axios.request({
+      ...config,
+      url,
+      maxRedirects: 0,
+      httpAgent: publicHttpAgent,
+      httpsAgent: publicHttpsAgent,
+      validateStatus: (status) => status >= 200 && status < 400
+    });
+    if (response.status < 300) return { response, url };
+
+    if (config.responseType === 'stream') response.data.destroy();
+    const location = response.headers.location;
+    if (!location) throw new Error(`Redirección HTTP ${response.status} sin Location`);
+    if (hop >= MAX_URL_REDIRECTS) throw new Error(`Demasiadas redirecciones (más de ${MAX_URL_REDIRECTS})`);
+    url = new URL(location, url).toString();
+  }
+}
+
+// Infere el MIME de video a partir del content-type o, si es genérico, de la extensión
+function resolveVideoMime(contentType, fileName) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type.startsWith('video/')) return type;
+  if (!type || type === 'application/octet-stream' || type === 'binary/octet-stream') {
+    return VIDEO_EXTENSION_MIME[path.extname(fileName || '').toLowerCase()] || null;
+  }
+  return null;
+}
+
+function fileNameFromResponse(headers, url) {
+  const disposition = headers?.['content-disposition'] || '';
+  const m = disposition.match(/filename\*=UTF-8''([^;]+)/i) || disposition.match(/filename="?([^";]+)"?/i);
+  if (m) {
+    try { return decodeURIComponent(m[1]); } catch { return m[1]; }
+  }
+  const last = new URL(url).pathname.split('/').filter(Boolean).pop();
+  try { return last ? decodeURIComponent(last) : 'video.mp4'; } catch { return last || 'video.mp4'; }
+}
+
+// Convierte un enlace compartido en uno descargable
+// Devuelve { kind: 'dropbox' | 'vimeo' | 'direct', downloadUrl, originalUrl }
+async function resolveVideoSourceUrl(rawUrl) {
+  const url = await assertPublicUrl(rawUrl);
+
+  const host = url.hostname.toLowerCase();
+
+  // Dropbox: ?dl=0 muestra la página de vista previa; dl=1 entrega el archivo
+  if (host === 'dropbox.com' || host.endsWith('.dropbox.com')) {
+    url.searchParams.delete('raw');
+    url.searchParams.set('dl', '1');
+    return { kind: 'dropbox', downloadUrl: url.toString(), originalUrl: String(rawUrl) };
+  }
+
+  // Vimeo: se pide a la API el enlace de descarga (requiere permiso video_files)
+  if (host === 'vimeo.com' || host.endsWith('.vimeo.com')) {
+    const videoId = url.pathname.match(/(?:^|\/)(\d{5,})(?:\/|$)/)?.[1];
+    if (!videoId) throw Object.assign(new Error('No se reconoce el ID del video de Vimeo'), { httpStatus: 400 });
+    if (!VIMEO_ACCESS_TOKEN) throw Object.assign(new Error('VIMEO_ACCESS_TOKEN no configurado'), { httpStatus: 503 });
+
+    const { data } = await axios.get(`https://api.vimeo.com/videos/${videoId}`, {
+      params: { fields: 'name,download' },
+      headers: {
+        'Authorization': `Bearer ${VIMEO_ACCESS_TOKEN}`,
+        'Accept': 'application/vnd.vimeo.*+json;version=3.4'
+      },
+      timeout: 20_000
+    });
+
+    // La versión de mayor calidad que quepa en el límite
+    const renditions = (data?.download || [])
+      .filter(d => d.link && (!d.size || d.size <= MAX_VIDEO_BYTES))
+      .sort((a, b) => (b.height || 0) - (a.height || 0));
+    if (!renditions.length) {
+      throw Object.assign(new Error('El video de Vimeo no tiene descargas disponibles dentro del límite'), { httpStatus: 422 });
+    }
+
+    return { kind: 'vimeo', downloadUrl: renditions[0].link, originalUrl: String(rawUrl), name: data?.name || null };
+  }
+
+  return { kind: 'direct', downloadUrl: url.toString(), originalUrl: String(rawUrl) };
+}
+
+// Chequeo rápido (HEAD) para rechazar antes de encolar lo que claramente no es un video
+async function preflightVideoUrl(downloadUrl) {
+  try {
+    const { response: r, url } = await requestPublicUrl({ method: 'head', url: downloadUrl, timeout: 15_000 });
+    const size = Number(r.headers['content-length']) || null;
+    const mimeType = resolveVideoMime(r.headers['content-type'], fileNameFromResponse(r.headers, url));
+    return { size, mimeType, contentType: r.headers['content-type'] || null };
+  } catch (e) {
+    // Hay servidores que no aceptan HEAD; la descarga vuelve a validar todo
+    if ([403, 405, 501].includes(e?.response?.status)) return null;
+    throw e;
+  }
+}
+
+// Descarga el video a un archivo temporal con límite de tamaño.
+// Devuelve un objeto con la misma forma que el de multer: { path, size, mimetype, originalname }
+async function downloadVideoToTemp(downloadUrl, { fileName } = {}) {
+  const { response, url } = await requestPublicUrl({
+    method: 'get',
+    url: downloadUrl,
+    responseType: 'stream',
+    timeout: 60_000,
+    maxContentLength: MAX_VIDEO_BYTES
+  });
+
+  const originalname = fileName || fileNameFromResponse(response.headers, url);
+  const mimetype = resolveVideoMime(response.headers['content-type'], originalname);
+  const declared = Number(response.headers['content-length']) || null;
+
+  if (!mimetype) {
+    response.data.destroy();
+    throw new Error(`El recurso no es un video (content-type: ${response.headers['content-type'] || 'desconocido'})`);
+  }
+  if (declared && declared > MAX_VIDEO_BYTES) {
+    response.data.destroy();
+    throw new Error(`El video excede el límite de ${MAX_VIDEO_BYTES / 1024 / 1024} MB`);
+  }
+
+  const filePath = path.join(UPLOAD_TMP_DIR, `${Date.now()}-${crypto.randomUUID()}${path.extname(originalname) || '.mp4'}`);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const out = fs.createWriteStream(filePath);
+
+  try {
+    await new Promise((resolve, reject) => {
+      response.data.on('data', (chunk) => {
+        hash.update(chunk);
+        size += chunk.length;
+        if (size > MAX_VIDEO_BYTES) {
+          response.data.destroy(new Error(`El video excede el límite de ${MAX_VIDEO_BYTES / 1024 / 1024} MB`));
+        }
+      });
+      response.data.on('error', reject);
+      out.on('error', reject);
+      out.on('finish', resolve);
+      response.data.pipe(out);
+    });
+  } catch (e) {
+    // pipe no cierra el destino cuando falla el origen: se libera el descriptor antes de borrar
+    response.data.destroy();
+    out.destroy();
+    await removeTempFile(filePath);
+    throw e;
+  }
+
+  if (size === 0) {
+    await removeTempFile(filePath);
+    throw new Error('La descarga del video está vacía');
+  }
+
+  return { path: filePath, size, mimetype, originalname, sha256: hash.digest('hex') };
+}
+
+// Busca en el catálogo (Google Sheet) la clase indicada
+async function findCatalogEntry({ materia, carrera, cuatrimestre, modulo } = {}, { requireUrl = true } = {}) {
+  if (!materia) return null;
+  const norm = v => String(v || '').trim().toLowerCase();
+  const allClases = await getGoogleSheetData();
+
+  return allClases.find(c =>
+    (c.hasUrl || !requireUrl)
+    && norm(c.materia) === norm(materia)
+    && (!carrera || norm(c.carrera) === norm(carrera))
+    && (!cuatrimestre || norm(c.cuatrimestre) === norm(cuatrimestre))
+    && (!modulo || norm(c.modulo) === norm(modulo))
+  ) || null;
+}
+
+// ====== ffmpeg / ffprobe (herramientas locales) ======
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Ejecuta un proceso y junta su salida; rechaza si falla o excede el timeout
+function runProcess(command, args, { timeoutMs = 10 * 60_000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${command} excedió el tiempo límite (${Math.round(timeoutMs / 1000)}s)`));
+    }, timeoutMs);
+
+    child.stdout.on('data', d => { stdout += d; });
+    // ffmpeg escribe todo su log en stderr: conservamos solo el final
+    child.stderr.on('data', d => { stderr = (stderr + d).slice(-2 * 1024 * 1024); });
+    child.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e.code === 'ENOENT' ? new Error(`No se encontró ${command} (instala ffmpeg o configura FFMPEG_PATH/FFPROBE_PATH)`) : e);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve({ stdout, stderr });
+      reject(new Error(`${command} terminó con código ${code}: ${stderr.split('\n').filter(Boolean).slice(-3).join(' | ')}`));
+    });
+  });
+}
+
+// Metadatos del contenedor y streams (ffprobe -show_format -show_streams)
+async function probeMedia(filePath) {
+  const { stdout } = await runProcess(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath
+  ], { timeoutMs: 60_000 });
+  return JSON.parse(stdout);
+}
+
+async function probeDurationSec(filePath) {
+  const probe = await probeMedia(filePath);
+  const duration = Number(probe?.format?.duration);
+  return Number.isFinite(duration) ? duration : null;
+}
+
+// Copia un tramo sin recodificar (el corte cae en el keyframe previo)
+async function cutVideoSegment(filePath, startSec, durationSec, outPath) {
+  await runProcess(FFMPEG_PATH, [
+    '-v', 'error',
+    '-ss', String(startSec),
+    '-i', filePath,
+    '-t', String(durationSec),
+    '-map', '0:v:0?',
+    '-map', '0:a:0?',
+    '-c', 'copy',
+    '-avoid_negative_ts', 'make_zero',
+    '-y', outPath
+  ]);
+  return outPath;
+}
+
+// ====== Métricas técnicas medidas (ffprobe / ebur128 / astats) ======
+// R14/R15 no dependen de lo que el modelo "crea" ver u oír: se miden aquí
+// y se califican con reglas fijas.
+const SILENCE_THRESHOLD_DB = -50;
+const SILENCE_MIN_SEC = 2;
+
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num) return null;
+  const fps = den ? num / den : num;
+  return Number.isFinite(fps) ? Math.round(fps * 100) / 100 : null;
+}
+
+function toMbps(bitsPerSecond) {
+  const n = Number(bitsPerSecond);
+  return Number.isFinite(n) && n > 0 ? Math.round((n / 1_000_000) * 100) / 100 : null;
+}
+
+function matchNumber(text, regex) {
+  const m = text.match(regex);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Loudness (EBU R128), true peak, picos/ruido (astats) y silencios en una sola pasada
+async function measureAudio(filePath) {
+  const { stderr } = await runProcess(FFMPEG_PATH, [
+    '-hide_banner', '-nostats',
+    '-i', filePath,
+    '-vn',
+    '-af', `ebur128=peak=true:framelog=verbose,astats=metadata=0,silencedetect=noise=${SILENCE_THRESHOLD_DB}dB:d=${SILENCE_MIN_SEC}`,
+    '-f', 'null', '-'
+  ], { timeoutMs: 15 * 60_000 });
+
+  const summary = stderr.slice(stderr.lastIndexOf('Summary:'));
+  const overall = stderr.slice(stderr.lastIndexOf('Overall'));
+
+  const silences = [];
+  const silenceRegex = /silence_start: (-?[\d.]+)[\s\S]*?silence_end: ([\d.]+)/g;
+  let m;
+  while ((m = silenceRegex.exec(stderr)) !== null) {
+    silences.push({ start: Math.max(0, Number(m[1])), end: Number(m[2]) });
+  }
+
+  const samplePeakDb = matchNumber(overall, /Peak level dB:\s*(-?[\d.]+|-inf)/);
+
+  return {
+    lufs: matchNumber(summary, /I:\s*(-?[\d.]+)\s*LUFS/),
+    lra: matchNumber(summary, /LRA:\s*(-?[\d.]+)\s*LU/),
+    true_peak_db: matchNumber(summary, /Peak:\s*(-?[\d.]+)\s*dBFS/),
+    sample_peak_db: samplePeakDb,
+    noise_floor_db: matchNumber(overall, /Noise floor dB:\s*(-?[\d.]+)/),
+    rms_db: matchNumber(overall, /RMS level dB:\s*(-?[\d.]+)/),
+    // Pico de muestra a escala completa => recorte digital
+    clipping: samplePeakDb === null ? null : samplePeakDb >= -0.1,
+    silences: silences.slice(0, 200),
+    silence_total_sec: Math.round(silences.reduce((acc, x) => acc + (x.end - x.start), 0) * 10) / 10
+  };
+}
+
+// Mide contenedor, video y audio del archivo. Devuelve null en cada bloque que no se pudo medir.
+async function measureMediaMetrics(filePath) {
+  const probe = await probeMedia(filePath);
+  const videoStream = (probe.streams || []).find(st => st.codec_type === 'video' && st.disposition?.attached_pic !== 1);
+  const audioStream = (probe.streams || []).find(st => st.codec_type === 'audio');
+  const durationSec = Number(probe.format?.duration) || null;
+
+  const container = {
+    format: probe.format?.format_name || null,
+    duration_sec: durationSec,
+    bitrate_mbps: toMbps(probe.format?.bit_rate),
+    size_bytes: Number(probe.format?.size) || null
+  };
+
+  const video = videoStream ? {
+    codec: videoStream.codec_name || null,
+    width: videoStream.width || null,
+    height: videoStream.height || null,
+    resolution_px: videoStream.width && videoStream.height ? `${videoStream.width}x${videoStream.height}` : null,
+    fps: parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate),
+    bitrate_mbps: toMbps(videoStream.bit_rate) || container.bitrate_mbps
+  } : null;
+
+  let audio = null;
+  if (audioStream) {
+    audio = {
+      codec: audioStream.codec_name || null,
+      sample_rate_hz: Number(audioStream.sample_rate) || null,
+      channels: audioStream.channels || null,
+      bitrate_kbps: Number(audioStream.bit_rate) ? Math.round(Number(audioStream.bit_rate) / 1000) : null
+    };
+    try {
+      Object.assign(audio, await measureAudio(filePath));
+    } catch (e) {
+      console.warn('[Métricas] No se pudo medir el audio:', e.message);
+    }
+  }
+
+  return { container, video, audio, measuredAt: new Date().toISOString() };
+}
+
+// Suma puntos de los criterios conocidos y reescala a 0–100 (null si no hay ninguno)
+function scoreFromParts(parts) {
+  const known = parts.filter(p => p.points !== null);
+  if (!known.length) return null;
+  const max = known.reduce((acc, p) => acc + p.max, 0);
+  return Math.round((known.reduce((acc, p) => acc + p.points, 0) / max) * 100);
+}
+
+function scoreMeasuredVideo(video) {
+  if (!video) return { subScore: null, notes: [] };
+  const notes = [];
+  const height = video.height ? Math.min(video.height, video.width || video.height) : null;
+
+  const resolution = height === null ? null : height >= 1080 ? 40 : height >= 720 ? 25 : height >= 480 ? 10 : 0;
+  if (resolution !== null && resolution < 40) notes.push(`Resolución ${video.resolution_px} por debajo de 1080p`);
+
+  const fps = video.fps === null ? null : video.fps >= 24 ? 30 : video.fps >= 20 ? 15 : 0;
+  if (fps !== null && fps < 30) notes.push(`${video.fps} fps (mínimo 24)`);
+
+  // Bitrate esperado según resolución (H.264 para contenido educativo)
+  const targetMbps = height >= 1080 ? 4 : height >= 720 ? 2.5 : 1;
+  const bitrate = video.bitrate_mbps === null ? null
+    : video.bitrate_mbps >= targetMbps ? 30 : video.bitrate_mbps >= targetMbps / 2 ? 15 : 5;
+  if (bitrate !== null && bitrate < 30) notes.push(`Bitrate ${video.bitrate_mbps} Mbps (recomendado ≥ ${targetMbps})`);
+
+  return {
+    subScore: scoreFromParts([
+      { points: resolution, max: 40 },
+      { points: fps, max: 30 },
+      { points: bitrate, max: 30 }
+    ]),
+    notes
+  };
+}
+
+function scoreMeasuredAudio(audio) {
+  if (!audio) return { subScore: null, notes: [] };
+  const notes = [];
+
+  let loudness = null;
+  if (audio.lufs !== null && audio.lufs !== undefined) {
+    const outside = audio.lufs < -16 ? -16 - audio.lufs : audio.lufs > -12 ? audio.lufs - -12 : 0;
+    loudness = outside === 0 ? 25 : outside <= 3 ? 12 : 0;
+    if (outside > 0) notes.push(`Loudness ${audio.lufs} LUFS (objetivo -16 a -12)`);
+  }
+
+  const peak = audio.true_peak_db ?? null;
+  const peakPoints = peak === null ? null : peak <= -1 ? 20 : peak <= 0 ? 10 : 0;
+  if (peakPoints !== null && peakPoints < 20) notes.push(`True peak ${peak} dBTP (máximo -1)`);
+
+  const noise = audio.noise_floor_db ?? null;
+  const noisePoints = noise === null ? null : noise < -50 ? 20 : noise < -40 ? 10 : 0;
+  if (noisePoints !== null && noisePoints < 20) notes.push(`Ruido de fondo ${noise} dBFS (objetivo < -50)`);
+
+  const rate = audio.sample_rate_hz ?? null;
+  const ratePoints = rate === null ? null : rate >= 44100 ? 15 : rate >= 32000 ? 7 : 0;
+  if (ratePoints !== null && ratePoints < 15) notes.push(`Sample rate ${rate} Hz (mínimo 44.1 kHz)`);
+
+  const clipPoints = audio.clipping === null || audio.clipping === undefined ? null : audio.clipping ? 0 : 20;
+  if (audio.clipping) notes.push('Se detectó recorte (clipping) digital');
+
+  return {
+    subScore: scoreFromParts([
+      { points: loudness, max: 25 },
+      { points: peakPoints, max: 20 },
+      { points: noisePoints, max: 20 },
+      { points: ratePoints, max: 15 },
+      { points: clipPoints, max: 20 }
+    ]),
+    notes
+  };
+}
+
+// Sobrescribe mediaAnalysis/metrics con lo medido y califica las reglas `measured`
+function applyMeasuredMedia(result, measured, rubric = DEFAULT_RUBRIC) {
+  if (!measured) return result;
+  const { video, audio, container } = measured;
+  const media = result.mediaAnalysis || {};
+  const metrics = { ...(result.metrics || {}) };
+  const setIfKnown = (obj, key, value) => { if (value !== null && value !== undefined) obj[key] = value; };
+
+  const mediaVideo = { ...(media.video || {}) };
+  if (video) {
+    setIfKnown(mediaVideo, 'resolution_px', video.resolution_px);
+    setIfKnown(mediaVideo, 'fps', video.fps);
+    setIfKnown(mediaVideo, 'bitrate_mbps', video.bitrate_mbps);
+    setIfKnown(metrics, 'video_resolution_px', video.resolution_px);
+    setIfKnown(metrics, 'video_fps', video.fps);
+    setIfKnown(metrics, 'video_bitrate_mbps', video.bitrate_mbps);
+  }
+
+  const mediaAudio = { ...(media.audio || {}) };
+  if (audio) {
+    setIfKnown(mediaAudio, 'lufs', audio.lufs);
+    setIfKnown(mediaAudio, 'peak_db', audio.true_peak_db);
+    setIfKnown(mediaAudio, 'noise_floor_db', audio.noise_floor_db);
+    setIfKnown(mediaAudio, 'sample_rate_hz', audio.sample_rate_hz);
+    setIfKnown(mediaAudio, 'channels', audio.channels);
+    setIfKnown(mediaAudio, 'clipping', audio.clipping);
+    setIfKnown(metrics, 'audio_lufs', audio.lufs);
+    setIfKnown(metrics, 'audio_peak_db', audio.true_peak_db);
+    setIfKnown(metrics, 'noise_floor_db', audio.noise_floor_db);
+    setIfKnown(metrics, 'sample_rate_hz', audio.sample_rate_hz);
+    setIfKnown(metrics, 'audio_channels', audio.channels);
+  }
+  if (container?.duration_sec) metrics.duracion_min = Math.round((container.duration_sec / 60) * 10) / 10;
+
+  const unknownRules = new Set(result.unknownRules || []);
+  const findings = (result.findings || []).map(f => {
+    const rule = (rubric.rules || []).find(r => r.id === f.ruleId);
+    if (!rule?.measured) return f;
+
+    const { subScore, notes } = rule.measured === 'video' ? scoreMeasuredVideo(video) : scoreMeasuredAudio(audio);
+    if (subScore === null) return f;
+
+    unknownRules.delete(f.ruleId);
+    const measuredNote = notes.length ? `Medido: ${notes.join('; ')}.` : 'Medido: dentro de los estándares técnicos.';
+    return {
+      ...f,
+      ok: subScore >= 70,
+      subScore,
+      modelSubScore: f.subScore ?? null,
+      note: f.note ? `${measuredNote} ${f.note}` : measuredNote,
+      evidence: { ...(f.evidence || {}), meta: rule.measured === 'video' ? video : audio },
+      measured: true
+    };
+  });
+
+  return {
+    ...result,
+    findings,
+    unknownRules: [...unknownRules],
+    mediaAnalysis: { ...media, video: mediaVideo, audio: mediaAudio },
+    metrics,
+    measuredMedia: measured
+  };
+}
+
+// ====== Análisis segmentado (videos largos) ======
+// Los videos largos se parten en tramos solapados; cada tramo se analiza por
+// separado y los hallazgos se fusionan con timestamps absolutos.
+const SEGMENT_LENGTH_SEC = Number(process.env.SEGMENT_LENGTH_SEC) || 600;
+const SEGMENT_OVERLAP_SEC = Number(process.env.SEGMENT_OVERLAP_SEC) || 30;
+const SEGMENT_AUTO_THRESHOLD_SEC = Number(process.env.SEGMENT_AUTO_THRESHOLD_SEC ?? 1200); // 0 = nunca automático
+const ANALYSIS_MODES = ['auto', 'full', 'segmented'];
+
+function formatTimestamp(totalSec) {
+  const sec = Math.max(0, Math.round(Number(totalSec) || 0));
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const ss = String(sec % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+// [{ index, count, start, end }] con `overlap` segundos compartidos entre tramos vecinos
+function planSegments(durationSec, { length = SEGMENT_LENGTH_SEC, overlap = SEGMENT_OVERLAP_SEC } = {}) {
+  const step = Math.max(60, length - overlap);
+  const segments = [];
+  for (let start = 0; start < durationSec; start += step) {
+    const end = Math.min(durationSec, start + length);
+    // Un último tramo muy corto se absorbe en el anterior
+    if (segments.length && durationSec - start < overlap + 60) {
+      segments[segments.length - 1].end = durationSec;
+      break;
+    }
+    segments.push({ index: segments.length, start, end });
+    if (end >= durationSec) break;
+  }
+  return segments.map(seg => ({ ...seg, count: segments.length }));
+}
+
+function isTimeNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+// Cada instante del solape pertenece al tramo cuyo centro queda más cerca
+function segmentOwnsTime(segments, i, t) {
+  if (!isTimeNumber(t)) return true;
+  const lo = i === 0 ? -Infinity : segments[i].start + (segments[i - 1].end - segments[i].start) / 2;
+  const hi = i === segments.length - 1 ? Infinity : segments[i + 1].start + (segments[i].end - segments[i + 1].start) / 2;
+  return t >= lo && t < hi;
+}
+
+function shiftTimeFields(items, offset, fields) {
+  return (Array.isArray(items) ? items : []).map(item => {
+    if (!item || typeof item !== 'object') return item;
+    const copy = { ...item };
+    for (const f of fields) if (isTimeNumber(copy[f])) copy[f] = copy[f] + offset;
+    return copy;
+  });
+}
+
+// Pasa a absolutos los timestamps de un resultado de segmento y descarta lo que cae en el solape ajeno
+function absolutizeSegmentResult(result, segments, i) {
+  const offset = segments[i].start;
+  const own = (t) => segmentOwnsTime(segments, i, t);
+  const s = result.structure || {};
+  const pacing = result.pacing || {};
+  const compliance = result.compliance || {};
+  const media = result.mediaAnalysis || {};
+
+  return {
+    ...result,
+    findings: (result.findings || []).map(f => {
+      const evidence = f.evidence || {};
+      return {
+        ...f,
+        evidence: {
+          ...evidence,
+          ...(Array.isArray(evidence.timestamps) && {
+            timestamps: shiftTimeFields(evidence.timestamps, offset, ['start', 'end']).filter(t => own(t?.start))
+          }),
+          ...(Array.isArray(evidence.pairs) && {
+            pairs: shiftTimeFields(evidence.pairs, offset, ['demoT']).filter(p => own(p?.demoT))
+          })
+        }
+      };
+    }),
+    structure: {
+      ...s,
+      hook: s.hook ? shiftTimeFields([s.hook], offset, ['start', 'end'])[0] : s.hook,
+      paresConceptoDemo: shiftTimeFields(s.paresConceptoDemo, offset, ['demoT']).filter(p => own(p?.demoT)),
+      microPracticas: shiftTimeFields(s.microPracticas, offset, ['t']).filter(m => own(m?.t)),
+      recuperacion: shiftTimeFields(s.recuperacion, offset, ['t']).filter(r => own(r?.t)),
+      casoReal: s.casoReal ? shiftTimeFields([s.casoReal], offset, ['t'])[0] : s.casoReal
+    },
+    pacing: {
+      ...pacing,
+      longSegments: shiftTimeFields(pacing.longSegments, offset, ['start', 'end']).filter(l => own(l?.start))
+    },
+    compliance: {
+      ...compliance,
+      bulletsBreaches: shiftTimeFields(compliance.bulletsBreaches, offset, ['t']).filter(b => own(b?.t))
+    },
+    mediaAnalysis: {
+      video: {
+        ...(media.video || {}),
+        issues: shiftTimeFields(media.video?.issues, offset, ['t']).filter(x => own(x?.t))
+      },
+      audio: {
+        ...(media.audio || {}),
+        issues: shiftTimeFields(media.audio?.issues, offset, ['t']).filter(x => own(x?.t))
+      }
+    }
+  };
+}
+
+// false si algún tramo dice false, true si todos dicen true, null si no hay datos
+function mergeBooleans(values) {
+  const known = values.filter(v => typeof v === 'boolean');
+  if (!known.length) return null;
+  return known.every(Boolean);
+}
+
+function firstKnown(values) {
+  return values.find(v => v !== null && v !== undefined && v !== 'unknown') ?? null;
+}
+
+function uniqueStrings(values) {
+  return [...new Set(values.filter(v => typeof v === 'string' && v.trim()))];
+}
+
+// Mezcla los objetos de `values` campo por campo (booleanos con mergeBooleans,
+// el resto con el primer valor conocido); `issues` se concatena ordenado
+function mergeFlatObjects(values) {
+  const keys = new Set(values.flatMap(v => Object.keys(v || {})));
+  const merged = {};
+  for (const key of keys) {
+    const vals = values.map(v => v?.[key]);
+    if (key === 'issues') {
+      merged.issues = vals.flatMap(v => (Array.isArray(v) ? v : [])).sort((a, b) => (a?.t ?? 0) - (b?.t ?? 0));
+    } else if (vals.some(v => typeof v === 'boolean')) {
+      merged[key] = mergeBooleans(vals);
+    } else {
+      merged[key] = firstKnown(vals);
+    }
+  }
+  return merged;
+}
+
+// Fusiona los resultados (ya absolutos) de cada tramo en un solo reporte
+function mergeSegmentResults(results, segments, rubric = DEFAULT_RUBRIC) {
+  const first = results[0] || {};
+  const last = results[results.length - 1] || {};
+  const durations = segments.map(seg => seg.end - seg.start);
+  const totalDuration = segments.length ? segments[segments.length - 1].end : 0;
+
+  const findings = (rubric.rules || []).map(rule => {
+    const perSegment = results.map((r, i) => ({
+      i,
+      unknown: (r.unknownRules || []).includes(rule.id),
+      finding: (r.findings || []).find(f => f.ruleId === rule.id)
+    }));
+
+    // Reglas globales: se toma el veredicto del tramo que corresponde
+    if (rule.segmentScope) {
+      const pick = perSegment[rule.segmentScope === 'first' ? 0 : perSegment.length - 1];
+      return { finding: { ...(pick.finding || { ruleId: rule.id, ok: false, subScore: null, note: '', evidence: {}, suggestions: '' }), segmentScope: rule.segmentScope }, unknown: pick.unknown || !pick.finding };
+    }
+
+    const known = perSegment.filter(p => !p.unknown && p.finding && isTimeNumber(p.finding.subScore));
+    if (!known.length) {
+      return { finding: perSegment[0]?.finding || { ruleId: rule.id, ok: false, subScore: null, note: '', evidence: {}, suggestions: '' }, unknown: true };
+    }
+
+    const weightOf = p => durations[p.i];
+    const totalWeight = known.reduce((acc, p) => acc + weightOf(p), 0);
+    const subScore = Math.round(known.reduce((acc, p) => acc + p.finding.subScore * weightOf(p), 0) / totalWeight);
+    const okWeight = known.filter(p => p.finding.ok).reduce((acc, p) => acc + weightOf(p), 0);
+
+    const evidences = known.map(p => p.finding.evidence || {});
+    const evidence = {};
+    const timestamps = evidences.flatMap(e => (Array.isArray(e.timestamps) ? e.timestamps : []));
+    if (timestamps.length) evidence.timestamps = timestamps;
+    const pairs = evidences.flatMap(e => (Array.isArray(e.pairs) ? e.pairs : []));
+    if (pairs.length) evidence.pairs = pairs;
+    const texts = uniqueStrings(evidences.flatMap(e => (Array.isArray(e.text) ? e.text : [])));
+    if (texts.length) evidence.text = texts;
+    if (evidences.some(e => isTimeNumber(e.count))) evidence.count = evidences.reduce((acc, e) => acc + (isTimeNumber(e.count) ? e.count : 0), 0);
+    const meta = firstKnown(evidences.map(e => e.meta));
+    if (meta) evidence.meta = meta;
+
+    const consensusList = known.map(p => p.finding.consensus).filter(Boolean);
+
+    return {
+      finding: {
+        ruleId: rule.id,
+        ok: okWeight * 2 >= totalWeight,
+        subScore,
+        ...(consensusList.length && {
+          consensus: {
+            runs: Math.min(...consensusList.map(c => c.runs)),
+            agreement: Math.min(...consensusList.map(c => c.agreement ?? 0)),
+            spread: Math.max(...consensusList.map(c => c.spread ?? 0)),
+            lowConfidence: consensusList.some(c => c.lowConfidence)
+          }
+        }),
+        note: known.map(p => `[${formatTimestamp(segments[p.i].start)}–${formatTimestamp(segments[p.i].end)}] ${p.finding.note || ''}`.trim()).join('\n'),
+        evidence,
+        suggestions: uniqueStrings(known.map(p => p.finding.suggestions)).join('\n')
+      },
+      unknown: false
+    };
+  });
+
+  const sortByT = (a, b) => (a?.t ?? a?.demoT ?? a?.start ?? 0) - (b?.t ?? b?.demoT ?? b?.start ?? 0);
+  const allStructure = results.map(r => r.structure || {});
+  const microPracticas = allStructure.flatMap(st => st.microPracticas || []).sort(sortByT);
+  const practiceTimes = microPracticas.map(m => m?.t).filter(isTimeNumber);
+  const gaps = practiceTimes.slice(1).map((t, i) => t - practiceTimes[i]);
+
+  // Top de sugerencias intercalando tramos para no quedarnos solo con el primero
+  const suggestionLists = results.map(r => r.suggestions || []);
+  const suggestions = [];
+  for (let k = 0; suggestions.length < 5 && suggestionLists.some(l => l[k] !== undefined); k++) {
+    for (const list of suggestionLists) {
+      if (list[k] && !suggestions.includes(list[k]) && suggestions.length < 5) suggestions.push(list[k]);
+    }
+  }
+
+  const metricsList = results.map(r => r.metrics || {});
+  const weightedMetric = (key) => {
+    const vals = metricsList.map((m, i) => ({ v: toNumberOrNull(m[key]), w: durations[i] })).filter(x => x.v !== null);
+    if (!vals.length) return null;
+    const w = vals.reduce((acc, x) => acc + x.w, 0);
+    return Math.round((vals.reduce((acc, x) => acc + x.v * x.w, 0) / w) * 10) / 10;
+  };
+  const sumMetric = (key) => {
+    const vals = metricsList.map(m => toNumberOrNull(m[key])).filter(v => v !== null);
+    return vals.length ? vals.reduce((a, b) => a + b, 0) : null;
+  };
+  const maxMetric = (key) => {
+    const vals = metricsList.map(m => toNumberOrNull(m[key])).filter(v => v !== null);
+    return vals.length ? Math.max(...vals) : null;
+  };
+
+  const bulletsMaxValues = results.map(r => toNumberOrNull(r.compliance?.bulletsMax)).filter(v => v !== null);
+  const mergedFindings = findings.map(f => f.finding);
+
+  // Bloques: los inicios de R5 ya vienen filtrados por el tramo dueño de cada tiempo, así que
+  // los del traslape cuentan una vez. Sin tiempos solo queda sumar lo que reportó cada tramo
+  const blockStarts = (mergedFindings.find(f => f.ruleId === 'R5_SEGMENTACION')?.evidence?.timestamps || [])
+    .map(t => t?.start).filter(isTimeNumber);
+  const blocksCount = blockStarts.length ? new Set(blockStarts.map(Math.round)).size : sumMetric('bloques_count');
+
+  // El score del modelo por tramo, ponderado por duración, para que scoreCheck compare contra algo
+  const segmentScores = results.map((r, i) => ({ v: toNumberOrNull(r.modelScore ?? r.score), w: durations[i] })).filter(x => x.v !== null);
+  const segmentScoreWeight = segmentScores.reduce((acc, x) => acc + x.w, 0);
+
+  return {
+    score: segmentScoreWeight ? Math.round(segmentScores.reduce((acc, x) => acc + x.v * x.w, 0) / segmentScoreWeight) : null,
+    summary: results.map(r => r.summary).filter(Boolean).join(' '),
+    findings: mergedFindings,
+    suggestions,
+    unknownRules: findings.filter(f => f.unknown).map(f => f.finding.ruleId),
+    ...(results.some(r => r.consensus) && { consensus: mergeSegmentConsensus(results, mergedFindings) }),
+    assetsDetected: {
+      links: uniqueStrings(results.flatMap(r => {
+        const links = r.assetsDetected?.links;
+        return Array.isArray(links) ? links : (links ? [links] : []);
+      })),
+      repo: results.some(r => r.assetsDetected?.repo === true),
+      snippets: results.some(r => r.assetsDetected?.snippets === true),
+      plantillas: results.some(r => r.assetsDetected?.plantillas === true),
+      rubrica: results.some(r => r.assetsDetected?.rubrica === true)
+    },
+    structure: {
+      hook: first.structure?.hook ?? null,
+      objetivos: first.structure?.objetivos ?? [],
+      mapa: first.structure?.mapa ?? { steps: [], count: 0 },
+      paresConceptoDemo: allStructure.flatMap(st => st.paresConceptoDemo || []).sort(sortByT),
+      microPracticas,
+      recuperacion: allStructure.flatMap(st => st.recuperacion || []).sort(sortByT),
+      casoReal: allStructure.map(st => st.casoReal).find(c => c && isTimeNumber(c.t)) || first.structure?.casoReal || null,
+      recap: last.structure?.recap ?? { bullets: [] },
+      tarea: last.structure?.tarea ?? { instruccion: null, entregable: null, criterios: [] }
+    },
+    pacing: {
+      longSegments: results.flatMap(r => r.pacing?.longSegments || []).sort(sortByT),
+      avgGapMicroPracticeSec: gaps.length ? Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length) : null
+    },
+    compliance: {
+      bulletsMax: bulletsMaxValues.length ? Math.max(...bulletsMaxValues) : null,
+      bulletsBreaches: results.flatMap(r => r.compliance?.bulletsBreaches || []).sort(sortByT)
+    },
+    accessibility: mergeFlatObjects(results.map(r => r.accessibility || {})),
+    mediaAnalysis: {
+      video: mergeFlatObjects(results.map(r => r.mediaAnalysis?.video || {})),
+      audio: mergeFlatObjects(results.map(r => r.mediaAnalysis?.audio || {}))
+    },
+    metrics: {
+      ...mergeFlatObjects(metricsList),
+      duracion_min: Math.round((totalDuration / 60) * 10) / 10,
+      max_bullets_por_slide: maxMetric('max_bullets_por_slide'),
+      palabras_promedio_por_bullet: weightedMetric('palabras_promedio_por_bullet'),
+      micropracticas_count: microPracticas.length,
+      bloques_count: blocksCount,
+      mayor_estatico_seg: maxMetric('mayor_estatico_seg'),
+      cortes_por_min: weightedMetric('cortes_por_min'),
+      wpm_aprox: weightedMetric('wpm_aprox')
+    }
+  };
+}
+
+// ====== Análisis por consenso (varias corridas) ======
+// El mismo video puede variar 15+ puntos entre corridas. En modo consenso se analiza
+// varias veces (mismo modelo o rotando por los modelos del proveedor) y por regla se
+// toma el `ok` por mayoría y la mediana de `subScore`. `agreement` es la fracción de
+// corridas que coincide con la mayoría; las reglas con poco acuerdo o mucha dispersión
+// se marcan `lowConfidence` y el análisis queda con `needsReview` para revisión humana.
+const CONSENSUS_DEFAULT_RUNS = Number(process.env.CONSENSUS_DEFAULT_RUNS) || 1; // 1 = sin consenso
+const CONSENSUS_MAX_RUNS = 5;
+const CONSENSUS_MIN_AGREEMENT = Number(process.env.CONSENSUS_MIN_AGREEMENT) || 0.67;
+const CONSENSUS_MAX_SPREAD = Number(process.env.CONSENSUS_MAX_SPREAD) || 30; // puntos de subScore entre corridas
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// { runs, acrossModels } desde el body; lanza un error con httpStatus 400 si no es válido
+function parseConsensusOptions(body = {}) {
+  const runs = body.consensusRuns === undefined || body.consensusRuns === ''
+    ? CONSENSUS_DEFAULT_RUNS
+    : Number(body.consensusRuns);
+  if (!Number.isInteger(runs) || runs < 1 || runs > CONSENSUS_MAX_RUNS) {
+    const err = new Error(`consensusRuns debe ser un entero entre 1 y ${CONSENSUS_MAX_RUNS}`);
+    err.httpStatus = 400;
+    throw err;
+  }
+  return { runs, acrossModels: String(body.consensusModels) === 'true' };
+}
+
+// Hallazgo de consenso de una regla a partir de los hallazgos de cada corrida
+function consensusFinding(rule, results) {
+  const runs = results.length;
+  const known = results
+    .filter(r => !(r.unknownRules || []).includes(rule.id))
+    .map(r => (r.findings || []).find(f => f.ruleId === rule.id))
+    .filter(f => f && toNumberOrNull(f.subScore) !== null);
+
+  if (!known.length) {
+    const fallback = (results[0]?.findings || []).find(f => f.ruleId === rule.id)
+      || { ruleId: rule.id, ok: false, subScore: null, note: '', evidence: {}, suggestions: '' };
+    return {
+      finding: { ...fallback, consensus: { runs, known: 0, okVotes: 0, agreement: null, subScores: [], spread: null, lowConfidence: true } },
+      unknown: true
+    };
+  }
+
+  const subScores = known.map(f => f.subScore);
+  const subScore = Math.round(median(subScores));
+  const okVotes = known.filter(f => f.ok).length;
+  // Empate: decide la mediana con el mismo corte que la validación (70)
+  const ok = okVotes * 2 === known.length ? subScore >= 70 : okVotes * 2 > known.length;
+  const agreement = Math.round((known.filter(f => !!f.ok === ok).length / known.length) * 100) / 100;
+  const spread = Math.max(...subScores) - Math.min(...subScores);
+  const lowConfidence = agreement < CONSENSUS_MIN_AGREEMENT
+    || spread > CONSENSUS_MAX_SPREAD
+    || known.length * 2 <= runs;
+
+  // Nota, evidencia y sugerencias de la corrida de la mayoría más cercana a la mediana
+  const representative = known
+    .filter(f => !!f.ok === ok)
+    .sort((a, b) => Math.abs(a.subScore - subScore) - Math.abs(b.subScore - subScore))[0] || known[0];
+
+  return {
+    finding: {
+      ...representative,
+      ok,
+      subScore,
+      consensus: { runs, known: known.length, okVotes, agreement, subScores, spread, lowConfidence }
+    },
+    unknown: false
+  };
+}
+
+// Fusiona las corridas: hallazgos por regla y el resto del reporte de la corrida con score mediano
+function buildConsensusResult(results, rubric = DEFAULT_RUBRIC, { requestedRuns, strategy, models = [], failedRuns = [] } = {}) {
+  const perRule = (rubric.rules || []).map(rule => consensusFinding(rule, results));
+  const findings = perRule.map(r => r.finding);
+
+  const runScores = results.map(r => computeRubricScore(r, rubric).score);
+  const medianScore = median(runScores);
+  const baseIndex = runScores
+    .map((score, i) => ({ i, d: Math.abs(score - medianScore) }))
+    .sort((a, b) => a.d - b.d)[0].i;
+  const modelScores = results.map(r => toNumberOrNull(r.score)).filter(v => v !== null);
+
+  const agreements = findings.map(f => f.consensus.agreement).filter(v => v !== null);
+  const lowConfidenceRules = findings.filter(f => f.consensus.lowConfidence).map(f => f.ruleId);
+
+  return {
+    ...results[baseIndex],
+    score: modelScores.length ? Math.round(median(modelScores)) : null,
+    findings,
+    unknownRules: perRule.filter(r => r.unknown).map(r => r.finding.ruleId),
+    consensus: {
+      runs: results.length,
+      requestedRuns: requestedRuns ?? results.length,
+      strategy,
+      models,
+      runScores,
+      scoreSpread: Math.max(...runScores) - Math.min(...runScores),
+      meanAgreement: agreements.length ? Math.round((agreements.reduce((a, b) => a + b, 0) / agreements.length) * 100) / 100 : null,
+      lowConfidenceRules,
+      failedRuns
+    }
+  };
+}
+
+// Consenso de un análisis segmentado: cada tramo ya trae su consenso; se resume el total
+function mergeSegmentConsensus(results, findings) {
+  const perSegment = results.map(r => r.consensus).filter(Boolean);
+  const agreements = findings.map(f => f.consensus?.agreement).filter(v => v !== null && v !== undefined);
+  return {
+    runs: Math.min(...perSegment.map(c => c.runs)),
+    requestedRuns: perSegment[0].requestedRuns,
+    strategy: perSegment[0].strategy,
+    models: uniqueStrings(perSegment.flatMap(c => c.models)),
+    segmentScoreSpreads: perSegment.map(c => c.scoreSpread),
+    meanAgreement: agreements.length ? Math.round((agreements.reduce((a, b) => a + b, 0) / agreements.length) * 100) / 100 : null,
+    lowConfidenceRules: findings.filter(f => f.consensus?.lowConfidence).map(f => f.ruleId),
+    failedRuns: perSegment.flatMap((c, i) => c.failedRuns.map(run => ({ ...run, segment: i + 1 })))
+  };
+}
+
+// Corre el análisis `runs` veces sobre el mismo archivo remoto (en serie, para no pegarle a la cuota)
+async function analyzeWithConsensus(handle, { runs, acrossModels = false, rubric, segment = null, measuredMedia = null, usageContext = {}, onProgress = () => {}, provider = videoProvider }) {
+  const candidates = provider.models.video;
+  const results = [];
+  const models = [];
+  const failedRuns = [];
+  const validationIssues = [];
+  let lastError = null;
+
+  for (let run = 1; run <= runs; run++) {
+    const model = acrossModels ? candidates[(run - 1) % candidates.length] : candidates[0];
+    let usedModel = model;
+    onProgress('consensusRun', { run, runs, model });
+    try {
+      const { validationIssues: issues, ...analysis } = await analyzeUploadedVideo(handle, {
+        rubric,
+        segment,
+        measuredMedia,
+        provider,
+        model,
+        usageContext,
+        onProgress: (type, data) => {
+          if (type === 'model') usedModel = data.model;
+          onProgress(type, { ...data, consensusRun: run });
+        }
+      });
+      results.push(analysis);
+      models.push(usedModel);
+      validationIssues.push(...(issues || []).map(issue => `[corrida ${run}] ${issue}`));
+    } catch (e) {
+      // Una corrida fallida no tumba el consenso mientras quede al menos una
+      console.warn(`[Consenso] Corrida ${run}/${runs} falló:`, e.message);
+      lastError = e;
+      failedRuns.push({ run, model: usedModel, error: String(e.message || e).slice(0, 300) });
+    }
+  }
+
+  if (!results.length) throw lastError;
+  const merged = buildConsensusResult(results, rubric, {
+    requestedRuns: runs,
+    strategy: acrossModels ? 'models' : 'repeat',
+    models,
+    failedRuns
+  });
+  console.log(`[Consenso] ${results.length}/${runs} corridas, scores ${merged.consensus.runScores.join(', ')}; baja confianza: ${merged.consensus.lowConfidenceRules.join(', ') || 'ninguna'}`);
+  return { ...merged, validationIssues };
+}
+
+// ====== Deduplicación por contenido ======
+// `analysisIndex/{sha256}_{rubricId}_v{version}` apunta al último análisis terminado de ese
+// archivo con esa versión de rúbrica. Un archivo idéntico reutiliza el resultado sin llamar a la IA.
+const analysisIndexRef = (sha256, rubric) =>
+  db.collection('analysisIndex').doc(`${sha256}_${rubric.id}_v${rubric.version}`);
+
+async function indexCompletedAnalysis(sha256, rubric, analysisId) {
+  if (!sha256) return;
+  await analysisIndexRef(sha256, rubric).set({
+    analysisId,
+    sha256,
+    rubric: { id: rubric.id, version: rubric.version },
+    indexedAt: FieldValue.serverTimestamp()
+  }).catch(e => console.warn('[Dedupe] No se pudo indexar el análisis:', e?.message));
+}
+
+// Análisis terminado del mismo archivo y versión de rúbrica (o null).
+// Si se pide consenso, solo sirve uno hecho con al menos esas corridas.
+async function findReusableAnalysis(sha256, rubric, { minConsensusRuns = 1 } = {}) {
+  const indexRef = analysisIndexRef(sha256, rubric);
+  const indexDoc = await indexRef.get();
+  if (!indexDoc.exists) return null;
+
+  const { analysisId } = indexDoc.data();
+  const doc = await db.collection('analyses').doc(analysisId).get();
+  // El análisis pudo rehacerse con otro archivo u otra rúbrica: la entrada ya no vale
+  // (se borra solo si nadie la reescribió mientras tanto)
+  const data = doc.data();
+  if (!doc.exists || data.sha256 !== sha256 || data.rubric?.id !== rubric.id || data.rubric?.version !== rubric.version) {
+    await indexRef.delete({ lastUpdateTime: indexDoc.updateTime })
+      .catch(e => console.warn('[Dedupe] No se pudo borrar la entrada obsoleta del índice:', e?.message));
+    return null;
+  }
+  if (data.status !== 'done' || !data.result) return null;
+  const result = doc.data().aiResult || doc.data().result;
+  if (minConsensusRuns > 1 && (result.consensus?.runs || 1) < minConsensusRuns) return null;
+  return { analysisId, data: doc.data() };
+}
+
+// Copia el resultado de la IA (sin la revisión humana del original) a otro análisis.
+// `current` son los datos actuales del destino: una subida a Vimeo hecha o en curso no se pisa.
+// Si el destino es el mismo análisis (p. ej. el cliente reintenta) no se toca nada.
+async function reuseAnalysis(ref, source, { owner = null, file, current = null } = {}) {
+  const data = source.data;
+  if (ref.id === source.analysisId) {
+    return { result: data.result, qualifiesForVimeo: !!data.qualifiesForVimeo, unchanged: true };
+  }
+
+  const result = data.aiResult || data.result;
+  const qualifiesForVimeo = result.score >= SCORE_THRESHOLD;
+  const vimeoBusy = ['uploaded', 'uploading'].includes(current?.vimeoStatus);
+
+  const transcriptDoc = await transcriptRef(source.analysisId).get();
+  if (transcriptDoc.exists) await transcriptRef(ref.id).set(transcriptDoc.data());
+
+  await ref.set({
+    status: 'done',
+    stage: 'done',
+    error: FieldValue.delete(),
+    rubric: data.rubric,
+    ...(owner || {}),
+    dedupedFrom: source.analysisId,
+    sha256: data.sha256 || file?.sha256 || null,
+    fileName: file?.originalname || data.fileName || null,
+    fileSize: file?.size || data.fileSize || null,
+    mimeType: file?.mimetype || data.mimeType || null,
+    analysisMode: data.analysisMode || null,
+    durationSec: data.durationSec ?? null,
+    result,
+    aiResult: FieldValue.delete(),
+    reviewOverrides: FieldValue.delete(),
+    review: FieldValue.delete(),
+    scoreCheck: data.scoreCheck || null,
+    validationIssues: data.validationIssues || [],
+    transcript: data.transcript || { status: 'skipped' },
+    needsReview: !!result.consensus?.lowConfidenceRules?.length,
+    qualifiesForVimeo,
+    scoreThreshold: SCORE_THRESHOLD,
+    ...(!vimeoBusy && { vimeoStatus: qualifiesForVimeo ? 'pending' : 'not_applicable' }),
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+    stageUpdatedAt: FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return { result, qualifiesForVimeo, unchanged: false, vimeoBusy };
+}
+
+// ====== Webhooks de finalización ======
+// Destinos: webhooks registrados (`webhooks`, globales o por plantel) y el `callbackUrl`
+// enviado en la petición. Cada envío queda en `webhookDeliveries` con sus intentos.
+// Firma: X-Udel-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+const WEBHOOK_EVENTS = ['analysis.done', 'analysis.error', 'vimeo.uploaded', 'vimeo.error'];
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null; // Para los callbackUrl por petición
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_BASE_DELAY_MS = 10_000; // 10 s, 30 s, 90 s, 4.5 min, 13.5 min...
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_SEND_LEASE_MS = WEBHOOK_TIMEOUT_MS * 3; // tras esto un envío 'sending' sin cerrar se da por perdido
+
+// Solo http(s) público (también por IP resuelta); devuelve la URL normalizada o lanza un error con httpStatus 400
+async function validateWebhookUrl(rawUrl, label = 'url') {
+  const url = await assertPublicUrl(rawUrl, label);
+  return url.toString();
+}
+
+// Los callbackUrl por petición se firman con WEBHOOK_SECRET; sin él no se aceptan (nunca se envía sin firma)
+async function validateCallbackUrl(rawUrl) {
+  if (!WEBHOOK_SECRET) {
+    throw Object.assign(new Error('callbackUrl no disponible: el servidor no tiene WEBHOOK_SECRET configurado'), { httpStatus: 400 });
+  }
+  return validateWebhookUrl(rawUrl, 'callbackUrl');
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Datos del análisis que viajan en el payload
+function webhookAnalysisData(analysisId, data) {
+  return {
+    analysisId,
+    status: data.status || null,
+    stage: data.stage || null,
+    error: data.error || null,
+    score: toNumberOrNull(data.result?.score),
+    qualifiesForVimeo: data.qualifiesForVimeo ?? null,
+    rubric: data.rubric || null,
+    catalog: data.catalog || null,
+    vimeoStatus: data.vimeoStatus || null,
+    vimeoLink: data.vimeoLink || null,
+    vimeoVideoId: data.vimeoVideoId || null,
+    vimeoError: data.vimeoError || null,
+    userId: data.userId || null,
+    plantel: data.plantel || null
+  };
+}
+
+// Encola un envío por cada destino suscrito al evento; nunca lanza (no debe romper el flujo principal)
+async function emitAnalysisEvent(analysisId, event) {
+  try {
+    const doc = await db.collection('analyses').doc(analysisId).get();
+    if (!doc.exists) return;
+    const data = doc.data();
+
+    const targets = [];
+    const hooks = await db.collection('webhooks').where('active', '==', true).get();
+    hooks.forEach(hook => {
+      const h = hook.data();
+      if (!(h.events || WEBHOOK_EVENTS).includes(event)) return;
+      if (h.plantel && h.plantel !== data.plantel) return;
+      targets.push({ webhookId: hook.id, url: h.url, secret: h.secret });
+    });
+    if (data.callbackUrl) targets.push({ webhookId: null, url: data.callbackUrl, secret: WEBHOOK_SECRET });
+    if (!targets.length) return;
+
+    const payloadData = webhookAnalysisData(analysisId, data);
+    for (const target of targets) {
+      const deliveryRef = db.collection('webhookDeliveries').doc();
+      const payload = { id: deliveryRef.id, event, createdAt: new Date().toISOString(), data: payloadData };
+      await deliveryRef.set({
+        webhookId: target.webhookId,
+        url: target.url,
+        event,
+        analysisId,
+        plantel: data.plantel || null,
+        payload,
+        status: 'pending',
+        attemptToken: 0,
+        attempts: [],
+        createdAt: FieldValue.serverTimestamp(),
+        nextAttemptAt: new Date()
+      });
+      scheduleWebhookAttempt(deliveryRef.id, target.secret, 0);
+    }
+  } catch (e) {
+    console.warn(`[Webhook] No se pudo emitir ${event} de ${analysisId}:`, e?.message);
+  }
+}
+
+function scheduleWebhookAttempt(deliveryId, secret, token, delayMs = 0) {
+  setTimeout(() => {
+    deliverWebhook(deliveryId, secret, token).catch(e => console.warn('[Webhook] Error de envío:', e?.message));
+  }, delayMs).unref();
+}
+
+const webhookLeaseExpired = (delivery) =>
+  (delivery.sendingUntil?.toDate?.()?.getTime() || 0) < Date.now();
+
+// Reclama el intento `token` en una transacción (status → 'sending'): entre instancias y
+// temporizadores solo uno lo envía. Un temporizador cuyo token ya no coincide (reenvío
+// manual o intento reprogramado por otra instancia) no hace nada. Devuelve la entrega o null.
+async function claimWebhookAttempt(ref, token) {
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+    const delivery = doc.data();
+    const claimable = delivery.status === 'pending' || (delivery.status === 'sending' && webhookLeaseExpired(delivery));
+    if (!claimable || (delivery.attemptToken || 0) !== token) return null;
+    tx.update(ref, { status: 'sending', sendingUntil: new Date(Date.now() + WEBHOOK_SEND_LEASE_MS) });
+    return delivery;
+  });
+}
+
+// Un intento de envío; si falla de forma reintentable programa el siguiente con backoff exponencial
+async function deliverWebhook(deliveryId, secret, token = 0) {
+  const ref = db.collection('webhookDeliveries').doc(deliveryId);
+  const delivery = await claimWebhookAttempt(ref, token);
+  if (!delivery) return;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'udel-video-analyzer-webhooks',
+    'X-Udel-Event': delivery.event,
+    'X-Udel-Delivery': deliveryId,
+    'X-Udel-Timestamp': timestamp
+  };
+  if (!secret) {
+    await ref.update({ status: 'failed', lastError: 'Sin secreto para firmar el envío', nextAttemptAt: null, sendingUntil: null });
+    console.warn(`[Webhook] ${delivery.event} a ${delivery.url} no se envió: sin secreto de firma`);
+    return;
+  }
+  headers['X-Udel-Signature'] = signWebhookPayload(secret, timestamp, body);
+
+  const startedAt = Date.now();
+  let statusCode = null;
+  let error = null;
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers,
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpAgent: publicHttpAgent,
+      httpsAgent: publicHttpsAgent,
+      validateStatus: () => true
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (e) {
+    error = e.code || e.message;
+  }
+
+  const attempts = [...(delivery.attempts || []), { at: new Date().toISOString(), statusCode, error, durationMs: Date.now() - startedAt }];
+  // 408/429 y 5xx (o errores de red) se reintentan; el resto de 4xx es definitivo
+  const retryable = error && (statusCode === null || statusCode >= 500 || statusCode === 408 || statusCode === 429);
+
+  if (!error) {
+    await ref.update({ status: 'delivered', attempts, deliveredAt: FieldValue.serverTimestamp(), nextAttemptAt: null, sendingUntil: null });
+    console.log(`[Webhook] ${delivery.event} entregado a ${delivery.url}`);
+    return;
+  }
+  if (!retryable || attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    await ref.update({ status: 'failed', attempts, lastError: error, nextAttemptAt: null, sendingUntil: null });
+    console.warn(`[Webhook] ${delivery.event} a ${delivery.url} falló definitivamente (${error}, ${attempts.length} intentos)`);
+    return;
+  }
+
+  const delayMs = WEBHOOK_BASE_DELAY_MS * 3 ** (attempts.length - 1);
+  await ref.update({
+    status: 'pending',
+    attempts,
+    lastError: error,
+    attemptToken: token + 1,
+    nextAttemptAt: new Date(Date.now() + delayMs),
+    sendingUntil: null
+  });
+  scheduleWebhookAttempt(deliveryId, secret, token + 1, delayMs);
+}
+
+// Secreto con el que se firma una entrega (el del webhook registrado o el global)
+async function webhookSecretFor(delivery) {
+  if (!delivery.webhookId) return WEBHOOK_SECRET;
+  const hook = await db.collection('webhooks').doc(delivery.webhookId).get();
+  return hook.exists ? hook.data().secret : null;
+}
+
+// Al arrancar se retoman los envíos pendientes (los temporizadores no sobreviven a un reinicio)
+// y los que quedaron en 'sending' cuando venza su lease. Todas las instancias lo hacen; el
+// reclamo en transacción deja que solo una envíe cada intento.
+async function resumePendingWebhookDeliveries() {
+  const snapshot = await db.collection('webhookDeliveries').where('status', 'in', ['pending', 'sending']).get();
+  for (const doc of snapshot.docs) {
+    const delivery = doc.data();
+    const dueAt = delivery.status === 'sending' ? delivery.sendingUntil : delivery.nextAttemptAt;
+    const dueInMs = Math.max(0, (dueAt?.toDate?.()?.getTime() || 0) - Date.now());
+    scheduleWebhookAttempt(doc.id, await webhookSecretFor(delivery), delivery.attemptToken || 0, dueInMs);
+  }
+  if (snapshot.size) console.log(`[Webhook] ${snapshot.size} envíos pendientes retomados`);
+}
+
+// ====== Progreso en vivo (Server-Sent Events) ======
+// Los trabajos publican aquí etapas, bytes subidos, estado del archivo en el proveedor
+// y el modelo en uso. Es memoria del proceso: el detalle solo llega a los clientes de
+// esta misma instancia. Para trabajos que corren en otra, el stream sigue `stage` y
+// `status` del documento con onSnapshot y cierra igual con done/error.
+const PROGRESS_TERMINAL_EVENTS = ['done', 'error'];
+const SSE_HEARTBEAT_MS = 25_000;
+const STREAM_TOKEN_TTL_MS = 60_000;
+
+const analysisProgress = new EventEmitter();
+analysisProgress.setMaxListeners(0);
+
+// Último evento de cada tipo por análisis, para quien se conecta a mitad del trabajo
+const progressSnapshots = new Map();
+
+function publishAnalysisProgress(analysisId, type, data = {}) {
+  const event = { type, analysisId, at: new Date().toISOString(), ...data };
+  if (type === 'upload' && data.totalBytes) {
+    event.percent = Math.min(100, Math.round((data.bytesSent / data.totalBytes) * 100));
+  }
+
+  if (PROGRESS_TERMINAL_EVENTS.includes(type)) {
+    progressSnapshots.delete(analysisId);
+  } else {
+    const snapshot = progressSnapshots.get(analysisId) || {};
+    snapshot[type] = event;
+    progressSnapshots.set(analysisId, snapshot);
+  }
+
+  analysisProgress.emit(analysisId, event);
+}
+
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Evento final a partir del documento del análisis
+function terminalProgressEvent(analysisId, data) {
+  return {
+    type: data.status,
+    analysisId,
+    status: data.status,
+    ...(data.status === 'done'
+      ? { score: data.result?.score ?? null, qualifiesForVimeo: data.qualifiesForVimeo ?? null }
+      : { error: data.error || null })
+  };
+}
+
+// EventSource no permite cabeceras y un ID token en la URL queda en los logs de proxies.
+// En su lugar el cliente pide un token de un solo uso, ligado al análisis y válido
+// STREAM_TOKEN_TTL_MS, y lo manda en ?streamToken=. Vive en Firestore para que sirva
+// aunque el stream lo atienda otra instancia.
+const streamTokenRef = (token) => db.collection('streamTokens').doc(token);
+
+async function issueStreamToken(analysisId, user) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  await streamTokenRef(token).set({
+    analysisId,
+    uid: user.uid,
+    email: user.email || null,
+    expiresAt: new Date(Date.now() + STREAM_TOKEN_TTL_MS)
+  });
+  return token;
+}
+
+// Consume el token (se borra al usarlo); devuelve los claims del usuario o null
+async function consumeStreamToken(token, analysisId) {
+  const ref = streamTokenRef(token);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+    tx.delete(ref);
+    const data = doc.data();
+    if (data.analysisId !== analysisId || data.expiresAt.toDate() < new Date()) return null;
+    return { uid: data.uid, email: data.email };
+  });
+}
+
+// Autenticación del stream: Authorization (clientes que pueden mandar cabeceras) o ?streamToken=
+async function verifyStreamAuth(req, res, next) {
+  const { streamToken } = req.query;
+  if (req.headers.authorization || typeof streamToken !== 'string' || !streamToken) {
+    return verifyAuth(req, res, next);
+  }
+  try {
+    const claims = await consumeStreamToken(streamToken, req.params.analysisId);
+    if (!claims) return res.status(401).json({ error: 'Token de stream inválido o vencido' });
+    req.user = await loadRequestUser(claims);
+    next();
+  } catch (e) {
+    console.error('[SSE] Error verificando token de stream:', e?.message);
+    return res.status(401).json({ error: 'Token de stream inválido' });
+  }
+}
+
+// Borra los tokens de stream que nadie usó
+async function sweepExpiredStreamTokens() {
+  const snapshot = await db.collection('streamTokens').where('expiresAt', '<', new Date()).limit(500).get();
+  await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+  return snapshot.size;
+}
+
+// ====== Cola de análisis (trabajos en segundo plano) ======
+// El endpoint responde 202 en cuanto recibe el video; el pipeline de Gemini
+// corre aquí con concurrencia acotada para no saturar memoria ni cuota.
+const ANALYSIS_CONCURRENCY = Math.max(1, Number(process.env.ANALYSIS_CONCURRENCY) || 2);
+
+const analysisQueue = [];
+// analysisId → trabajos en curso con ese id; la concurrencia se cuenta por trabajo
+const activeAnalysisJobs = new Map();
+let runningAnalysisJobs = 0;
+// analysisId de peticiones que todavía no terminan de aceptar el video
+const acceptingAnalysisIds = new Set();
+
+function enqueueAnalysisJob(job) {
+  analysisQueue.push(job);
+  console.log(`[Cola] Análisis ${job.analysisId} encolado (pendientes: ${analysisQueue.length}, activos: ${runningAnalysisJobs}/${ANALYSIS_CONCURRENCY})`);
+  drainAnalysisQueue();
+  return analysisQueue.length;
+}
+
+function drainAnalysisQueue() {
+  while (runningAnalysisJobs < ANALYSIS_CONCURRENCY && analysisQueue.length > 0) {
+    const job = analysisQueue.shift();
+    runningAnalysisJobs++;
+    activeAnalysisJobs.set(job.analysisId, (activeAnalysisJobs.get(job.analysisId) || 0) + 1);
+    runAnalysisJob(job)
+      .catch(e => console.error(`[Cola] Error no controlado en ${job.analysisId}:`, e?.message || e))
+      .finally(() => {
+        runningAnalysisJobs--;
+        const left = activeAnalysisJobs.get(job.analysisId) - 1;
+        if (left > 0) activeAnalysisJobs.set(job.analysisId, left);
+        else activeAnalysisJobs.delete(job.analysisId);
+        drainAnalysisQueue();
+      });
+  }
+}
+
+function isAnalysisJobPending(analysisId) {
+  return activeAnalysisJobs.has(analysisId)
+    || acceptingAnalysisIds.has(analysisId)
+    || analysisQueue.some(job => job.analysisId === analysisId);
+}
+
+// Un analysisId con un trabajo encolado, corriendo o aceptándose responde 409: dos trabajos
+// sobre el mismo documento se pisarían. La reserva se libera al cerrar la respuesta, cuando
+// el trabajo ya está en la cola (o se rechazó).
+async function rejectBusyAnalysisId(req, res, next) {
+  const analysisId = req.body?.analysisId;
+  if (!analysisId) return next();
+  if (isAnalysisJobPending(analysisId)) {
+    await removeTempFile(req.file?.path);
+    return res.status(409).json({ ok: false, error: 'Ya hay un análisis en curso para este analysisId' });
+  }
+  acceptingAnalysisIds.add(analysisId);
+  res.on('close', () => acceptingAnalysisIds.delete(analysisId));
+  next();
+}
+
+async function setAnalysisStage(ref, stage, extra = {}) {
+  await ref.set({
+    stage,
+    stageUpdatedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+    ...extra
+  }, { merge: true });
+}
+
+// Sube el archivo al proveedor, lo analiza (y transcribe) y borra la copia remota.
+// Devuelve el análisis con `transcript` ({ language, segments } o { error }) si se pidió.
+async function analyzeVideoFile(file, { rubric, segment = null, measuredMedia = null, usageContext, transcribe = false, consensus = null, onStage = async () => {}, onProgress = () => {} }) {
+  const handle = await videoProvider.uploadVideo(file, { onStage, onProgress });
+  try {
+    // 4) Analizar (una vez, o varias si se pidió consenso)
+    await onStage('analyzing');
+    const analysis = consensus?.runs > 1
+      ? await analyzeWithConsensus(handle, { ...consensus, rubric, segment, measuredMedia, usageContext, onProgress })
+      : await analyzeUploadedVideo(handle, { rubric, segment, measuredMedia, usageContext, onProgress });
+    if (!transcribe) return analysis;
+
+    // 5) Transcribir con el mismo archivo remoto
+    await onStage('transcribing');
+    const transcript = await transcribeUploadedVideo(handle, { segment, usageContext, onProgress }).catch(e => {
+      console.warn('[Transcripción] No se pudo transcribir:', e.message);
+      return { error: e.message };
+    });
+    return { ...analysis, transcript };
+  } finally {
+    videoProvider.deleteVideo(handle).catch(() => {});
+  }
+}
+
+// Decide si el video se analiza completo o por tramos
+async function resolveAnalysisMode(filePath, requestedMode = 'auto', { knownDurationSec = null } = {}) {
+  if (requestedMode === 'full') return { mode: 'full', durationSec: knownDurationSec };
+
+  let durationSec = knownDurationSec;
+  try {
+    if (!durationSec) durationSec = await probeDurationSec(filePath);
+  } catch (e) {
+    // Sin ffprobe no se puede segmentar; en modo auto se analiza completo
+    if (requestedMode === 'segmented') throw e;
+    console.warn('[Análisis] No se pudo medir la duración, se analiza completo:', e.message);
+    return { mode: 'full', durationSec: null };
+  }
+
+  if (requestedMode === 'segmented') {
+    if (!durationSec) throw new Error('No se pudo determinar la duración del video para segmentarlo');
+    return { mode: 'segmented', durationSec };
+  }
+
+  const segmented = SEGMENT_AUTO_THRESHOLD_SEC > 0 && durationSec > SEGMENT_AUTO_THRESHOLD_SEC;
+  return { mode: segmented ? 'segmented' : 'full', durationSec };
+}
+
+// Analiza cada tramo por separado y fusiona el resultado
+async function analyzeSegmented(file, { rubric, durationSec, measuredMedia, usageContext, transcribe = false, consensus = null, onStage, onProgress = () => {} }) {
+  const segments = planSegments(durationSec);
+  const results = [];
+  const validationIssues = [];
+  const transcriptSegments = [];
+  const transcriptErrors = [];
+
+  console.log(`[Análisis] Modo segmentado: ${segments.length} tramos de ${SEGMENT_LENGTH_SEC}s (solape ${SEGMENT_OVERLAP_SEC}s)`);
+
+  for (const segment of segments) {
+    const segmentPath = path.join(UPLOAD_TMP_DIR, `${Date.now()}-${crypto.randomUUID()}-seg${segment.index}${path.extname(file.path) || '.mp4'}`);
+    try {
+      await cutVideoSegment(file.path, segment.start, segment.end - segment.start, segmentPath);
+      const segmentProgress = { current: segment.index + 1, total: segments.length };
+      const { validationIssues: issues, transcript, ...analysis } = await analyzeVideoFile(
+        { path: segmentPath, mimetype: file.mimetype, originalname: `${segment.index + 1}-${file.originalname}` },
+        {
+          rubric,
+          segment,
+          measuredMedia,
+          usageContext,
+          transcribe,
+          consensus,
+          onStage: (stage) => onStage(stage, { segmentProgress }),
+          onProgress: (type, data) => onProgress(type, { ...data, segmentProgress })
+        }
+      );
+      results.push(absolutizeSegmentResult(analysis, segments, segment.index));
+      validationIssues.push(...(issues || []).map(issue => `[tramo ${segment.index + 1}] ${issue}`));
+      if (transcript?.error) transcriptErrors.push(`[tramo ${segment.index + 1}] ${transcript.error}`);
+      // Subtítulos a tiempo absoluto; en el solape se queda el tramo dueño de cada instante
+      for (const cue of transcript?.segments || []) {
+        const start = cue.start + segment.start;
+        if (segmentOwnsTime(segments, segment.index, start)) {
+          transcriptSegments.push({ start, end: cue.end + segment.start, text: cue.text });
+        }
+      }
+    } finally {
+      await removeTempFile(segmentPath);
+    }
+  }
+
+  const merged = mergeSegmentResults(results, segments, rubric);
+  merged.segmented = {
+    count: segments.length,
+    lengthSec: SEGMENT_LENGTH_SEC,
+    overlapSec: SEGMENT_OVERLAP_SEC,
+    segments: segments.map((seg, i) => ({
+      index: seg.index,
+      start: seg.start,
+      end: seg.end,
+      modelScore: toNumberOrNull(results[i]?.score)
+    }))
+  };
+
+  if (!transcribe) return { ...merged, validationIssues };
+
+  const transcript = transcriptSegments.length
+    ? { ...normalizeTranscript({ language: 'es', segments: transcriptSegments }), provider: videoProvider.name, partialErrors: transcriptErrors }
+    : { error: transcriptErrors.join('; ') || 'La transcripción llegó vacía' };
+  return { ...merged, validationIssues, transcript };
+}
+
+// Conserva el video (cifrado) si califica para Vimeo; si ya no califica, descarta la copia anterior.
+// Un fallo al retener no invalida el análisis: solo obliga a subir el archivo al publicar.
+async function retainIfQualifies(analysisId, file, qualifiesForVimeo) {
+  if (!(VIDEO_RETENTION_HOURS > 0) || !file?.path) return null;
+  if (!qualifiesForVimeo) {
+    await discardRetainedVideo(analysisId);
+    return null;
+  }
+  return retainVideo(analysisId, file).catch(e => {
+    console.warn(`[Retención] No se pudo retener el video de ${analysisId}:`, e.message);
+    return null;
+  });
+}
+
+// Pipeline completo: (descarga) → proveedor de IA (Gemini Files → ACTIVE → análisis) → Firestore
+async function runAnalysisJob({ analysisId, file, source, rubric, mode = 'auto', consensus = null, requestedBy = {} }) {
+  const ref = db.collection('analyses').doc(analysisId);
+  const onProgress = (type, data) => publishAnalysisProgress(analysisId, type, data);
+  const onStage = (stage, extra) => {
+    onProgress('stage', { stage, ...extra });
+    return setAnalysisStage(ref, stage, extra);
+  };
+  const usageContext = { feature: 'analyzeVideo', analysisId, userId: requestedBy.userId, plantel: requestedBy.plantel };
+
+  try {
+    // 0) Si el video viene de una URL, descargarlo primero al disco temporal
+    if (!file && source) {
+      await onStage('downloading');
+      file = await downloadVideoToTemp(source.downloadUrl, { fileName: source.fileName });
+      await ref.set({
+        fileName: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        sha256: file.sha256
+      }, { merge: true });
+    }
+
+    // 1) Medir métricas técnicas localmente (sin ffmpeg se sigue sin ellas)
+    await onStage('measuring');
+    const measuredMedia = await measureMediaMetrics(file.path).catch(e => {
+      console.warn('[Métricas] No se pudieron medir las métricas técnicas:', e.message);
+      return null;
+    });
+
+    // 2-5) Analizar completo o por tramos
+    const { mode: analysisMode, durationSec } = await resolveAnalysisMode(file.path, mode, {
+      knownDurationSec: measuredMedia?.container?.duration_sec || null
+    });
+    await ref.set({ analysisMode, durationSec }, { merge: true });
+
+    const transcribe = TRANSCRIPT_ENABLED && videoProvider.supportsVideo;
+    const { validationIssues, transcript, ...analysis } = analysisMode === 'segmented'
+      ? await analyzeSegmented(file, { rubric, durationSec, measuredMedia, usageContext, transcribe, consensus, onStage, onProgress })
+      : await analyzeVideoFile(file, { rubric, measuredMedia, usageContext, transcribe, consensus, onStage, onProgress });
+
+    // Transcripción en un documento aparte (puede ser grande); en el análisis solo el resumen
+    let transcriptInfo = { status: 'skipped' };
+    if (transcript?.segments?.length) {
+      await transcriptRef(analysisId).set({ ...transcript, createdAt: FieldValue.serverTimestamp() });
+      transcriptInfo = {
+        status: 'done',
+        language: transcript.language,
+        cues: transcript.segments.length,
+        ...(transcript.partialErrors?.length && { partialErrors: transcript.partialErrors })
+      };
+    } else if (transcript?.error) {
+      transcriptInfo = { status: 'error', error: transcript.error };
+    }
+
+    // 6) Aplicar lo medido, recalcular el score en el servidor y determinar si califica para Vimeo
+    await onStage('saving');
+    const { result, scoreCheck } = finalizeAnalysisResult(applyMeasuredMedia(analysis, measuredMedia, rubric), rubric);
+    if (scoreCheck.mismatch) {
+      console.warn(`[Análisis] Score del modelo (${scoreCheck.modelScore}) ≠ recalculado (${scoreCheck.computedScore})`);
+    }
+    const qualifiesForVimeo = result.score >= SCORE_THRESHOLD;
+    // Reglas en las que las corridas no coincidieron: las confirma una persona
+    const needsReview = !!result.consensus?.lowConfidenceRules?.length;
+    const retainedVideo = await retainIfQualifies(analysisId, file, qualifiesForVimeo);
+
+    // 7) Guardar resultado
+    await setAnalysisStage(ref, 'done', {
+      status: 'done',
+      result,
+      // Un reanálisis descarta la revisión humana anterior (el historial se conserva en reviewLog)
+      aiResult: FieldValue.delete(),
+      reviewOverrides: FieldValue.delete(),
+      review: FieldValue.delete(),
+      scoreCheck,
+      validationIssues: validationIssues || [],
+      transcript: transcriptInfo,
+      needsReview,
+      retainedVideo: retainedVideo || FieldValue.delete(),
+      qualifiesForVimeo,
+      scoreThreshold: SCORE_THRESHOLD,
+      vimeoStatus: qualifiesForVimeo ? 'pending' : 'not_applicable'
+    });
+
+    onProgress('done', { status: 'done', score: result.score, qualifiesForVimeo });
+    await indexCompletedAnalysis(file.sha256, rubric, analysisId);
+    await emitAnalysisEvent(analysisId, 'analysis.done');
+
+    console.log(`[Análisis] Score ${result.score}% - ${qualifiesForVimeo ? 'Califica' : 'No califica'} para Vimeo (umbral: ${SCORE_THRESHOLD}%)`);
+  } catch (e) {
+    console.error('analyzeVideo error:', e?.response?.status, e?.response?.data || String(e));
+
+    const error = e?.response?.data?.error?.message || e.message || 'unknown';
+    await setAnalysisStage(ref, 'error', {
+      status: 'error',
+      error
+    }).catch(err => console.error('[Cola] No se pudo guardar el error:', err?.message));
+    onProgress('error', { status: 'error', error });
+    await emitAnalysisEvent(analysisId, 'analysis.error');
+  } finally {
+    // 8) Limpieza del archivo temporal
+    await removeTempFile(file?.path);
+  }
+}
+
+// ====== Mantenimiento (análisis atascados y archivos huérfanos en Gemini) ======
+// Un reinicio a mitad de un trabajo deja documentos en 'processing' / 'uploading' para
+// siempre, y un deleteGeminiFile fallido deja archivos ocupando la cuota de Gemini Files.
+// Corre cada MAINTENANCE_INTERVAL_MIN (0 = desactivado) y a demanda; cada corrida
+// queda en `maintenanceRuns`. Los umbrales son amplios porque otra instancia puede
+// seguir trabajando un documento (solo se ven los trabajos vivos de esta).
+const MAINTENANCE_INTERVAL_MIN = Number(process.env.MAINTENANCE_INTERVAL_MIN ?? 30);
+const STALE_ANALYSIS_MIN = Number(process.env.STALE_ANALYSIS_MIN) || 120;
+const GEMINI_ORPHAN_FILE_MIN = Number(process.env.GEMINI_ORPHAN_FILE_MIN) || 120;
+const VIMEO_ABANDONED_UPLOAD_HOURS = Number(process.env.VIMEO_ABANDONED_UPLOAD_HOURS) || 24;
+
+const activeVimeoUploads = new Set();
+let maintenanceInFlight = null;
+
+const toIsoOrNull = (ts) => ts?.toDate?.()?.toISOString() || null;
+
+// Marca como error los análisis (status) y subidas a Vimeo (vimeoStatus) sin avance
+async function sweepStaleAnalyses(cutoff) {
+  const queuedIds = new Set(analysisQueue.map(job => job.analysisId));
+  const isStale = (doc) => {
+    const updatedAt = doc.data().updatedAt?.toDate?.();
+    return (!updatedAt || updatedAt < cutoff) && !activeAnalysisJobs.has(doc.id) && !queuedIds.has(doc.id);
+  };
+  const reason = `Sin avance en ${STALE_ANALYSIS_MIN} min (el servidor se reinició o el trabajo se perdió)`;
+  const analyses = [];
+  const vimeoUploads = [];
+
+  const processing = await db.collection('analyses').where('status', '==', 'processing').get();
+  for (const doc of processing.docs.filter(isStale)) {
+    const data = doc.data();
+    await setAnalysisStage(doc.ref, 'error', { status: 'error', error: reason, staleStage: data.stage || null });
+    publishAnalysisProgress(doc.id, 'error', { status: 'error', error: reason });
+    await emitAnalysisEvent(doc.id, 'analysis.error');
+    analyses.push({ analysisId: doc.id, stage: data.stage || null, updatedAt: toIsoOrNull(data.updatedAt) });
+  }
+
+  const uploading = await db.collection('analyses').where('vimeoStatus', '==', 'uploading').get();
+  for (const doc of uploading.docs.filter(d => isStale(d) && !activeVimeoUploads.has(d.id))) {
+    const data = doc.data();
+    await doc.ref.update({ vimeoStatus: 'error', vimeoError: reason, updatedAt: FieldValue.serverTimestamp() });
+    await emitAnalysisEvent(doc.id, 'vimeo.error');
+    vimeoUploads.push({ analysisId: doc.id, updatedAt: toIsoOrNull(data.updatedAt) });
+  }
+
+  if (analyses.length || vimeoUploads.length) {
+    console.warn(`[Mantenimiento] ${analyses.length} análisis y ${vimeoUploads.length} subidas a Vimeo marcados como error`);
+  }
+  return { analyses, vimeoUploads };
+}
+
+// Lista Gemini Files y borra lo más viejo que el umbral que no use un trabajo vivo
+async function sweepOrphanGeminiFiles(cutoff) {
+  const report = { listed: 0, deleted: [], errors: [] };
+  if (!GEMINI_API_KEY) return { ...report, skipped: 'GEMINI_API_KEY no configurada' };
+
+  let pageToken = null;
+  do {
+    const { data } = await axios.get('https://generativelanguage.googleapis.com/v1beta/files', {
+      params: { key: GEMINI_API_KEY, pageSize: 100, ...(pageToken && { pageToken }) },
+      timeout: 30_000
+    });
+    for (const file of data?.files || []) {
+      report.listed++;
+      const createdAt = file.createTime ? new Date(file.createTime) : null;
+      if (activeGeminiFiles.has(file.name) || !createdAt || createdAt >= cutoff) continue;
+      try {
+        const id = String(file.name).replace(/^.*files\//, '');
+        await axios.delete(`https://generativelanguage.googleapis.com/v1beta/files/${id}`, {
+          params: { key: GEMINI_API_KEY },
+          timeout: 30_000
+        });
+        report.deleted.push({ name: file.name, displayName: file.displayName || null, createTime: file.createTime, sizeBytes: Number(file.sizeBytes) || null });
+      } catch (e) {
+        report.errors.push({ name: file.name, error: e?.response?.data?.error?.message || e.message });
+      }
+    }
+    pageToken = data?.nextPageToken || null;
+  } while (pageToken);
+
+  if (report.deleted.length) console.warn(`[Mantenimiento] ${report.deleted.length} archivos huérfanos borrados de Gemini`);
+  return report;
+}
+
+// Borra de Vimeo los videos a medias de subidas fallidas que nadie reanudó
+async function sweepAbandonedVimeoUploads(cutoff) {
+  const report = { deleted: [], errors: [] };
+  const failed = await db.collection('analyses').where('vimeoStatus', '==', 'error').get();
+  for (const doc of failed.docs) {
+    const upload = doc.data().vimeoUpload;
+    const updatedAt = upload?.updatedAt?.toDate?.();
+    if (!upload?.uri || activeVimeoUploads.has(doc.id) || (updatedAt && updatedAt >= cutoff)) continue;
+
+    if (await deleteVimeoVideo(upload.uri)) {
+      await doc.ref.update({ vimeoUpload: FieldValue.delete(), vimeoUploadAbandonedAt: FieldValue.serverTimestamp() });
+      report.deleted.push({ analysisId: doc.id, uri: upload.uri, bytesUploaded: upload.bytesUploaded ?? null, totalBytes: upload.totalBytes ?? null });
+    } else {
+      report.errors.push({ analysisId: doc.id, uri: upload.uri });
+    }
+  }
+  if (report.deleted.length) console.warn(`[Mantenimiento] ${report.deleted.length} subidas abandonadas borradas de Vimeo`);
+  return report;
+}
+
+async function runMaintenance({ trigger = 'scheduled', requestedBy = null } = {}) {
+  // Una sola corrida a la vez: quien llegue durante una corrida recibe su mismo reporte
+  if (maintenanceInFlight) return maintenanceInFlight;
+
+  maintenanceInFlight = (async () => {
+    const startedAt = new Date();
+    const report = { trigger, requestedBy, startedAt: startedAt.toISOString() };
+
+    try {
+      report.staleRecords = await sweepStaleAnalyses(new Date(startedAt.getTime() - STALE_ANALYSIS_MIN * 60_000));
+    } catch (e) {
+      report.staleRecords = { error: e.message };
+    }
+    try {
+      report.geminiFiles = await sweepOrphanGeminiFiles(new Date(startedAt.getTime() - GEMINI_ORPHAN_FILE_MIN * 60_000));
+    } catch (e) {
+      report.geminiFiles = { error: e?.response?.data?.error?.message || e.message };
+    }
+    try {
+      report.retainedVideos = { expired: await sweepExpiredRetainedVideos() };
+    } catch (e) {
+      report.retainedVideos = { error: e.message };
+    }
+    try {
+      report.vimeoUploads = await sweepAbandonedVimeoUploads(new Date(startedAt.getTime() - VIMEO_ABANDONED_UPLOAD_HOURS * 3_600_000));
+    } catch (e) {
+      report.vimeoUploads = { error: e.message };
+    }
+    try {
+      report.streamTokens = { expired: await sweepExpiredStreamTokens() };
+    } catch (e) {
+      report.streamTokens = { error: e.message };
+    }
+
+    report.durationMs = Date.now() - startedAt.getTime();
+    const doc = await db.collection('maintenanceRuns').add({ ...report, createdAt: FieldValue.serverTimestamp() });
+    return { runId: doc.id, ...report };
+  })();
+
+  try {
+    return await maintenanceInFlight;
+  } finally {
+    maintenanceInFlight = null;
+  }
+}
+
+function scheduleMaintenance() {
+  if (!(MAINTENANCE_INTERVAL_MIN > 0)) {
+    console.log('[Mantenimiento] Desactivado (MAINTENANCE_INTERVAL_MIN=0)');
+    return;
+  }
+  const tick = () => runMaintenance().catch(e => console.warn('[Mantenimiento] Error:', e?.message));
+  // Primera corrida poco después del arranque: ahí quedan los restos de un reinicio
+  setTimeout(tick, 60_000).unref();
+  setInterval(tick, MAINTENANCE_INTERVAL_MIN * 60_000).unref();
+}
+
+// ====== Endpoint: Análisis de video (sin subida a Vimeo) ======
+app.post('/analyzeVideo', verifyAuth, requirePermiso('analizador_videos'), requireQuota('analyzeVideo'), upload.single('file'), rejectBusyAnalysisId, async (req, res) => {
+  const { file } = req;
+  const { analysisId, mode = 'auto', force, callbackUrl } = req.body || {};
+
+  if (!analysisId || !ANALYSIS_MODES.includes(mode)) {
+    await removeTempFile(file?.path);
+    return res.status(400).json({ ok: false, error: analysisId ? `mode debe ser ${ANALYSIS_MODES.join(', ')}` : 'analysisId requerido' });
+  }
+  if (!file)       return res.status(400).json({ ok: false, error: 'file requerido' });
+
+  let callback = null;
+  let consensus;
+  try {
+    callback = callbackUrl ? await validateCallbackUrl(callbackUrl) : null;
+    consensus = parseConsensusOptions(req.body);
+  } catch (e) {
+    await removeTempFile(file.path);
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  // Cada corrida de consenso cuenta como un análisis (la primera ya la cobró requireQuota)
+  try {
+    const extraQuota = await res.locals.chargeQuota(consensus.runs - 1);
+    if (!extraQuota.ok) {
+      await removeTempFile(file.path);
+      return sendQuotaExceeded(res, 'analyzeVideo', extraQuota);
+    }
+  } catch (e) {
+    console.error('Error verificando cuota:', e);
+    await removeTempFile(file.path);
+    return res.status(500).json({ ok: false, error: 'Error al verificar la cuota' });
+  }
+
+  const ref = db.collection('analyses').doc(analysisId);
+
+  try {
+    // Un analysisId existente solo lo puede reutilizar quien tiene acceso a él
+    const existing = await ref.get();
+    if (existing.exists && !canAccessAnalysis(req.user, existing.data())) {
+      await removeTempFile(file.path);
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+
+    // La rúbrica se fija al aceptar el video para que el reporte sea interpretable
+    const rubric = await getActiveRubric();
+    // Si lo reprocesa su director o un admin, el análisis conserva a su dueño
+    const owner = existing.data()?.userId ? null : analysisOwnerFields(req.user);
+
+    // Mismo archivo + misma versión de rúbrica ya analizado: reutilizar (salvo force=true)
+    if (String(force) !== 'true') {
+      const reusable = await findReusableAnalysis(file.sha256, rubric, { minConsensusRuns: consensus.runs });
+      if (reusable) {
+        const { result, qualifiesForVimeo, unchanged, vimeoBusy } = await reuseAnalysis(ref, reusable, { owner, file, current: existing.data() });
+        if (!unchanged) {
+          // Si ya está (o se está subiendo) en Vimeo no hace falta conservar el archivo
+          const retainedVideo = await retainIfQualifies(analysisId, file, qualifiesForVimeo && !vimeoBusy);
+          await ref.set({
+            callbackUrl: callback || FieldValue.delete(),
+            retainedVideo: retainedVideo || FieldValue.delete()
+          }, { merge: true });
+        }
+        await removeTempFile(file.path);
+        if (!unchanged) await emitAnalysisEvent(analysisId, 'analysis.done');
+        // Sin llamada a la IA no se descuenta cuota
+        res.locals.skipQuota = true;
+        console.log(`[Dedupe] ${analysisId} reutiliza el resultado de ${reusable.analysisId} (sha256 ${file.sha256.slice(0, 12)}…)`);
+        return res.json({
+          ok: true,
+          analysisId,
+          status: 'done',
+          stage: 'done',
+          deduplicated: true,
+          dedupedFrom: reusable.analysisId === analysisId ? null : reusable.analysisId,
+          score: result.score,
+          qualifiesForVimeo
+        });
+      }
+    }
+
+    await ref.set({
+      status: 'processing',
+      stage: 'queued',
+      error: FieldValue.delete(),
+      rubric: { id: rubric.id, version: rubric.version, name: rubric.name },
+      ...(owner || {}),
+      dedupedFrom: FieldValue.delete(),
+      callbackUrl: callback || FieldValue.delete(),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      fileName: file.originalname,
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      sha256: file.sha256
+    }, { merge: true });
+
+    const position = enqueueAnalysisJob({
+      analysisId,
+      file,
+      rubric,
+      mode,
+      consensus,
+      requestedBy: { userId: req.user.uid, plantel: req.user.plantel || null }
+    });
+
+    return res.status(202).json({
+      ok: true,
+      analysisId,
+      status: 'processing',
+      stage: 'queued',
+      queuePosition: position
+    });
+  } catch (e) {
+    console.error('analyzeVideo error:', e?.message || e);
+    await removeTempFile(file.path);
+    return res.status(500).json({ ok: false, error: e?.message || 'Internal error' });
+  }
+});
+
+// ====== Endpoint: Análisis de video por URL (catálogo, Dropbox, Vimeo, directo) ======
+// Body: { analysisId, url } o { analysisId, catalogEntry: { materia, carrera?, cuatrimestre?, modulo? } }
+app.post('/analyzeVideoFromUrl', verifyAuth, requirePermiso('analizador_videos'), requireQuota('analyzeVideo'), rejectBusyAnalysisId, async (req, res) => {
+  const { analysisId, url, catalogEntry, mode = 'auto', callbackUrl } = req.body || {};
+
+  if (!analysisId) return res.status(400).json({ ok: false, error: 'analysisId requerido' });
+  if (!ANALYSIS_MODES.includes(mode)) {
+    return res.status(400).json({ ok: false, error: `mode debe ser ${ANALYSIS_MODES.join(', ')}` });
+  }
+  if (!url && !catalogEntry?.materia) {
+    return res.status(400).json({ ok: false, error: 'Se requiere url o catalogEntry.materia' });
+  }
+
+  const ref = db.collection('analyses').doc(analysisId);
+
+  try {
+    // Un analysisId existente solo lo puede reutilizar quien tiene acceso a él
+    const existing = await ref.get();
+    if (existing.exists && !canAccessAnalysis(req.user, existing.data())) {
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+
+    // 1) Resolver la clase del catálogo (si se indicó) y la URL de descarga
+    let catalog = null;
+    if (catalogEntry?.materia) {
+      const entry = await findCatalogEntry(catalogEntry);
+      if (!entry && !url) {
+        return res.status(404).json({ ok: false, error: 'No se encontró la clase en el catálogo o no tiene URL' });
+      }
+      catalog = {
+        materia: entry?.materia || catalogEntry.materia,
+        carrera: entry?.carrera || catalogEntry.carrera || null,
+        cuatrimestre: entry?.cuatrimestre || catalogEntry.cuatrimestre || null,
+        modulo: entry?.modulo || catalogEntry.modulo || null,
+        url: entry?.url || null
+      };
+    }
+
+    const source = await resolveVideoSourceUrl(url || catalog.url);
+    const callback = callbackUrl ? await validateCallbackUrl(callbackUrl) : null;
+    const consensus = parseConsensusOptions(req.body);
+    // Cada corrida de consenso cuenta como un análisis (la primera ya la cobró requireQuota)
+    const extraQuota = await res.locals.chargeQuota(consensus.runs - 1);
+    if (!extraQuota.ok) return sendQuotaExceeded(res, 'analyzeVideo', extraQuota);
+
+    // 2) Validación rápida de tamaño y tipo antes de encolar
+    const preflight = await preflightVideoUrl(source.downloadUrl);
+    if (preflight?.size && preflight.size > MAX_VIDEO_BYTES) {
+      return res.status(413).json({ ok: false, error: `El video excede el límite de ${MAX_VIDEO_BYTES / 1024 / 1024} MB` });
+    }
+    if (preflight?.contentType && !preflight.mimeType && /^text\//i.test(preflight.contentType)) {
+      return res.status(415).json({ ok: false, error: `La URL no apunta a un video (content-type: ${preflight.contentType})` });
+    }
+
+    const rubric = await getActiveRubric();
+
+    await ref.set({
+      status: 'processing',
+      stage: 'queued',
+      error: FieldValue.delete(),
+      rubric: { id: rubric.id, version: rubric.version, name: rubric.name },
+      ...(existing.data()?.userId ? {} : analysisOwnerFields(req.user)),
+      source: { type: 'url', kind: source.kind, url: source.originalUrl },
+      catalog: catalog || null,
+      callbackUrl: callback || FieldValue.delete(),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      fileName: source.name || null,
+      fileSize: preflight?.size || null,
+      mimeType: preflight?.mimeType || null
+    }, { merge: true });
+
+    const position = enqueueAnalysisJob({
+      analysisId,
+      source: { downloadUrl: source.downloadUrl, fileName: source.name ? `${source.name}.mp4` : undefined },
+      rubric,
+      mode,
+      consensus,
+      requestedBy: { userId: req.user.uid, plantel: req.user.plantel || null }
+    });
+
+    return res.status(202).json({
+      ok: true,
+      analysisId,
+      status: 'processing',
+      stage: 'queued',
+      queuePosition: position,
+      source: { kind: source.kind, url: source.originalUrl },
+      catalog
+    });
+  } catch (e) {
+    console.error('[analyzeVideoFromUrl] Error:', e?.response?.status, e?.response?.data || e?.message);
+    const status = e.httpStatus || (e?.response?.status === 404 ? 404 : 500);
+    return res.status(status).json({ ok: false, error: e?.message || 'Error al procesar la URL' });
+  }
+});
+
+// ====== Endpoint: Estado de un análisis ======
+app.get('/analyses/:analysisId', verifyAuth, async (req, res) => {
+  const { analysisId } = req.params;
+
+  try {
+    const doc = await db.collection('analyses').doc(analysisId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
+    }
+
+    const data = doc.data();
+    if (!canAccessAnalysis(req.user, data)) {
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+
+    return res.json({
+      ok: true,
+      analysisId,
+      status: data.status,
+      stage: data.stage || (data.status === 'processing' ? 'queued' : data.status),
+      error: data.error || null,
+      result: data.result || null,
+      rubric: data.rubric || null,
+      source: data.source || null,
+      catalog: data.catalog || null,
+      analysisMode: data.analysisMode || null,
+      segmentProgress: data.segmentProgress || null,
+      scoreCheck: data.scoreCheck || null,
+      qualifiesForVimeo: data.qualifiesForVimeo ?? null,
+      scoreThreshold: data.scoreThreshold ?? SCORE_THRESHOLD,
+      vimeoStatus: data.vimeoStatus || null,
+      vimeoLink: data.vimeoLink || null,
+      vimeoFolder: data.vimeoFolder || null,
+      vimeoShowcase: data.vimeoShowcase || null,
+      vimeoUpload: data.vimeoUpload ? {
+        bytesUploaded: data.vimeoUpload.bytesUploaded,
+        totalBytes: data.vimeoUpload.totalBytes,
+        percent: data.vimeoUpload.percent,
+        updatedAt: data.vimeoUpload.updatedAt?.toDate?.()?.toISOString() || null
+      } : null,
+      retainedVideo: data.retainedVideo ? {
+        expiresAt: data.retainedVideo.expiresAt?.toDate?.()?.toISOString() || null
+      } : null,
+      aiResult: data.aiResult || null,
+      review: data.review || null,
+      needsReview: data.needsReview ?? false,
+      cartaAlignment: data.cartaAlignment || null,
+      transcript: data.transcript || null,
+      dedupedFrom: data.dedupedFrom || null,
+      userId: data.userId || null,
+      plantel: data.plantel || null,
+      createdAt: data.createdAt?.toDate?.()?.toISOString() || null,
+      updatedAt: data.updatedAt?.toDate?.()?.toISOString() || null
+    });
+  } catch (e) {
+    console.error('[analyses] Error:', e?.message);
+    return res.status(500).json({ ok: false, error: e.message || 'Error al obtener el análisis' });
+  }
+});
+
+// ====== Endpoint: Token de un solo uso para el stream de progreso ======
+app.post('/analyses/:analysisId/streamToken', verifyAuth, async (req, res) => {
+  const { analysisId } = req.params;
+  try {
+    const doc = await db.collection('analyses').doc(analysisId).get();
+    if (!doc.exists) return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
+    if (!canAccessAnalysis(req.user, doc.data())) {
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+    const streamToken = await issueStreamToken(analysisId, req.user);
+    return res.json({ ok: true, streamToken, expiresInSec: STREAM_TOKEN_TTL_MS / 1000 });
+  } catch (e) {
+    console.error('[SSE] Error emitiendo token de stream:', e?.message);
+    return res.status(500).json({ ok: false, error: e.message || 'Error al emitir el token' });
+  }
+});
+
+// ====== Endpoint: Progreso en vivo de un análisis (SSE) ======
+// Eventos: snapshot, stage, upload, fileState, model, fallback y al final done | error
+app.get('/analyses/:analysisId/events', verifyStreamAuth, async (req, res) => {
+  const { analysisId } = req.params;
+  const ref = db.collection('analyses').doc(analysisId);
+
+  // Suscripción antes de leer Firestore: un done/error publicado mientras llega la lectura
+  // queda en `pending` y se envía después del snapshot (si no, el stream no cerraría nunca)
+  let pending = [];
+  let heartbeat = null;
+  let unsubscribeDoc = null;
+  let lastStage = null;
+  let closed = false;
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    analysisProgress.off(analysisId, onEvent);
+    unsubscribeDoc?.();
+  };
+  function onEvent(event) {
+    if (pending) {
+      pending.push(event);
+      return;
+    }
+    if (res.writableEnded) return;
+    if (event.type === 'stage') lastStage = event.stage;
+    writeSSE(res, event.type, event);
+    if (PROGRESS_TERMINAL_EVENTS.includes(event.type)) {
+      cleanup();
+      res.end();
+    }
+  }
+  analysisProgress.on(analysisId, onEvent);
+  req.on('close', cleanup);
+
+  let data;
+  try {
+    const doc = await ref.get();
+    if (!doc.exists) {
+      cleanup();
+      return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
+    }
+    data = doc.data();
+    if (!canAccessAnalysis(req.user, data)) {
+      cleanup();
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+  } catch (e) {
+    cleanup();
+    console.error('[SSE] Error:', e?.message);
+    return res.status(500).json({ ok: false, error: e.message || 'Error al obtener el análisis' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Sin buffer en proxies (nginx / Render)
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Estado actual: lo durable de Firestore más lo último publicado en memoria
+  writeSSE(res, 'snapshot', {
+    analysisId,
+    status: data.status,
+    stage: data.stage || (data.status === 'processing' ? 'queued' : data.status),
+    segmentProgress: data.segmentProgress || null,
+    progress: progressSnapshots.get(analysisId) || {}
+  });
+
+  if (PROGRESS_TERMINAL_EVENTS.includes(data.status)) {
+    cleanup();
+    writeSSE(res, data.status, terminalProgressEvent(analysisId, data));
+    return res.end();
+  }
+
+  heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  lastStage = data.stage || null;
+  const buffered = pending;
+  pending = null;
+  for (const event of buffered) {
+    if (res.writableEnded) break;
+    onEvent(event);
+  }
+  if (closed) return;
+
+  // Respaldo para trabajos en otra instancia: cambios de etapa y el estado final del documento.
+  // Si el trabajo corre aquí, el evento en memoria llega primero y este queda descartado.
+  unsubscribeDoc = ref.onSnapshot((snap) => {
+    const current = snap.data();
+    if (!current || res.writableEnded) return;
+    if (PROGRESS_TERMINAL_EVENTS.includes(current.status)) {
+      onEvent(terminalProgressEvent(analysisId, current));
+    } else if (current.stage && current.stage !== lastStage) {
+      onEvent({
+        type: 'stage',
+        analysisId,
+        at: new Date().toISOString(),
+        stage: current.stage,
+        ...(current.segmentProgress && { segmentProgress: current.segmentProgress }),
+        source: 'firestore'
+      });
+    }
+  }, (e) => console.warn(`[SSE] onSnapshot de ${analysisId} falló:`, e?.message));
+});
+
+// ====== Revisión humana de un análisis ======
+// Un director (de su plantel) o superAdmin/admin corrige `ok`/`subScore` de findings
+// concretos con una justificación. El resultado original de la IA queda en `aiResult`,
+// las correcciones vigentes en `reviewOverrides` y cada cambio en `analyses/{id}/reviewLog`.
+function canReviewAnalysis(user, data) {
+  if (isAdminRole(user?.role)) return true;
+  return user?.role === 'director' && canAccessAnalysis(user, data);
+}
+
+function validateReviewOverrides(overrides, aiResult) {
+  const errors = [];
+  if (!Array.isArray(overrides) || overrides.length === 0) {
+    return ['overrides debe ser un arreglo con al menos una corrección'];
+  }
+
+  const ruleIds = new Set((aiResult?.findings || []).map(f => f.ruleId));
+  const seen = new Set();
+  overrides.forEach((o, i) => {
+    const label = `overrides[${i}]`;
+    if (!o || typeof o !== 'object') {
+      errors.push(`${label} debe ser un objeto`);
+      return;
+    }
+    if (!ruleIds.has(o.ruleId)) errors.push(`${label}.ruleId desconocido: ${o.ruleId}`);
+    if (seen.has(o.ruleId)) errors.push(`${label}.ruleId repetido: ${o.ruleId}`);
+    seen.add(o.ruleId);
+    if (o.revert) return;
+
+    if (o.ok === undefined && o.subScore === undefined) errors.push(`${label} debe incluir ok, subScore o revert`);
+    // El score sale de los subScore: un ok sin subScore no movería el score ni qualifiesForVimeo
+    if (o.ok !== undefined && o.subScore === undefined) errors.push(`${label}.subScore es obligatorio cuando se corrige ok`);
+    if (o.ok !== undefined && typeof o.ok !== 'boolean') errors.push(`${label}.ok debe ser booleano`);
+    if (o.subScore !== undefined && o.subScore !== null && !(Number.isFinite(o.subScore) && o.subScore >= 0 && o.subScore <= 100)) {
+      errors.push(`${label}.subScore debe ser un número entre 0 y 100 o null`);
+    }
+    if (typeof o.justification !== 'string' || o.justification.trim().length < 5) {
+      errors.push(`${label}.justification es obligatoria (mínimo 5 caracteres)`);
+    }
+  });
+  return errors;
+}
+
+// Aplica las correcciones vigentes sobre el resultado de la IA
+function applyReviewOverrides(aiResult, reviewOverrides = {}) {
+  const unknown = new Set(aiResult.unknownRules || []);
+
+  const findings = (aiResult.findings || []).map(f => {
+    const o = reviewOverrides[f.ruleId];
+    if (!o) return f;
+
+    const reviewed = { ...f, review: { original: { ok: f.ok, subScore: f.subScore ?? null }, justification: o.justification, reviewedBy: o.reviewedBy ?? null, reviewedAt: o.reviewedAt ?? null } };
+    if (o.ok !== undefined) reviewed.ok = o.ok;
+    if (o.subScore !== undefined) {
+      reviewed.subScore = o.subScore;
+      // Un subScore asignado por el revisor cuenta para el score aunque la IA no lo supiera
+      if (o.subScore === null) unknown.add(f.ruleId);
+      else unknown.delete(f.ruleId);
+    }
+    return reviewed;
+  });
+
+  return { ...aiResult, findings, unknownRules: [...unknown] };
+}
+
+// Body: { overrides: [{ ruleId, ok?, subScore?, justification }] } — { ruleId, revert: true } quita una corrección
+app.post('/analyses/:analysisId/review', verifyAuth, async (req, res) => {
+  const { analysisId } = req.params;
+  const { overrides } = req.body || {};
+  const ref = db.collection('analyses').doc(analysisId);
+
+  try {
+    const snap = await ref.get();
+    if (!snap.exists) {
+      return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
+    }
+    const current = snap.data();
+    if (!canReviewAnalysis(req.user, current)) {
+      return res.status(403).json({ ok: false, error: 'Solo un director del plantel o un superAdmin puede revisar este análisis' });
+    }
+    if (current.status !== 'done' || !current.result) {
+      return res.status(409).json({ ok: false, error: 'El análisis aún no tiene resultado' });
+    }
+
+    const rubric = await getRubricVersion(current.rubric?.id, current.rubric?.version) || DEFAULT_RUBRIC;
+
+    const outcome = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const data = doc.data();
+      const aiResult = data.aiResult || data.result;
+
+      const errors = validateReviewOverrides(overrides, aiResult);
+      if (errors.length) return { errors };
+
+      const reviewedAt = new Date().toISOString();
+      const reviewOverrides = { ...(data.reviewOverrides || {}) };
+      const before = applyReviewOverrides(aiResult, reviewOverrides);
+      const changes = [];
+
+      for (const o of overrides) {
+        const prev = before.findings.find(f => f.ruleId === o.ruleId);
+        if (o.revert) {
+          delete reviewOverrides[o.ruleId];
+        } else {
+          reviewOverrides[o.ruleId] = {
+            ...(o.ok !== undefined && { ok: o.ok }),
+            ...(o.subScore !== undefined && { subScore: o.subScore === null ? null : Math.round(o.subScore) }),
+            justification: o.justification.trim(),
+            reviewedBy: req.user.uid,
+            reviewedAt
+          };
+        }
+        changes.push({ ruleId: o.ruleId, revert: !!o.revert, justification: o.justification?.trim() || null, before: { ok: prev?.ok ?? null, subScore: prev?.subScore ?? null } });
+      }
+
+      const { result, scoreCheck } = finalizeAnalysisResult(applyReviewOverrides(aiResult, reviewOverrides), rubric);
+      const qualifiesForVimeo = result.score >= SCORE_THRESHOLD;
+      for (const change of changes) {
+        const after = result.findings.find(f => f.ruleId === change.ruleId);
+        change.after = { ok: after?.ok ?? null, subScore: after?.subScore ?? null };
+      }
+
+      // vimeoStatus sigue a qualifiesForVimeo; una subida hecha o en curso no se toca
+      let vimeoStatus = data.vimeoStatus || null;
+      if (!['uploaded', 'uploading'].includes(vimeoStatus)) {
+        if (!qualifiesForVimeo) vimeoStatus = 'not_applicable';
+        else if (!vimeoStatus || vimeoStatus === 'not_applicable') vimeoStatus = 'pending';
+      }
+
+      const reviewed = Object.keys(reviewOverrides).length > 0;
+      tx.update(ref, {
+        aiResult,
+        result,
+        scoreCheck,
+        qualifiesForVimeo,
+        vimeoStatus,
+        // La copia retenida solo sirve para publicar: si deja de calificar se descarta
+        ...(!qualifiesForVimeo && data.retainedVideo && { retainedVideo: FieldValue.delete() }),
+        reviewOverrides,
+        review: {
+          status: reviewed ? 'reviewed' : 'none',
+          overridesCount: Object.keys(reviewOverrides).length,
+          aiScore: aiResult.score ?? null,
+          lastReviewedBy: req.user.uid,
+          lastReviewedAt: reviewedAt
+        },
+        // Una revisión humana atiende las reglas de baja confianza del consenso
+        needsReview: !reviewed && !!aiResult.consensus?.lowConfidenceRules?.length,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+
+      tx.set(ref.collection('reviewLog').doc(), {
+        userId: req.user.uid,
+        email: req.user.email || null,
+        role: req.user.role,
+        changes,
+        scoreBefore: data.result?.score ?? null,
+        scoreAfter: result.score,
+        qualifiesBefore: data.qualifiesForVimeo ?? null,
+        qualifiesAfter: qualifiesForVimeo,
+        createdAt: FieldValue.serverTimestamp()
+      });
+
+      return { result, scoreCheck, qualifiesForVimeo, vimeoStatus, changes, aiScore: aiResult.score ?? null };
+    });
+
+    if (outcome.errors) {
+      return res.status(400).json({ ok: false, error: 'Revisión inválida', details: outcome.errors });
+    }
+    if (!outcome.qualifiesForVimeo) await discardRetainedVideo(analysisId);
+
+    console.log(`✅ [review] Análisis ${analysisId} revisado por ${req.user.email}: ${outcome.aiScore} → ${outcome.result.score}`);
+    return res.json({
+      ok: true,
+      analysisId,
+      aiScore: outcome.aiScore,
+      score: outcome.result.score,
+      qualifiesForVimeo: outcome.qualifiesForVimeo,
+      vimeoStatus: outcome.vimeoStatus,
+      scoreCheck: outcome.scoreCheck,
+      changes: outcome.changes,
+      result: outcome.result
+    });
+  } catch (e) {
+    console.error('[review] Error:', e?.message);
+    return res.status(500).json({ ok: false, error: e.message || 'Error al guardar la revisión' });
+  }
+});
+
+// ====== Endpoint: Historial de revisiones de un análisis ======
+app.get('/analyses/:analysisId/reviewLog', verifyAuth, async (req, res) => {
+  const { analysisId } = req.params;
+
+  try {
+    const ref = db.collection('analyses').doc(analysisId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
+    }
+    if (!canAccessAnalysis(req.user, doc.data())) {
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+
+    const snapshot = await ref.collection('reviewLog').orderBy('createdAt', 'desc').get();
+    const entries = [];
+    snapshot.forEach(entry => {
+      const data = entry.data();
+      entries.push({
+        id: entry.id,
+        ...data,
+        createdAt: data.createdAt?.toDate?.()?.toISOString() || null
+      });
+    });
+
+    return res.json({ ok: true, analysisId, entries });
+  } catch (e) {
+    console.error('[reviewLog] Error:', e?.message);
+    return res.status(500).json({ ok: false, error: e.message || 'Error al obtener el historial de revisiones' });
+  }
+});
+
+// ====== Endpoint: Descargar subtítulos de un análisis ======
+// GET /analyses/:analysisId/captions?format=vtt|srt
+app.get('/analyses/:analysisId/captions', verifyAuth, async (req, res) => {
+  const { analysisId } = req.params;
+  const format = String(req.query.format || 'vtt').toLowerCase();
+
+  if (!['vtt', 'srt'].includes(format)) {
+    return res.status(400).json({ ok: false, error: 'format debe ser vtt o srt' });
+  }
+
+  try {
+    const doc = await db.collection('analyses').doc(analysisId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
+    }
+    if (!canAccessAnalysis(req.user, doc.data())) {
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+
+    const transcriptDoc = await transcriptRef(analysisId).get();
+    if (!transcriptDoc.exists) {
+      return res.status(404).json({ ok: false, error: 'Este análisis no tiene transcripción' });
+    }
+
+    const transcript = transcriptDoc.data();
+    const body = format === 'vtt' ? transcriptToVTT(transcript) : transcriptToSRT(transcript);
+    res.set('Content-Type', format === 'vtt' ? 'text/vtt; charset=utf-8' : 'application/x-subrip; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${analysisId}.${transcript.language || 'es'}.${format}"`);
+    return res.send(body);
+  } catch (e) {
+    console.error('[captions] Error:', e?.message);
+    return res.status(500).json({ ok: false, error: e.message || 'Error al generar los subtítulos' });
+  }
+});
+
+// ====== Reporte imprimible (HTML / PDF) ======
+// Se genera en el servidor a partir de `analyses/{id}` y la versión de rúbrica con la que se calificó.
+const REPORT_BRAND = process.env.REPORT_BRAND_NAME || 'UDEL';
+const REPORT_COLORS = { primary: '#0b3d91', ok: '#1e7d32', warn: '#b26a00', bad: '#c62828', muted: '#666666', border: '#d9dde3' };
+const REPORT_MAX_SUGGESTIONS = 8;
+
+// Modelo de datos común para ambos formatos
+function buildReportModel(analysisId, data, rubric) {
+  const result = data.result || {};
+  const findings = new Map((result.findings || []).map(f => [f.ruleId, f]));
+  const unknown = new Set(result.unknownRules || []);
+
+  const rules = (rubric.rules || []).map(rule => {
+    const f = findings.get(rule.id) || {};
+    const subScore = unknown.has(rule.id) ? null : toNumberOrNull(f.subScore);
+    return {
+      id: rule.id,
+      title: rule.title || rule.id,
+      weight: rule.weight,
+      subScore,
+      ok: subScore === null ? null : !!f.ok,
+      note: f.note || '',
+      measured: !!f.measured,
+      reviewed: !!f.review
+    };
+  });
+
+  // Problemas con tiempo: evidencia de reglas que no se cumplieron, en orden cronológico
+  const issues = [];
+  for (const rule of rules.filter(r => r.ok === false)) {
+    for (const t of findings.get(rule.id)?.evidence?.timestamps || []) {
+      if (!isTimeNumber(t?.start)) continue;
+      issues.push({
+        at: t.start,
+        label: `${formatTimestamp(t.start)}${isTimeNumber(t.end) ? `–${formatTimestamp(t.end)}` : ''}`,
+        ruleId: rule.id,
+        ruleTitle: rule.title,
+        description: t.description || t.text || rule.note
+      });
+    }
+  }
+  for (const seg of result.pacing?.longSegments || []) {
+    if (!isTimeNumber(seg?.start)) continue;
+    issues.push({
+      at: seg.start,
+      label: `${formatTimestamp(seg.start)}${isTimeNumber(seg.end) ? `–${formatTimestamp(seg.end)}` : ''}`,
+      ruleId: 'RITMO',
+      ruleTitle: 'Bloque demasiado largo',
+      description: seg.desc || seg.reason || seg.description || 'Segmento sin pausa ni práctica'
+    });
+  }
+  issues.sort((a, b) => a.at - b.at);
+
+  // Sugerencias: las de reglas con peor puntaje primero, luego las generales
+  const suggestions = uniqueStrings([
+    ...rules
+      .filter(r => r.subScore !== null && r.ok === false)
+      .sort((a, b) => a.subScore - b.subScore || b.weight - a.weight)
+      .map(r => findings.get(r.id)?.suggestions)
+      .filter(s => typeof s === 'string' && s.trim()),
+    ...(Array.isArray(result.suggestions) ? result.suggestions : [])
+  ]).slice(0, REPORT_MAX_SUGGESTIONS);
+
+  const video = result.mediaAnalysis?.video || {};
+  const audio = result.mediaAnalysis?.audio || {};
+  const metrics = result.metrics || {};
+  const fmt = (value, unit = '') => (value === null || value === undefined || value === '' ? '—' : `${value}${unit}`);
+  const technical = [
+    ['Duración', fmt(metrics.duracion_min, ' min')],
+    ['Resolución', fmt(video.resolution_px, ' px')],
+    ['Cuadros por segundo', fmt(video.fps)],
+    ['Bitrate de video', fmt(video.bitrate_mbps, ' Mbps')],
+    ['Sonoridad integrada', fmt(audio.lufs, ' LUFS')],
+    ['Pico', fmt(audio.peak_db, ' dBTP')],
+    ['Piso de ruido', fmt(audio.noise_floor_db, ' dB')],
+    ['Frecuencia de muestreo', fmt(audio.sample_rate_hz, ' Hz')],
+    ['Canales de audio', fmt(audio.channels)],
+    ['Micro-prácticas', fmt(metrics.micropracticas_count)],
+    ['Bloques de contenido', fmt(metrics.bloques_count)],
+    ['Intervalo medio entre prácticas', isTimeNumber(result.pacing?.avgGapMicroPracticeSec) ? formatTimestamp(result.pacing.avgGapMicroPracticeSec) : '—']
+  ];
+
+  const catalog = data.catalog || {};
+  return {
+    brand: REPORT_BRAND,
+    analysisId,
+    title: catalog.materia || data.fileName || analysisId,
+    subtitle: [catalog.carrera, catalog.cuatrimestre && `Cuatrimestre ${catalog.cuatrimestre}`, catalog.modulo && `Módulo ${catalog.modulo}`].filter(Boolean).join(' · '),
+    fileName: data.fileName || null,
+    plantel: data.plantel || null,
+    author: data.userEmail || null,
+    analyzedAt: data.updatedAt?.toDate?.()?.toISOString() || null,
+    generatedAt: new Date().toISOString(),
+    rubric: `${rubric.name || rubric.id} (v${rubric.version ?? '?'})`,
+    score: toNumberOrNull(result.score),
+    aiScore: data.aiResult ? toNumberOrNull(data.aiResult.score) : null,
+    threshold: data.scoreThreshold ?? SCORE_THRESHOLD,
+    qualifies: !!data.qualifiesForVimeo,
+    penalty: data.scoreCheck?.penaltyApplied || 0,
+    summary: result.summary || '',
+    rules,
+    issues,
+    suggestions,
+    technical
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function reportScoreColor(score, threshold) {
+  if (score === null) return REPORT_COLORS.muted;
+  if (score >= Math.max(threshold, 80)) return REPORT_COLORS.ok;
+  return score >= threshold ? REPORT_COLORS.warn : REPORT_COLORS.bad;
+}
+
+function renderReportHTML(model) {
+  const c = REPORT_COLORS;
+  const date = (iso) => (iso ? new Date(iso).toLocaleString('es-MX', { timeZone: 'America/Mexico_City' }) : '—');
+  const ruleRows = model.rules.map(r => `
+      <tr>
+        <td><strong>${escapeHtml(r.id)}</strong><br><span class="muted">${escapeHtml(r.title)}</span></td>
+        <td class="num">${r.weight}</td>
+        <td class="num" style="color:${reportScoreColor(r.subScore, 70)}">${r.subScore ?? '—'}</td>
+        <td>${r.ok === null ? '<span class="muted">Sin evaluar</span>' : r.ok ? '✔ Cumple' : '✘ No cumple'}${r.measured ? ' <span class="tag">medido</span>' : ''}${r.reviewed ? ' <span class="tag">revisado</span>' : ''}</td>
+        <td>${escapeHtml(r.note)}</td>
+      </tr>`).join('');
+  const issueRows = model.issues.map(i => `
+      <tr><td class="num">${escapeHtml(i.label)}</td><td>${escapeHtml(i.ruleTitle)}</td><td>${escapeHtml(i.description)}</td></tr>`).join('');
+  const techRows = model.technical.map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td class="num">${escapeHtml(v)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Reporte de análisis · ${escapeHtml(model.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #222; margin: 32px; font-size: 13px; }
+  header { border-bottom: 4px solid ${c.primary}; padding-bottom: 12px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: flex-end; }
+  .brand { color: ${c.primary}; font-weight: 700; font-size: 20px; letter-spacing: 1px; }
+  h1 { font-size: 22px; margin: 4px 0; }
+  h2 { color: ${c.primary}; font-size: 16px; border-bottom: 1px solid ${c.border}; padding-bottom: 4px; margin-top: 28px; }
+  .muted { color: ${c.muted}; }
+  .score { font-size: 44px; font-weight: 700; }
+  .badge { display: inline-block; padding: 4px 10px; border-radius: 12px; color: #fff; font-weight: 600; }
+  .tag { display: inline-block; font-size: 10px; border: 1px solid ${c.border}; border-radius: 8px; padding: 0 6px; color: ${c.muted}; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  th, td { border-bottom: 1px solid ${c.border}; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f3f5f9; font-size: 12px; }
+  .num { text-align: right; white-space: nowrap; }
+  .meta td { border: none; padding: 2px 8px 2px 0; }
+  footer { margin-top: 32px; font-size: 11px; color: ${c.muted}; }
+  @media print { body { margin: 12mm; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<header>
+  <div>
+    <div class="brand">${escapeHtml(model.brand)}</div>
+    <h1>${escapeHtml(model.title)}</h1>
+    <div class="muted">${escapeHtml(model.subtitle)}</div>
+  </div>
+  <div style="text-align:right">
+    <div class="score" style="color:${reportScoreColor(model.score, model.threshold)}">${model.score ?? '—'}<span style="font-size:20px">/100</span></div>
+    <span class="badge" style="background:${model.qualifies ? c.ok : c.bad}">${model.qualifies ? 'Califica para Vimeo' : 'No califica'} (umbral ${model.threshold})</span>
+  </div>
+</header>
+
+<table class="meta">
+  <tr><td class="muted">Análisis</td><td>${escapeHtml(model.analysisId)}</td><td class="muted">Archivo</td><td>${escapeHtml(model.fileName || '—')}</td></tr>
+  <tr><td class="muted">Plantel</td><td>${escapeHtml(model.plantel || '—')}</td><td class="muted">Autor</td><td>${escapeHtml(model.author || '—')}</td></tr>
+  <tr><td class="muted">Rúbrica</td><td>${escapeHtml(model.rubric)}</td><td class="muted">Analizado</td><td>${escapeHtml(date(model.analyzedAt))}</td></tr>
+</table>
+${model.aiScore !== null ? `<p class="muted">Score con revisión humana. Score original de la IA: ${model.aiScore}.</p>` : ''}
+${model.penalty ? `<p class="muted">Incluye penalización de ${model.penalty} puntos por exceso de bullets.</p>` : ''}
+
+<h2>Resumen</h2>
+<p>${escapeHtml(model.summary || 'Sin resumen.')}</p>
+
+<h2>Puntaje por regla</h2>
+<table>
+  <thead><tr><th>Regla</th><th class="num">Peso</th><th class="num">Puntaje</th><th>Estado</th><th>Observación</th></tr></thead>
+  <tbody>${ruleRows}</tbody>
+</table>
+
+<h2>Problemas detectados en el video</h2>
+${model.issues.length ? `<table>
+  <thead><tr><th class="num">Tiempo</th><th>Regla</th><th>Detalle</th></tr></thead>
+  <tbody>${issueRows}</tbody>
+</table>` : '<p class="muted">No se registraron problemas con tiempo.</p>'}
+
+<h2>Principales sugerencias</h2>
+${model.suggestions.length ? `<ol>${model.suggestions.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ol>` : '<p class="muted">Sin sugerencias.</p>'}
+
+<h2>Métricas técnicas</h2>
+<table style="max-width:480px">
+  <tbody>${techRows}</tbody>
+</table>
+
+<footer>Generado el ${escapeHtml(date(model.generatedAt))} · ${escapeHtml(model.brand)} · Analizador de clases en video</footer>
+</body>
+</html>
+`;
+}
+
+// Las fuentes estándar de PDF solo cubren Latin-1 (más algunos signos tipográficos)
+const pdfText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF\n•–—‘’“”…]/g, '').trim();
+
+function renderReportPDF(model, out) {
+  const c = REPORT_COLORS;
+  const doc = new PDFDocument({ size: 'LETTER', margin: 48, info: { Title: `Reporte de análisis - ${pdfText(model.title)}`, Author: model.brand } });
+  doc.pipe(out);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const ensureSpace = (h) => {
+    if (doc.y + h > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  };
+  const heading = (text) => {
+    ensureSpace(40);
+    doc.moveDown(1).font('Helvetica-Bold').fontSize(13).fillColor(c.primary).text(pdfText(text), left);
+    doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor(c.border).stroke();
+    doc.moveDown(0.5).font('Helvetica').fontSize(10).fillColor('#222222');
+  };
+  // Tabla simple: columnas con ancho relativo, alto de fila según el texto más largo
+  const table = (columns, rows) => {
+    const widths = columns.map(col => col.width * width);
+    const drawRow = (cells, { bold = false, color = null } = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      const heights = cells.map((cell, i) => doc.heightOfString(pdfText(cell), { width: widths[i] - 6 }));
+      const h = Math.max(...heights) + 6;
+      ensureSpace(h);
+      const y = doc.y;
+      let x = left;
+      cells.forEach((cell, i) => {
+        doc.fillColor((i === 2 && color) || '#222222')
+          .text(pdfText(cell), x + 3, y + 3, { width: widths[i] - 6, align: columns[i].align || 'left' });
+        x += widths[i];
+      });
+      doc.moveTo(left, y + h).lineTo(left + width, y + h).strokeColor(c.border).stroke();
+      doc.x = left;
+      doc.y = y + h;
+    };
+    ensureSpace(48); // Que el encabezado no quede solo al final de la página
+    drawRow(columns.map(col => col.label), { bold: true });
+    rows.forEach(row => drawRow(row.cells, { color: row.color }));
+    doc.font('Helvetica').fontSize(10).fillColor('#222222');
+  };
+
+  // Encabezado
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(c.primary).text(pdfText(model.brand), left, 48);
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#222222').text(pdfText(model.title), { width: width - 140 });
+  if (model.subtitle) doc.font('Helvetica').fontSize(10).fillColor(c.muted).text(pdfText(model.subtitle), { width: width - 140 });
+  const headerBottom = doc.y;
+  doc.font('Helvetica-Bold').fontSize(32).fillColor(reportScoreColor(model.score, model.threshold))
+    .text(`${model.score ?? '—'}/100`, left + width - 140, 52, { width: 140, align: 'right' });
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(model.qualifies ? c.ok : c.bad)
+    .text(`${model.qualifies ? 'Califica para Vimeo' : 'No califica'} (umbral ${model.threshold})`, left + width - 140, doc.y, { width: 140, align: 'right' });
+  doc.x = left;
+  doc.y = Math.max(headerBottom, doc.y) + 8;
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(3).strokeColor(c.primary).stroke().lineWidth(1);
+  doc.moveDown(0.8);
+
+  doc.font('Helvetica').fontSize(9).fillColor(c.muted);
+  [
+    `Análisis: ${model.analysisId}    Archivo: ${model.fileName || '—'}`,
+    `Plantel: ${model.plantel || '—'}    Autor: ${model.author || '—'}`,
+    `Rúbrica: ${model.rubric}    Analizado: ${model.analyzedAt ? new Date(model.analyzedAt).toLocaleString('es-MX', { timeZone: 'America/Mexico_City' }) : '—'}`
+  ].forEach(line => doc.text(pdfText(line), left));
+  if (model.aiScore !== null) doc.text(pdfText(`Score con revisión humana. Score original de la IA: ${model.aiScore}.`));
+  if (model.penalty) doc.text(pdfText(`Incluye penalización de ${model.penalty} puntos por exceso de bullets.`));
+
+  heading('Resumen');
+  doc.text(pdfText(model.summary || 'Sin resumen.'), { width });
+
+  heading('Puntaje por regla');
+  table(
+    [
+      { label: 'Regla', width: 0.26 },
+      { label: 'Peso', width: 0.07, align: 'right' },
+      { label: 'Puntaje', width: 0.09, align: 'right' },
+      { label: 'Estado', width: 0.13 },
+      { label: 'Observación', width: 0.45 }
+    ],
+    model.rules.map(r => ({
+      color: reportScoreColor(r.subScore, 70),
+      cells: [
+        `${r.id}\n${r.title}`,
+        String(r.weight),
+        r.subScore === null ? '—' : String(r.subScore),
+        (r.ok === null ? 'Sin evaluar' : r.ok ? 'Cumple' : 'No cumple') + (r.measured ? ' (medido)' : '') + (r.reviewed ? ' (revisado)' : ''),
+        r.note
+      ]
+    }))
+  );
+
+  heading('Problemas detectados en el video');
+  if (model.issues.length) {
+    table(
+      [{ label: 'Tiempo', width: 0.15 }, { label: 'Regla', width: 0.25 }, { label: 'Detalle', width: 0.6 }],
+      model.issues.map(i => ({ cells: [i.label, i.ruleTitle, i.description] }))
+    );
+  } else {
+    doc.fillColor(c.muted).text('No se registraron problemas con tiempo.').fillColor('#222222');
+  }
+
+  heading('Principales sugerencias');
+  if (model.suggestions.length) {
+    model.suggestions.forEach((s, i) => {
+      ensureSpace(24);
+      doc.text(pdfText(`${i + 1}. ${s}`), left, doc.y, { width });
+    });
+  } else {
+    doc.fillColor(c.muted).text('Sin sugerencias.').fillColor('#222222');
+  }
+
+  heading('Métricas técnicas');
+  table(
+    [{ label: 'Métrica', width: 0.6 }, { label: 'Valor', width: 0.4, align: 'right' }],
+    model.technical.map(([k, v]) => ({ cells: [k, v] }))
+  );
+
+  doc.moveDown(2).fontSize(8).fillColor(c.muted)
+    .text(pdfText(`Generado el ${new Date(model.generatedAt).toLocaleString('es-MX', { timeZone: 'America/Mexico_City' })} · ${model.brand} · Analizador de clases en video`), left, doc.y, { width });
+  doc.end();
+}
+
+// ====== Endpoint: Reporte descargable de un análisis ======
+// GET /analyses/:analysisId/report?format=pdf|html
+app.get('/analyses/:analysisId/report', verifyAuth, async (req, res) => {
+  const { analysisId } = req.params;
+  const format = String(req.query.format || 'pdf').toLowerCase();
+
+  if (!['pdf', 'html'].includes(format)) {
+    return res.status(400).json({ ok: false, error: 'format debe ser pdf o html' });
+  }
+
+  try {
+    const doc = await db.collection('analyses').doc(analysisId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
+    }
+    const data = doc.data();
+    if (!canAccessAnalysis(req.user, data)) {
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+    if (data.status !== 'done' || !data.result) {
+      return res.status(409).json({ ok: false, error: 'El análisis aún no tiene resultado' });
+    }
 
-    await ref.set({
-      status: 'error',
-      error: e?.response?.data?.error?.message || e.message || 'unknown',
-      updatedAt: FieldValue.serverTimestamp()
-    }, { merge: true });
+    const rubric = await getRubricVersion(data.rubric?.id, data.rubric?.version) || DEFAULT_RUBRIC;
+    const model = buildReportModel(analysisId, data, rubric);
+    const fileName = `reporte-${analysisId}.${format}`;
 
-    return res.status(500).json({ ok: false, error: e?.message || 'Internal error' });
-  } finally {
-    // 6) Limpieza
-    const toDelete = extractGeminiFileRef(uploaded);
-    if (toDelete) deleteGeminiFile(toDelete).catch(() => {});
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('Content-Disposition', `inline; filename="${fileName}"`);
+      return res.send(renderReportHTML(model));
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    renderReportPDF(model, res);
+  } catch (e) {
+    console.error('[report] Error:', e?.message);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ ok: false, error: e.message || 'Error al generar el reporte' });
   }
 });
 
 // ====== Endpoint: Subir a Vimeo (manual) ======
-app.post('/uploadToVimeo', upload.single('file'), async (req, res) => {
-  const { file } = req;
-  const { analysisId } = req.body || {};
+// `file` es opcional si el servidor retuvo el video del análisis (VIDEO_RETENTION_HOURS)
+app.post('/uploadToVimeo', verifyAuth, requirePermiso('analizador_videos'), requireQuota('uploadToVimeo'), upload.single('file'), async (req, res) => {
+  let { file } = req;
+  const { analysisId, captions = 'true', chapters: chaptersParam = 'true', callbackUrl } = req.body || {};
+  // catalogEntry llega como objeto (JSON) o como texto JSON (multipart)
+  let { catalogEntry } = req.body || {};
+  if (typeof catalogEntry === 'string') {
+    try {
+      catalogEntry = JSON.parse(catalogEntry);
+    } catch {
+      await removeTempFile(file?.path);
+      return res.status(400).json({ ok: false, error: 'catalogEntry no es JSON válido' });
+    }
+  }
 
-  if (!analysisId) return res.status(400).json({ ok: false, error: 'analysisId requerido' });
-  if (!file) return res.status(400).json({ ok: false, error: 'file requerido' });
+  if (!analysisId) {
+    await removeTempFile(file?.path);
+    return res.status(400).json({ ok: false, error: 'analysisId requerido' });
+  }
+
+  let callback = null;
+  try {
+    callback = callbackUrl ? await validateCallbackUrl(callbackUrl) : null;
+  } catch (e) {
+    await removeTempFile(file?.path);
+    return res.status(400).json({ ok: false, error: e.message });
+  }
 
   const ref = db.collection('analyses').doc(analysisId);
+  let claimed = false;
 
   try {
-    // 1) Verificar que el análisis existe y califica
-    const doc = await ref.get();
-    if (!doc.exists) {
-      return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
-    }
+    // 1) Verificar que el análisis existe y califica, y reclamar la subida (vimeoStatus → uploading)
+    //    en una transacción: dos peticiones, aunque lleguen a instancias distintas, no suben el mismo video
+    const claim = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) {
+        return { status: 404, error: 'Análisis no encontrado' };
+      }
 
-    const data = doc.data();
-    if (!data.qualifiesForVimeo) {
-      return res.status(403).json({ 
-        ok: false, 
-        error: `El video no alcanzó el puntaje mínimo (${data.result?.score}% < ${SCORE_THRESHOLD}%)` 
-      });
-    }
+      const data = doc.data();
+      if (!canAccessAnalysis(req.user, data)) {
+        return { status: 403, error: 'No tienes acceso a este análisis' };
+      }
+
+      if (!data.qualifiesForVimeo) {
+        return { status: 403, error: `El video no alcanzó el puntaje mínimo (${data.result?.score}% < ${SCORE_THRESHOLD}%)` };
+      }
+
+      if (data.vimeoStatus === 'uploaded') {
+        return { status: 400, error: 'Este video ya fue subido a Vimeo', vimeoLink: data.vimeoLink };
+      }
+      // Una subida viva actualiza updatedAt con cada bloque; sin avance se considera abandonada
+      const updatedAt = data.updatedAt?.toDate?.();
+      const staleUpload = updatedAt && updatedAt < new Date(Date.now() - STALE_ANALYSIS_MIN * 60_000);
+      if (data.vimeoStatus === 'uploading' && (activeVimeoUploads.has(analysisId) || !staleUpload)) {
+        return { status: 409, error: 'Este video ya se está subiendo a Vimeo' };
+      }
 
-    if (data.vimeoStatus === 'uploaded') {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Este video ya fue subido a Vimeo',
-        vimeoLink: data.vimeoLink
+      tx.update(ref, {
+        vimeoStatus: 'uploading',
+        vimeoRequestedBy: req.user.uid,
+        ...(callback && { callbackUrl: callback }),
+        updatedAt: FieldValue.serverTimestamp()
       });
+      return { data };
+    });
+
+    if (!claim.data) {
+      const { status, ...body } = claim;
+      return res.status(status).json({ ok: false, ...body });
+    }
+    claimed = true;
+    activeVimeoUploads.add(analysisId);
+    const { data } = claim;
+
+    // 2) Sin archivo en la petición se usa la copia retenida al analizar
+    let fromRetention = false;
+    if (!file) {
+      file = await restoreRetainedVideo(analysisId);
+      if (!file) {
+        // Se libera el reclamo: el análisis vuelve al estado que tenía
+        await ref.update({
+          vimeoStatus: data.vimeoStatus === 'uploading' ? 'error' : (data.vimeoStatus || 'pending'),
+          retainedVideo: FieldValue.delete(),
+          updatedAt: FieldValue.serverTimestamp()
+        });
+        return res.status(400).json({ ok: false, error: 'file requerido (el servidor no tiene una copia vigente de este video)' });
+      }
+      fromRetention = true;
     }
 
-    // 2) Actualizar estado
-    await ref.update({
-      vimeoStatus: 'uploading',
-      updatedAt: FieldValue.serverTimestamp()
-    });
+    // 3) Subir a Vimeo con información mejorada; si una subida anterior del mismo
+    //    archivo quedó a medias se reanuda desde el offset que tiene Vimeo
+    const previous = data.vimeoUpload;
+    const resume = previous?.uploadLink && previous.sha256 && previous.sha256 === file.sha256 ? previous : null;
+    if (previous?.uri && !resume) await deleteVimeoVideo(previous.uri);
 
-    // 3) Subir a Vimeo con información mejorada
-    const vimeoResult = await uploadToVimeoAPI(file.buffer, file.originalname, {
+    const startedAt = resume?.startedAt || new Date();
+    const vimeoResult = await uploadToVimeoAPI(file.path, file.originalname, {
       summary: data.result?.summary || '',
       findings: data.result?.findings || [],
       privacy: 'unlisted'
+    }, {
+      resume,
+      onProgress: ({ uri, uploadLink, bytesUploaded, totalBytes }) => ref.update({
+        vimeoUpload: {
+          uri,
+          uploadLink,
+          sha256: file.sha256,
+          bytesUploaded,
+          totalBytes,
+          percent: totalBytes ? Math.floor((bytesUploaded / totalBytes) * 100) : 0,
+          startedAt,
+          updatedAt: new Date()
+        },
+        updatedAt: FieldValue.serverTimestamp()
+      }).catch(err => console.warn('[Vimeo] No se pudo guardar el progreso:', err?.message))
     });
 
-    // 4) Guardar resultado
+    // 4) Guardar resultado; la copia retenida ya no hace falta
+    await discardRetainedVideo(analysisId);
     await ref.update({
       vimeoStatus: 'uploaded',
+      vimeoUpload: FieldValue.delete(),
+      retainedVideo: FieldValue.delete(),
       vimeoUri: vimeoResult.uri,
       vimeoLink: vimeoResult.link,
       vimeoVideoId: vimeoResult.videoId,
@@ -665,32 +5359,121 @@ app.post('/uploadToVimeo', upload.single('file'), async (req, res) => {
       updatedAt: FieldValue.serverTimestamp()
     });
 
-    console.log('[Vimeo] Subida completada:', vimeoResult.link);
+    console.log(`[Vimeo] Subida completada${fromRetention ? ' (desde la copia retenida)' : ''}:`, vimeoResult.link);
+
+    // 5) Carpeta y showcase según el catálogo; un fallo aquí no deshace la subida
+    const catalog = await resolveVimeoCatalog(data, catalogEntry);
+    let organizationStatus = 'skipped';
+    try {
+      const organization = await organizeVimeoVideo(vimeoResult.videoId, catalog);
+      organizationStatus = organization.status;
+      if (organization.status === 'done') {
+        await ref.update({
+          vimeoCatalog: organization.catalog,
+          vimeoFolder: { ...organization.folder, path: organization.folders.map(f => f.name) },
+          vimeoFolderIds: organization.folders.map(f => f.id),
+          vimeoShowcase: organization.showcase || null,
+          vimeoOrganizationStatus: organizationStatus
+        });
+      }
+    } catch (organizeError) {
+      console.warn('[Vimeo] No se pudo organizar el video:', organizeError?.response?.data || organizeError.message);
+      organizationStatus = 'error';
+      await ref.update({
+        vimeoOrganizationStatus: organizationStatus,
+        vimeoOrganizationError: organizeError?.response?.data?.error || organizeError.message
+      });
+    }
+
+    // 6) Subtítulos desde la transcripción (si existe); un fallo aquí no deshace la subida
+    let captionsStatus = 'skipped';
+    if (String(captions) !== 'false' && data.transcript?.status === 'done') {
+      try {
+        const transcriptDoc = await transcriptRef(analysisId).get();
+        const track = await uploadVimeoTextTrack(vimeoResult.uri, transcriptToVTT(transcriptDoc.data()), {
+          language: transcriptDoc.data().language || 'es'
+        });
+        captionsStatus = 'uploaded';
+        await ref.update({ vimeoTextTrackUri: track.uri, vimeoCaptionsStatus: captionsStatus });
+      } catch (captionError) {
+        console.warn('[Vimeo] No se pudieron agregar los subtítulos:', captionError?.response?.data || captionError.message);
+        captionsStatus = 'error';
+        await ref.update({ vimeoCaptionsStatus: captionsStatus, vimeoCaptionsError: captionError?.response?.data?.error || captionError.message });
+      }
+    }
+
+    // 7) Capítulos desde la estructura detectada
+    let chaptersStatus = 'skipped';
+    const chapters = buildVimeoChapters(data.result, { durationSec: data.durationSec });
+    if (String(chaptersParam) !== 'false' && chapters.length > 1) {
+      try {
+        await addVimeoChapters(vimeoResult.uri, chapters);
+        chaptersStatus = 'uploaded';
+        await ref.update({ vimeoChapters: chapters, vimeoChaptersStatus: chaptersStatus });
+      } catch (chapterError) {
+        console.warn('[Vimeo] No se pudieron agregar los capítulos:', chapterError?.response?.data || chapterError.message);
+        chaptersStatus = 'error';
+        await ref.update({ vimeoChaptersStatus: chaptersStatus, vimeoChaptersError: chapterError?.response?.data?.error || chapterError.message });
+      }
+    }
+
+    // 8) Etiquetas: materia, carrera y conceptos de la clase
+    let tagsStatus = 'skipped';
+    const tags = buildVimeoTags(catalog, data.result);
+    if (tags.length) {
+      try {
+        await setVimeoTags(vimeoResult.uri, tags);
+        tagsStatus = 'uploaded';
+        await ref.update({ vimeoTags: tags, vimeoTagsStatus: tagsStatus });
+      } catch (tagError) {
+        console.warn('[Vimeo] No se pudieron agregar las etiquetas:', tagError?.response?.data || tagError.message);
+        tagsStatus = 'error';
+        await ref.update({ vimeoTagsStatus: tagsStatus, vimeoTagsError: tagError?.response?.data?.error || tagError.message });
+      }
+    }
+
+    await emitAnalysisEvent(analysisId, 'vimeo.uploaded');
 
     return res.json({
       ok: true,
       vimeoLink: vimeoResult.link,
-      vimeoVideoId: vimeoResult.videoId
+      vimeoVideoId: vimeoResult.videoId,
+      organizationStatus,
+      captionsStatus,
+      chaptersStatus,
+      tagsStatus
     });
 
   } catch (e) {
     console.error('[Vimeo] Error al subir:', e?.response?.data || e.message);
+    if (!claimed) {
+      return res.status(e.httpStatus || 500).json({ ok: false, error: e.message || 'Error al subir a Vimeo' });
+    }
 
     await ref.update({
       vimeoStatus: 'error',
       vimeoError: e?.response?.data?.error || e.message,
       updatedAt: FieldValue.serverTimestamp()
     });
+    await emitAnalysisEvent(analysisId, 'vimeo.error');
 
+    // Lo ya subido se conserva: reintentar con el mismo archivo reanuda desde ahí
+    const upload = (await ref.get()).data()?.vimeoUpload;
     return res.status(500).json({ 
       ok: false, 
-      error: e?.response?.data?.error || e.message || 'Error al subir a Vimeo'
+      error: e?.response?.data?.error || e.message || 'Error al subir a Vimeo',
+      resumable: !!upload?.uploadLink,
+      ...(upload && { bytesUploaded: upload.bytesUploaded, totalBytes: upload.totalBytes })
     });
+  } finally {
+    // Solo libera el candado quien lo tomó (un 409 no debe soltar la subida de otra petición)
+    if (claimed) activeVimeoUploads.delete(analysisId);
+    await removeTempFile(file?.path);
   }
 });
 
 // ====== Generar Carta Descriptiva (Optimizado - Una sola llamada) ======
-app.post('/generateCartaDescriptiva', async (req, res) => {
+app.post('/generateCartaDescriptiva', verifyAuth, requirePermiso('carta_descriptiva'), requireQuota('generateCartaDescriptiva'), async (req, res) => {
   console.log('[generateCartaDescriptiva] Inicio - Body:', JSON.stringify(req.body));
   const { temaDescription } = req.body || {};
 
@@ -699,28 +5482,33 @@ app.post('/generateCartaDescriptiva', async (req, res) => {
     return res.status(400).json({ ok: false, error: 'Se requiere una descripción del tema (mínimo 10 caracteres)' });
   }
 
-  // Verificar que OpenAI esté configurado
-  if (!openai) {
-    return res.status(503).json({
-      ok: false,
-      error: 'OpenAI no está configurado. Agrega OPENAI_API_KEY en las variables de entorno.'
-    });
-  }
-
   try {
-    console.log('[generateCartaDescriptiva] Generando carta optimizada con OpenAI...');
+    console.log(`[generateCartaDescriptiva] Generando carta optimizada con ${textProvider.name}...`);
     
     // Generar carta de alta calidad en una sola llamada (sin análisis posterior)
-    const cartaGenerada = await generateCartaOptimizadaWithOpenAI(temaDescription.trim());
+    const { text: cartaGenerada, model } = await generateCartaOptimizada(temaDescription.trim(), {
+      usageContext: usageContextFor(req, 'generateCartaDescriptiva')
+    });
     console.log('[generateCartaDescriptiva] Carta generada, longitud:', cartaGenerada.length);
 
+    // Guardar la carta para poder compararla después con el video grabado
+    const cartaRef = await db.collection('cartas').add({
+      tema: temaDescription.trim(),
+      contenido: cartaGenerada,
+      provider: textProvider.name,
+      model,
+      ...analysisOwnerFields(req.user),
+      createdAt: FieldValue.serverTimestamp()
+    });
+
     // Devolver directamente (sin análisis para mayor velocidad)
     return res.json({
       ok: true,
+      cartaId: cartaRef.id,
       carta: { contenido: cartaGenerada },
       analysis: {
         score: 100,
-        summary: 'Carta descriptiva generada con estándares de calidad profesional usando GPT-4 Turbo.',
+        summary: `Carta descriptiva generada con estándares de calidad profesional usando ${textProvider.name} (${model}).`,
         findings: [],
         suggestions: []
       }
@@ -735,13 +5523,26 @@ app.post('/generateCartaDescriptiva', async (req, res) => {
   }
 });
 
+const CARTA_OPTIMIZADA_SYSTEM = 'Eres un experto en diseño instruccional y producción de video educativo. Generas cartas descriptivas detalladas para clases en video que cumplen con los más altos estándares pedagógicos y técnicos. Tus cartas descriptivas sirven como guiones de producción profesionales que garantizan 100% en análisis de calidad.';
+const CARTA_EVALUATOR_SYSTEM = 'Eres un experto evaluador de diseño instruccional. Analizas cartas descriptivas y proporcionas evaluaciones precisas en formato JSON.';
+
+// Criterios (y pesos) con los que se evalúa una carta descriptiva
+const CARTA_CRITERIA = [
+  { id: 'C1_ESTRUCTURA_COMPLETA', weight: 10 },
+  { id: 'C2_OBJETIVOS_CLAROS', weight: 15 },
+  { id: 'C3_CONTENIDO_ORGANIZADO', weight: 15 },
+  { id: 'C4_METODOLOGIA_APROPIADA', weight: 15 },
+  { id: 'C5_EVALUACION_COMPLETA', weight: 15 },
+  { id: 'C6_RECURSOS_ACCESIBLES', weight: 10 },
+  { id: 'C7_LENGUAJE_CLARO', weight: 10 },
+  { id: 'C8_INNOVACION_PEDAGOGICA', weight: 5 },
+  { id: 'C9_BIBLIOGRAFIA_COMPLETA', weight: 3 },
+  { id: 'C10_PRESENTACION_PROFESIONAL', weight: 2 }
+];
+
 // Función optimizada para generar carta descriptiva de alta calidad (una sola llamada)
-async function generateCartaOptimizadaWithOpenAI(temaDescription) {
-  console.log('[generateCartaOptimizadaWithOpenAI] Inicio - temaDescription length:', temaDescription.length);
-  
-  if (!openai) {
-    throw new Error('OpenAI no está configurado');
-  }
+async function generateCartaOptimizada(temaDescription, { provider = textProvider, usageContext = {} } = {}) {
+  console.log('[generateCartaOptimizada] Inicio - temaDescription length:', temaDescription.length);
 
   const prompt = `Genera una carta descriptiva COMPLETA y PROFESIONAL para UNA CLASE EN VIDEO sobre: "${temaDescription}"
 
@@ -841,48 +5642,36 @@ IMPORTANTE:
 
 Responde SOLO con el texto completo de la carta descriptiva, bien formateado y listo para usar como guion de produccion.`;
 
-  console.log('[generateCartaOptimizadaWithOpenAI] Llamando a OpenAI API...');
-  
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4o', // Modelo más potente para máxima calidad
-    messages: [
-      {
-        role: 'system',
-        content: 'Eres un experto en diseño instruccional y producción de video educativo. Generas cartas descriptivas detalladas para clases en video que cumplen con los más altos estándares pedagógicos y técnicos. Tus cartas descriptivas sirven como guiones de producción profesionales que garantizan 100% en análisis de calidad.'
-      },
-      {
-        role: 'user',
-        content: prompt
-      }
-    ],
-    temperature: 0.3,
-    max_tokens: 4500
-  });
+  return retryWithModels(async (MODEL, attempt) => {
+    console.log(`[generateCartaOptimizada] Llamando a ${provider.name} con modelo:`, MODEL);
+    const { text } = await trackAiCall(usageContext, { provider: provider.name, model: MODEL, attempt, operation: 'generateText' }, () =>
+      provider.generateText({
+        model: MODEL,
+        system: CARTA_OPTIMIZADA_SYSTEM,
+        prompt,
+        temperature: 0.3,
+        maxTokens: 4500
+      })
+    );
 
-  const txt = completion.choices[0]?.message?.content || '';
-  console.log('[generateCartaOptimizadaWithOpenAI] Texto extraído, length:', txt.length);
-  
-  if (!txt || txt.length < 200) {
-    throw new Error('La respuesta de OpenAI está vacía o es muy corta');
-  }
-  
-  return txt.trim();
+    const txt = text || '';
+    console.log('[generateCartaOptimizada] Texto extraído, length:', txt.length);
+
+    if (!txt || txt.length < 200) {
+      throw new Error(`La respuesta de ${provider.name} está vacía o es muy corta`);
+    }
+
+    return { text: txt.trim(), model: MODEL };
+  }, provider.models.text[0], provider.models.text);
 }
 
-// Función para generar carta descriptiva con Gemini (fallback)
-async function generateCartaWithGemini(temaDescription, suggestionsPrevias = []) {
-  console.log('[generateCartaWithGemini] Inicio - temaDescription length:', temaDescription.length, 'suggestions:', suggestionsPrevias.length);
-  return retryWithModels(async (MODEL) => {
+// Función para generar carta descriptiva a partir de sugerencias previas (fallback)
+async function generateCarta(temaDescription, suggestionsPrevias = [], { provider = textProvider, usageContext = {} } = {}) {
+  console.log('[generateCarta] Inicio - temaDescription length:', temaDescription.length, 'suggestions:', suggestionsPrevias.length);
   const suggestionsText = suggestionsPrevias.length > 0 ?
     `\n\nMejoras de versiones anteriores a considerar:\n${suggestionsPrevias.map(s => `- ${s}`).join('\n')}` : '';
 
-  const body = {
-    contents: [
-      {
-        role: 'user',
-        parts: [
-          {
-            text: `Genera una carta descriptiva completa para una clase universitaria basada en la siguiente descripción del tema:
+  const prompt = `Genera una carta descriptiva completa para una clase universitaria basada en la siguiente descripción del tema:
 
 DESCRIPCIÓN DEL TEMA:
 ${temaDescription}
@@ -910,43 +5699,28 @@ ELEMENTOS REQUERIDOS:
 
 IMPORTANTE: La carta debe estar optimizada para obtener la máxima puntuación en análisis pedagógico. Incluye todos los elementos que demuestren calidad educativa excepcional.
 
-Responde SOLO con el texto completo de la carta descriptiva, sin explicaciones adicionales.`
-          }
-        ]
-      }
-    ],
-    generationConfig: {
-      temperature: 0.3,
-      maxOutputTokens: 4000
-    }
-  };
+Responde SOLO con el texto completo de la carta descriptiva, sin explicaciones adicionales.`;
 
-  console.log('[generateCartaWithGemini] Llamando a Gemini API con modelo:', MODEL);
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL}:generateContent?key=${GEMINI_API_KEY}`;
-  const response = await axios.post(url, body, {
-    headers: { 'Content-Type': 'application/json' },
-    timeout: 120_000
-  });
+  return retryWithModels(async (MODEL, attempt) => {
+    console.log(`[generateCarta] Llamando a ${provider.name} con modelo:`, MODEL);
+    const { text } = await trackAiCall(usageContext, { provider: provider.name, model: MODEL, attempt, operation: 'generateText' }, () =>
+      provider.generateText({ model: MODEL, prompt, temperature: 0.3, maxTokens: 4000 })
+    );
 
-  console.log('[generateCartaWithGemini] Respuesta recibida, status:', response.status);
-  const txt = response?.data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  console.log('[generateCartaWithGemini] Texto extraído, length:', txt.length);
-  
-  if (!txt || txt.length < 100) {
-    throw new Error('La respuesta de Gemini está vacía o es muy corta');
-  }
-  
-  return txt.trim();
-  }, TEXT_MODEL, VALID_TEXT_MODELS);
+    const txt = text || '';
+    console.log('[generateCarta] Texto extraído, length:', txt.length);
+
+    if (!txt || txt.length < 100) {
+      throw new Error(`La respuesta de ${provider.name} está vacía o es muy corta`);
+    }
+
+    return txt.trim();
+  }, provider.models.text[0], provider.models.text);
 }
 
-// Función para analizar carta descriptiva con OpenAI
-async function analyzeCartaWithOpenAI(cartaContenido) {
-  console.log('[analyzeCartaWithOpenAI] Inicio - cartaContenido length:', cartaContenido.length);
-  
-  if (!openai) {
-    throw new Error('OpenAI no está configurado');
-  }
+// Función para evaluar una carta descriptiva con el proveedor de texto
+async function evaluateCarta(cartaContenido, { provider = textProvider, usageContext = {} } = {}) {
+  console.log('[evaluateCarta] Inicio - cartaContenido length:', cartaContenido.length);
 
   const prompt = `Evalúa la siguiente carta descriptiva de curso y asigna una puntuación basada en criterios pedagógicos de calidad. La carta debe obtener 100% si cumple perfectamente con todos los estándares.
 
@@ -1002,124 +5776,241 @@ Responde SOLO con un objeto JSON válido con este formato exacto:
 "summary": string
 }`;
 
-  console.log('[analyzeCartaWithOpenAI] Llamando a OpenAI API...');
-  
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4-turbo-preview',
-    messages: [
-      {
-        role: 'system',
-        content: 'Eres un experto evaluador de diseño instruccional. Analizas cartas descriptivas y proporcionas evaluaciones precisas en formato JSON.'
-      },
-      {
-        role: 'user',
-        content: prompt
-      }
-    ],
-    temperature: 0.1,
-    response_format: { type: 'json_object' }
-  });
+  return retryWithModels(async (MODEL, attempt) => {
+    console.log(`[evaluateCarta] Llamando a ${provider.name} con modelo:`, MODEL);
+    const { text } = await trackAiCall(usageContext, { provider: provider.name, model: MODEL, attempt, operation: 'evaluateCarta' }, () =>
+      provider.evaluateCarta({ model: MODEL, prompt, carta: cartaContenido })
+    );
 
-  const txt = completion.choices[0]?.message?.content || '{}';
-  console.log('[analyzeCartaWithOpenAI] Texto JSON recibido, length:', txt.length);
+    const txt = text || '{}';
+    console.log('[evaluateCarta] Texto JSON recibido, length:', txt.length);
 
-  try {
-    const parsed = JSON.parse(txt);
-    console.log('[analyzeCartaWithOpenAI] JSON parseado exitosamente, score:', parsed.score);
-    return parsed;
-  } catch (parseError) {
-    console.error('[analyzeCartaWithOpenAI] Error parseando JSON:', parseError.message, 'Texto recibido:', txt.substring(0, 500));
-    throw new Error(`Error parseando respuesta de OpenAI: ${parseError.message}`);
-  }
+    try {
+      const parsed = JSON.parse(txt);
+      console.log('[evaluateCarta] JSON parseado exitosamente, score:', parsed.score);
+      return parsed;
+    } catch (parseError) {
+      console.error('[evaluateCarta] Error parseando JSON:', parseError.message, 'Texto recibido:', txt.substring(0, 500));
+      throw new Error(`Error parseando respuesta de ${provider.name}: ${parseError.message}`);
+    }
+  }, provider.models.text[0], provider.models.text);
 }
 
-// Función para analizar carta descriptiva con Gemini (fallback - NO SE USA)
-async function analyzeCartaWithGemini(cartaContenido) {
-  console.log('[analyzeCartaWithGemini] Inicio - cartaContenido length:', cartaContenido.length);
-  return retryWithModels(async (MODEL) => {
-
-  const body = {
-    contents: [
-      {
-        role: 'user',
-        parts: [
-          {
-            text: `Evalúa la siguiente carta descriptiva de curso y asigna una puntuación basada en criterios pedagógicos de calidad. La carta debe obtener 100% si cumple perfectamente con todos los estándares.
-
-CARTA DESCRIPTIVA A EVALUAR:
-${cartaContenido}
-
-CRITERIOS DE EVALUACIÓN (cada uno con peso y reglas específicas):
-
-C1_ESTRUCTURA_COMPLETA (peso 10): Tiene título, descripción, objetivos, contenido, metodología, evaluación, bibliografía. Puntuación: 100 si todos presentes, 0 si falta alguno crítico.
+// ====== Alineación carta descriptiva ↔ video ======
+// Compara las secciones cronometradas de una carta ("SECCION n: TÍTULO (m:ss-m:ss)")
+// con lo que el análisis detectó en el video (structure + timestamps de evidencia).
+const ALIGNMENT_ON_TIME_SEC = 30;   // Deriva que no resta puntos
+const ALIGNMENT_MAX_DRIFT_SEC = 180; // A partir de aquí la sección no suma puntualidad
+const ALIGNMENT_MATCH_WINDOW_SEC = 300; // Distancia máxima para emparejar una sección con un evento
+
+function parseClock(value) {
+  const parts = String(value).split(':').map(Number);
+  if (parts.some(n => !Number.isFinite(n))) return null;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
 
-C2_OBJETIVOS_CLAROS (peso 15): Objetivos específicos, medibles, alcanzables, relevantes, temporales. Deben usar verbos de acción. Puntuación basada en claridad y completitud.
+// Tipo de sección según su título (null = no verificable con el análisis)
+function classifyCartaSection(title) {
+  const t = title.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+  if (/\bHOOK\b/.test(t)) return 'hook';
+  if (/MICRO[\s-]?PRACTICA/.test(t)) return 'microPractica';
+  if (/CASO REAL|TRANSFERENCIA/.test(t)) return 'casoReal';
+  if (/RECUPERACION|CHEQUEO/.test(t)) return 'recuperacion';
+  if (/\bTAREA\b/.test(t)) return 'tarea';
+  if (/CIERRE|RECAP/.test(t)) return 'recap';
+  if (/OBJETIVO|\bMAPA\b/.test(t)) return 'objetivos';
+  if (/\bBLOQUE\b/.test(t)) return 'bloque';
+  return null;
+}
 
-C3_CONTENIDO_ORGANIZADO (peso 15): Contenido lógico, secuencial, con temas interconectados. Incluye prerrequisitos y progresión.
+function parseCartaSections(text) {
+  const re = /^[\s*#>-]*SECCI[OÓ]N\s+(\d+)\s*[:.-]\s*(.+?)\s*\(\s*(\d{1,2}:\d{2}(?::\d{2})?)\s*[-–—a]+\s*(\d{1,2}:\d{2}(?::\d{2})?)\s*\)/gimu;
+  const sections = [];
+  for (const m of String(text || '').matchAll(re)) {
+    const title = m[2].replace(/[*_]+/g, '').trim();
+    sections.push({
+      number: Number(m[1]),
+      title,
+      kind: classifyCartaSection(title),
+      plannedStart: parseClock(m[3]),
+      plannedEnd: parseClock(m[4])
+    });
+  }
+  return sections.sort((a, b) => a.number - b.number);
+}
 
-C4_METODOLOGIA_APROPIADA (peso 15): Actividades variadas, prácticas, evaluación formativa. Incluye tiempo estimado y recursos.
+// Eventos con tiempo detectados en el análisis, agrupados por tipo de sección
+function collectObservedEvents(result) {
+  const s = result?.structure || {};
+  const evidenceStarts = (ruleId) => {
+    const f = (result?.findings || []).find(x => x.ruleId === ruleId);
+    return (f?.evidence?.timestamps || []).filter(t => isTimeNumber(t?.start))
+      .map(t => ({ start: t.start, end: isTimeNumber(t.end) ? t.end : null, source: `${ruleId}.evidence` }));
+  };
+  const atT = (items, source, label) => (Array.isArray(items) ? items : [])
+    .filter(x => isTimeNumber(x?.t))
+    .map(x => ({ start: x.t, end: null, source, label: x[label] || null }));
+  const firstOr = (events, fallback) => (events.length ? events : fallback);
 
-C5_EVALUACION_COMPLETA (peso 15): Múltiples formas de evaluación, criterios claros, rúbrica implícita, retroalimentación.
+  return {
+    hook: isTimeNumber(s.hook?.start)
+      ? [{ start: s.hook.start, end: isTimeNumber(s.hook.end) ? s.hook.end : null, source: 'structure.hook' }]
+      : evidenceStarts('R1_HOOK').slice(0, 1),
+    objetivos: firstOr(evidenceStarts('R2_OBJETIVOS'), evidenceStarts('R3_MAPA_3PASOS')).slice(0, 1),
+    bloque: atT(s.paresConceptoDemo?.map(p => ({ t: p?.demoT, concept: p?.concept })), 'structure.paresConceptoDemo', 'concept'),
+    microPractica: firstOr(atT(s.microPracticas, 'structure.microPracticas', 'instruccion'), evidenceStarts('R8_PRACTICA_ACTIVA')),
+    casoReal: firstOr(atT(s.casoReal ? [s.casoReal] : [], 'structure.casoReal', 'descripcion'), evidenceStarts('R10_TRANSFERENCIA')),
+    recuperacion: firstOr(atT(s.recuperacion, 'structure.recuperacion', 'pregunta'), evidenceStarts('R9_RECUPERACION')),
+    recap: evidenceStarts('R11_CIERRE_RECAP').slice(0, 1),
+    tarea: evidenceStarts('R12_TAREA_Y_CRITERIOS').slice(0, 1)
+  };
+}
 
-C6_RECURSOS_ACCESIBLES (peso 10): Lista completa de recursos, materiales, tecnología. Considera accesibilidad.
+function alignCartaWithAnalysis(cartaText, result) {
+  const planned = parseCartaSections(cartaText);
+  if (!planned.length) {
+    const error = new Error('La carta no tiene secciones con tiempos ("SECCION n: TÍTULO (m:ss-m:ss)")');
+    error.httpStatus = 422;
+    throw error;
+  }
 
-C7_LENGUAJE_CLARO (peso 10): Lenguaje inclusivo, términos definidos, estructura clara, motivador.
+  const observed = collectObservedEvents(result);
+  const used = new Map(Object.keys(observed).map(kind => [kind, new Set()]));
 
-C8_INNOVACION_PEDAGOGICA (peso 5): Elementos innovadores, tecnología educativa, aprendizaje activo.
+  const sections = planned.map(section => {
+    const base = {
+      number: section.number,
+      title: section.title,
+      kind: section.kind,
+      planned: { start: section.plannedStart, end: section.plannedEnd, label: `${formatTimestamp(section.plannedStart)}-${formatTimestamp(section.plannedEnd)}` }
+    };
+    if (!section.kind) return { ...base, status: 'unverifiable', observed: null, driftSec: null };
+
+    // Evento libre más cercano al inicio planeado (dentro de la ventana)
+    const events = observed[section.kind] || [];
+    let best = -1;
+    events.forEach((ev, i) => {
+      if (used.get(section.kind).has(i)) return;
+      const d = Math.abs(ev.start - section.plannedStart);
+      if (d <= ALIGNMENT_MATCH_WINDOW_SEC && (best < 0 || d < Math.abs(events[best].start - section.plannedStart))) best = i;
+    });
+    if (best < 0) return { ...base, status: 'skipped', observed: null, driftSec: null };
+
+    used.get(section.kind).add(best);
+    const ev = events[best];
+    const driftSec = Math.round(ev.start - section.plannedStart);
+    return {
+      ...base,
+      status: Math.abs(driftSec) <= ALIGNMENT_ON_TIME_SEC ? 'on_time' : driftSec > 0 ? 'late' : 'early',
+      observed: { start: ev.start, end: ev.end, label: formatTimestamp(ev.start), source: ev.source },
+      driftSec
+    };
+  });
 
-C9_BIBLIOGRAFIA_COMPLETA (peso 3): Referencias actualizadas, variadas, relevantes.
+  // Eventos del video que no corresponden a ninguna sección planeada
+  const added = [];
+  for (const [kind, events] of Object.entries(observed)) {
+    events.forEach((ev, i) => {
+      if (used.get(kind).has(i)) return;
+      // La evidencia suelta de las reglas no es un momento propio de la clase
+      if (!ev.source.startsWith('structure.')) return;
+      added.push({ kind, start: ev.start, label: formatTimestamp(ev.start), source: ev.source, ...(ev.label && { description: ev.label }) });
+    });
+  }
+  added.sort((a, b) => a.start - b.start);
+
+  const verifiable = sections.filter(s => s.status !== 'unverifiable');
+  const found = verifiable.filter(s => s.observed);
+  const coverage = verifiable.length ? found.length / verifiable.length : 0;
+  const punctuality = found.length
+    ? found.reduce((acc, s) => {
+      const excess = Math.max(0, Math.abs(s.driftSec) - ALIGNMENT_ON_TIME_SEC);
+      return acc + Math.max(0, 1 - excess / (ALIGNMENT_MAX_DRIFT_SEC - ALIGNMENT_ON_TIME_SEC));
+    }, 0) / found.length
+    : 0;
+
+  // Secciones encontradas fuera del orden planeado
+  const foundByPlan = found.map(s => s.observed.start);
+  let outOfOrder = 0;
+  for (let i = 1; i < foundByPlan.length; i++) if (foundByPlan[i] < foundByPlan[i - 1]) outOfOrder += 1;
+
+  const drifts = found.map(s => Math.abs(s.driftSec));
+  return {
+    score: Math.round(100 * (0.7 * coverage + 0.3 * punctuality)),
+    summary: {
+      plannedSections: planned.length,
+      verifiableSections: verifiable.length,
+      found: found.length,
+      onTime: found.filter(s => s.status === 'on_time').length,
+      skipped: verifiable.filter(s => s.status === 'skipped').map(s => s.number),
+      added: added.length,
+      outOfOrder,
+      coverage: Math.round(coverage * 100),
+      punctuality: Math.round(punctuality * 100),
+      avgAbsDriftSec: drifts.length ? Math.round(drifts.reduce((a, b) => a + b, 0) / drifts.length) : null,
+      maxAbsDriftSec: drifts.length ? Math.max(...drifts) : null,
+      plannedDurationSec: Math.max(...planned.map(p => p.plannedEnd)),
+      videoDurationSec: toNumberOrNull(result?.metrics?.duracion_min) !== null ? Math.round(result.metrics.duracion_min * 60) : null
+    },
+    sections,
+    added
+  };
+}
 
-C10_PRESENTACION_PROFESIONAL (peso 2): Formato profesional, sin errores, atractiva.
+// ====== Endpoint: Alineación de un análisis con su carta descriptiva ======
+// Body: { cartaId } (carta guardada por /generateCartaDescriptiva) o { carta: "texto" }
+app.post('/analyses/:analysisId/cartaAlignment', verifyAuth, requirePermiso('analizador_videos'), async (req, res) => {
+  const { analysisId } = req.params;
+  const { cartaId, carta } = req.body || {};
 
-CÁLCULO: Score final = promedio ponderado. Penalización: -10 puntos si faltan elementos críticos.
+  if (!cartaId && (typeof carta !== 'string' || !carta.trim())) {
+    return res.status(400).json({ ok: false, error: 'Se requiere cartaId o el texto de la carta' });
+  }
 
-DETALLES POR CRITERIO:
-• ok: boolean (cumple perfectamente)
-• subScore: 0-100
-• note: explicación breve y constructiva
-• suggestions: mejoras específicas si no cumple
+  try {
+    const ref = db.collection('analyses').doc(analysisId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return res.status(404).json({ ok: false, error: 'Análisis no encontrado' });
+    }
+    const data = doc.data();
+    if (!canAccessAnalysis(req.user, data)) {
+      return res.status(403).json({ ok: false, error: 'No tienes acceso a este análisis' });
+    }
+    if (data.status !== 'done' || !data.result) {
+      return res.status(409).json({ ok: false, error: 'El análisis aún no tiene resultado' });
+    }
 
-SALIDA JSON EXACTA:
-{
-"score": number,
-"findings": [
-{"ruleId":"C1_ESTRUCTURA_COMPLETA","ok":boolean,"subScore":number,"note":string,"suggestions":string},
-... (todos los criterios C1-C10)
-],
-"suggestions": string[],
-"summary": string
-}`
-          }
-        ]
+    let cartaText = carta;
+    if (cartaId) {
+      const cartaDoc = await db.collection('cartas').doc(cartaId).get();
+      if (!cartaDoc.exists) {
+        return res.status(404).json({ ok: false, error: 'Carta no encontrada' });
       }
-    ],
-    generationConfig: {
-      temperature: 0.1,
-      response_mime_type: 'application/json'
+      if (!canAccessAnalysis(req.user, cartaDoc.data())) {
+        return res.status(403).json({ ok: false, error: 'No tienes acceso a esta carta' });
+      }
+      cartaText = cartaDoc.data().contenido;
     }
-  };
 
-  console.log('[analyzeCartaWithGemini] Llamando a Gemini API con modelo:', MODEL);
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL}:generateContent?key=${GEMINI_API_KEY}`;
-  const response = await axios.post(url, body, {
-    headers: { 'Content-Type': 'application/json' },
-    timeout: 120_000
-  });
+    const alignment = alignCartaWithAnalysis(cartaText, data.result);
 
-  console.log('[analyzeCartaWithGemini] Respuesta recibida, status:', response.status);
-  const txt = response?.data?.candidates?.[0]?.content?.parts?.[0]?.text || '{}';
-  console.log('[analyzeCartaWithGemini] Texto JSON recibido, length:', txt.length);
+    await ref.set({
+      cartaAlignment: {
+        ...alignment,
+        cartaId: cartaId || null,
+        computedBy: req.user.uid,
+        computedAt: new Date().toISOString()
+      },
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
 
-  try {
-    const parsed = JSON.parse(txt);
-    console.log('[analyzeCartaWithGemini] JSON parseado exitosamente, score:', parsed.score);
-    return parsed;
-  } catch (parseError) {
-    console.error('[analyzeCartaWithGemini] Error parseando JSON:', parseError.message, 'Texto recibido:', txt.substring(0, 500));
-    throw new Error(`Error parseando respuesta de Gemini: ${parseError.message}`);
+    return res.json({ ok: true, analysisId, cartaId: cartaId || null, alignment });
+  } catch (e) {
+    console.error('[cartaAlignment] Error:', e?.message);
+    return res.status(e.httpStatus || 500).json({ ok: false, error: e.message || 'Error al alinear la carta con el video' });
   }
-  }, TEXT_MODEL, VALID_TEXT_MODELS);
-}
+});
 
 // ====== Cache para Google Sheet (evitar múltiples requests) ======
 let clasesCache = {
@@ -1294,6 +6185,18 @@ app.get('/searchClases', async (req, res) => {
 });
 
 // ====== Middleware de autenticación ======
+// req.user: claims del token más los datos adicionales del usuario en Firestore
+async function loadRequestUser(claims) {
+  const userDoc = await db.collection('users').doc(claims.uid).get();
+  const userData = userDoc.exists ? userDoc.data() : {};
+  return {
+    ...claims,
+    role: userData.role || 'user',
+    name: userData.name || userData.displayName || claims.email?.split('@')[0],
+    ...userData
+  };
+}
+
 async function verifyAuth(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
@@ -1303,23 +6206,300 @@ async function verifyAuth(req, res, next) {
 
     const token = authHeader.split('Bearer ')[1];
     const decodedToken = await admin.auth().verifyIdToken(token);
+    req.user = await loadRequestUser(decodedToken);
+
+    next();
+  } catch (error) {
+    console.error('Error verificando token:', error);
+    return res.status(401).json({ error: 'Token inválido' });
+  }
+}
+
+// Requiere rol superAdmin (usar después de verifyAuth)
+function requireSuperAdmin(req, res, next) {
+  if (req.user?.role !== 'superAdmin') {
+    return res.status(403).json({ error: 'No tienes permisos para acceder a este recurso' });
+  }
+  next();
+}
+
+// ====== Permisos del dashboard (config/permisosDashboard) ======
+const PERMISOS_DEFAULT = {
+  director: {
+    analizador_videos: true,
+    carta_descriptiva: true,
+    buscador_materias: true,
+    solicitud_certificado: true
+  },
+  mentor: {
+    analizador_videos: true,
+    carta_descriptiva: true,
+    buscador_materias: true,
+    solicitud_certificado: false
+  },
+  user: {
+    analizador_videos: false,
+    carta_descriptiva: false,
+    buscador_materias: true,
+    solicitud_certificado: false
+  }
+};
+
+const PERMISOS_TODOS = {
+  analizador_videos: true,
+  carta_descriptiva: true,
+  buscador_materias: true,
+  solicitud_certificado: true
+};
+
+const isAdminRole = (role) => role === 'superAdmin' || role === 'admin';
+
+// Permisos efectivos de un rol: superAdmin/admin tienen todo; el resto según la configuración guardada
+async function getPermisosForRole(role) {
+  if (isAdminRole(role)) return PERMISOS_TODOS;
+
+  const configDoc = await db.collection('config').doc('permisosDashboard').get();
+  if (!configDoc.exists) return PERMISOS_DEFAULT[role] || PERMISOS_DEFAULT.user;
+  return configDoc.data().permisos?.[role] || {};
+}
+
+// Requiere que el rol del usuario tenga habilitada la herramienta (usar después de verifyAuth)
+function requirePermiso(flag) {
+  return async (req, res, next) => {
+    try {
+      const permisos = await getPermisosForRole(req.user?.role);
+      if (!permisos[flag]) {
+        return res.status(403).json({ ok: false, error: 'No tienes permiso para usar esta herramienta' });
+      }
+      next();
+    } catch (error) {
+      console.error('Error verificando permisos:', error);
+      return res.status(500).json({ ok: false, error: 'Error al verificar permisos' });
+    }
+  };
+}
+
+// ====== Propiedad de los análisis ======
+// Datos del dueño que se guardan en cada análisis
+function analysisOwnerFields(user) {
+  return {
+    userId: user.uid,
+    userEmail: user.email || null,
+    plantel: user.plantel || null,
+    role: user.role || 'user'
+  };
+}
 
-    // Obtener datos adicionales del usuario desde Firestore
-    const userDoc = await db.collection('users').doc(decodedToken.uid).get();
-    const userData = userDoc.exists ? userDoc.data() : {};
+// Dueño, director de su plantel o superAdmin/admin. Los análisis sin dueño (anteriores) solo los ve un admin.
+function canAccessAnalysis(user, data) {
+  if (!user || !data) return false;
+  if (isAdminRole(user.role)) return true;
+  if (data.userId && data.userId === user.uid) return true;
+  return user.role === 'director' && !!user.plantel && data.plantel === user.plantel;
+}
+
+// ====== Cuotas de uso (por rol, usuario y plantel) ======
+// Límites diarios/mensuales por función. Orden de precedencia del límite de un usuario:
+// override del usuario → override del rol → QUOTA_DEFAULTS del rol. El plantel tiene su
+// propio tope (override del plantel → QUOTA_DEFAULTS.plantel). null = sin límite.
+// Los contadores viven en `quotaCounters/{scope}_{id}_{periodo}` (periodo en UTC).
+const QUOTA_FEATURES = ['analyzeVideo', 'generateCartaDescriptiva', 'uploadToVimeo'];
+const QUOTA_PERIODS = ['daily', 'monthly'];
+const QUOTA_SCOPES = ['user', 'plantel', 'role'];
+
+const QUOTA_DEFAULTS = {
+  director: {
+    analyzeVideo: { daily: 20, monthly: 300 },
+    generateCartaDescriptiva: { daily: 30, monthly: 400 },
+    uploadToVimeo: { daily: 20, monthly: 300 }
+  },
+  mentor: {
+    analyzeVideo: { daily: 10, monthly: 150 },
+    generateCartaDescriptiva: { daily: 20, monthly: 300 },
+    uploadToVimeo: { daily: 10, monthly: 150 }
+  },
+  user: {
+    analyzeVideo: { daily: 3, monthly: 30 },
+    generateCartaDescriptiva: { daily: 5, monthly: 50 },
+    uploadToVimeo: { daily: 3, monthly: 30 }
+  },
+  plantel: {
+    analyzeVideo: { daily: 60, monthly: 1000 },
+    generateCartaDescriptiva: { daily: 100, monthly: 1500 },
+    uploadToVimeo: { daily: 60, monthly: 1000 }
+  }
+};
 
-    req.user = {
-      ...decodedToken,
-      role: userData.role || 'user',
-      name: userData.name || userData.displayName || decodedToken.email?.split('@')[0],
-      ...userData
+// Firestore no admite "/" en ids de documento
+const quotaKey = (scope, id) => `${scope}_${encodeURIComponent(String(id))}`;
+
+function quotaPeriodInfo(period, now = new Date()) {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  if (period === 'daily') {
+    return {
+      label: now.toISOString().slice(0, 10),
+      resetAt: new Date(Date.UTC(y, m, now.getUTCDate() + 1))
     };
+  }
+  return {
+    label: now.toISOString().slice(0, 7),
+    resetAt: new Date(Date.UTC(y, m + 1, 1))
+  };
+}
+
+async function getQuotaOverrides(scope, id) {
+  if (!id) return {};
+  const doc = await db.collection('quotaLimits').doc(quotaKey(scope, id)).get();
+  return doc.exists ? (doc.data().limits || {}) : {};
+}
+
+// Límite de una función y periodo: el primer valor definido (número o null) gana
+function pickQuotaLimit(feature, period, ...sources) {
+  for (const source of sources) {
+    const value = source?.[feature]?.[period];
+    if (value === null || Number.isFinite(value)) return value;
+  }
+  return null;
+}
+
+// Límites efectivos de cada ámbito que aplica a un usuario
+async function resolveQuotaLimits(user) {
+  const role = user.role || 'user';
+  const [userOverrides, roleOverrides, plantelOverrides] = await Promise.all([
+    getQuotaOverrides('user', user.uid),
+    getQuotaOverrides('role', role),
+    user.plantel ? getQuotaOverrides('plantel', user.plantel) : {}
+  ]);
+
+  const scopes = [{
+    scope: 'user',
+    id: user.uid,
+    limit: (feature, period) => pickQuotaLimit(feature, period, userOverrides, roleOverrides, QUOTA_DEFAULTS[role] || QUOTA_DEFAULTS.user)
+  }];
+  if (user.plantel) {
+    scopes.push({
+      scope: 'plantel',
+      id: user.plantel,
+      limit: (feature, period) => pickQuotaLimit(feature, period, plantelOverrides, QUOTA_DEFAULTS.plantel)
+    });
+  }
+  return scopes;
+}
+
+// Descuenta una unidad de la función en todos los ámbitos del usuario, o ninguna si alguno
+// ya llegó a su límite. Devuelve { ok, charged } o { ok: false, scope, period, limit, used, resetAt }.
+async function consumeQuota(user, feature, units = 1) {
+  if (isAdminRole(user.role)) return { ok: true, charged: [] };
+
+  const scopes = await resolveQuotaLimits(user);
+  const checks = [];
+  for (const s of scopes) {
+    for (const period of QUOTA_PERIODS) {
+      const limit = s.limit(feature, period);
+      if (limit === null) continue;
+      const { label, resetAt } = quotaPeriodInfo(period);
+      checks.push({
+        scope: s.scope,
+        id: s.id,
+        period,
+        limit,
+        resetAt,
+        ref: db.collection('quotaCounters').doc(`${quotaKey(s.scope, s.id)}_${label}`)
+      });
+    }
+  }
+  if (!checks.length) return { ok: true, charged: [] };
+
+  return db.runTransaction(async (tx) => {
+    const docs = await Promise.all(checks.map(c => tx.get(c.ref)));
+
+    for (let i = 0; i < checks.length; i++) {
+      const used = docs[i].exists ? (docs[i].data().counts?.[feature] || 0) : 0;
+      if (used + units > checks[i].limit) {
+        const { scope, period, limit, resetAt } = checks[i];
+        return { ok: false, scope, period, limit, used, resetAt };
+      }
+    }
+
+    checks.forEach((c, i) => {
+      tx.set(c.ref, {
+        scope: c.scope,
+        id: c.id,
+        period: c.period,
+        resetAt: c.resetAt,
+        counts: { [feature]: (docs[i].exists ? (docs[i].data().counts?.[feature] || 0) : 0) + units },
+        updatedAt: FieldValue.serverTimestamp()
+      }, { merge: true });
+    });
+    return { ok: true, charged: checks.map(c => c.ref) };
+  });
+}
+
+// Devuelve lo descontado (la petición se rechazó antes de hacer trabajo)
+async function refundQuota(charged, feature, units = 1) {
+  await Promise.all(charged.map(ref => ref.set({
+    counts: { [feature]: FieldValue.increment(-units) },
+    updatedAt: FieldValue.serverTimestamp()
+  }, { merge: true })));
+}
+
+function sendQuotaExceeded(res, feature, quota) {
+  const retryAfter = Math.max(1, Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  const ambito = quota.scope === 'plantel' ? 'de tu plantel' : 'personal';
+  const periodo = quota.period === 'daily' ? 'diaria' : 'mensual';
+  return res.status(429).json({
+    ok: false,
+    error: `Se alcanzó la cuota ${periodo} ${ambito} (${quota.limit}) para esta función`,
+    quota: {
+      feature,
+      scope: quota.scope,
+      period: quota.period,
+      limit: quota.limit,
+      used: quota.used,
+      resetAt: quota.resetAt.toISOString()
+    }
+  });
+}
+
+// Middleware de cuota (usar después de verifyAuth). Si la petición termina en error
+// (4xx/5xx) o el handler marca `res.locals.skipQuota`, lo descontado se devuelve: solo cuenta el trabajo aceptado.
+// El handler puede cobrar unidades extra con `res.locals.chargeQuota(units)` cuando el costo
+// depende del body (p. ej. corridas de consenso); se devuelven igual que la primera.
+function requireQuota(feature) {
+  return async (req, res, next) => {
+    try {
+      const quota = await consumeQuota(req.user, feature);
+      if (!quota.ok) return sendQuotaExceeded(res, feature, quota);
+
+      const charges = [{ refs: quota.charged, units: 1 }];
+      res.locals.chargeQuota = async (units) => {
+        if (!(units > 0)) return { ok: true };
+        const extra = await consumeQuota(req.user, feature, units);
+        if (extra.ok) charges.push({ refs: extra.charged, units });
+        return extra;
+      };
 
-    next();
-  } catch (error) {
-    console.error('Error verificando token:', error);
-    return res.status(401).json({ error: 'Token inválido' });
-  }
+      // Se decide una sola vez: 'finish' con la respuesta enviada, o 'close' sin ella
+      // (el cliente cortó, p. ej. a mitad de una subida de 500 MB: 'finish' nunca llega)
+      let settled = false;
+      const settle = (refund) => {
+        if (settled) return;
+        settled = true;
+        if (!refund) return;
+        for (const { refs, units } of charges.filter(c => c.refs.length)) {
+          refundQuota(refs, feature, units).catch(e => console.warn('[quota] No se pudo devolver la cuota:', e?.message));
+        }
+      };
+      res.on('finish', () => settle(res.statusCode >= 400 || res.locals.skipQuota));
+      res.on('close', () => settle(!res.writableFinished));
+      next();
+    } catch (error) {
+      console.error('Error verificando cuota:', error);
+      return res.status(500).json({ ok: false, error: 'Error al verificar la cuota' });
+    }
+  };
 }
 
 // ====== Endpoint: Obtener planteles (superAdmin) ======
@@ -1636,29 +6816,8 @@ app.get('/admin/getPermisosDashboard', verifyAuth, async (req, res) => {
 
     if (!configDoc.exists) {
       // Devolver configuración por defecto
-      const permisosDefault = {
-        director: {
-          analizador_videos: true,
-          carta_descriptiva: true,
-          buscador_materias: true,
-          solicitud_certificado: true
-        },
-        mentor: {
-          analizador_videos: true,
-          carta_descriptiva: true,
-          buscador_materias: true,
-          solicitud_certificado: false
-        },
-        user: {
-          analizador_videos: false,
-          carta_descriptiva: false,
-          buscador_materias: true,
-          solicitud_certificado: false
-        }
-      };
-
       console.log('⚠️ [getPermisosDashboard] No hay configuración, usando defaults');
-      return res.json({ ok: true, permisos: permisosDefault });
+      return res.json({ ok: true, permisos: PERMISOS_DEFAULT });
     }
 
     console.log('✅ [getPermisosDashboard] Configuración cargada');
@@ -1708,62 +6867,667 @@ app.post('/admin/guardarPermisosDashboard', verifyAuth, async (req, res) => {
   }
 });
 
-// ====== Endpoint: Obtener permisos del usuario (cualquier usuario autenticado) ======
-app.get('/getPermisosUsuario', verifyAuth, async (req, res) => {
+// ====== Endpoints: Rúbricas versionadas (solo superAdmin) ======
+function serializeRubric(id, data) {
+  return {
+    id,
+    ...data,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt || null,
+    updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt || null
+  };
+}
+
+app.get('/admin/rubrics', verifyAuth, requireSuperAdmin, async (req, res) => {
   try {
-    // Obtener el rol del usuario
-    const userDoc = await db.collection('users').doc(req.user.uid).get();
-    if (!userDoc.exists) {
-      return res.status(404).json({ error: 'Usuario no encontrado' });
+    const snapshot = await db.collection('rubrics').orderBy('name').get();
+    const rubrics = snapshot.docs.map(doc => {
+      const { rules, ...rest } = doc.data();
+      return { ...serializeRubric(doc.id, rest), rulesCount: (rules || []).length };
+    });
+
+    res.json({
+      ok: true,
+      rubrics,
+      defaultRubric: { id: DEFAULT_RUBRIC.id, name: DEFAULT_RUBRIC.name, version: DEFAULT_RUBRIC.version },
+      usingDefault: !rubrics.some(r => r.active)
+    });
+  } catch (error) {
+    console.error('Error al obtener rúbricas:', error);
+    res.status(500).json({ error: 'Error al obtener rúbricas' });
+  }
+});
+
+app.get('/admin/rubrics/:rubricId', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { rubricId } = req.params;
+    const { version } = req.query;
+
+    if (rubricId === DEFAULT_RUBRIC.id) {
+      return res.json({ ok: true, rubric: DEFAULT_RUBRIC, versions: [DEFAULT_RUBRIC.version] });
     }
 
-    const userRole = userDoc.data().role;
+    const rubricRef = db.collection('rubrics').doc(rubricId);
+    const doc = version
+      ? await rubricRef.collection('versions').doc(String(version)).get()
+      : await rubricRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Rúbrica no encontrada' });
+    }
+
+    const versionsSnapshot = await rubricRef.collection('versions').orderBy('version', 'desc').get();
+    const versions = versionsSnapshot.docs.map(v => v.data().version);
+
+    res.json({ ok: true, rubric: serializeRubric(rubricId, doc.data()), versions });
+  } catch (error) {
+    console.error('Error al obtener rúbrica:', error);
+    res.status(500).json({ error: 'Error al obtener la rúbrica' });
+  }
+});
+
+app.post('/admin/rubrics', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { errors, rubric } = normalizeRubricInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Rúbrica inválida', details: errors });
+    }
+
+    const rubricRef = db.collection('rubrics').doc();
+    const data = {
+      ...rubric,
+      version: 1,
+      active: false,
+      createdAt: FieldValue.serverTimestamp(),
+      createdBy: req.user.uid,
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+
+    const batch = db.batch();
+    batch.set(rubricRef, data);
+    batch.set(rubricRef.collection('versions').doc('1'), data);
+    await batch.commit();
+
+    console.log(`✅ [rubrics] Rúbrica creada: ${rubric.name} (${rubricRef.id}) por ${req.user.email}`);
+    res.json({ ok: true, rubricId: rubricRef.id, version: 1 });
+  } catch (error) {
+    console.error('Error al crear rúbrica:', error);
+    res.status(500).json({ error: 'Error al crear la rúbrica' });
+  }
+});
+
+// Cada edición genera una nueva versión; las anteriores quedan en `versions`
+app.put('/admin/rubrics/:rubricId', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { rubricId } = req.params;
+    const { errors, rubric } = normalizeRubricInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Rúbrica inválida', details: errors });
+    }
+
+    const rubricRef = db.collection('rubrics').doc(rubricId);
+    const version = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(rubricRef);
+      if (!doc.exists) return null;
+
+      const current = doc.data();
+      const nextVersion = (current.version || 1) + 1;
+      const data = {
+        ...rubric,
+        version: nextVersion,
+        active: !!current.active,
+        createdAt: current.createdAt || FieldValue.serverTimestamp(),
+        createdBy: current.createdBy || req.user.uid,
+        updatedAt: FieldValue.serverTimestamp(),
+        updatedBy: req.user.uid
+      };
+
+      tx.set(rubricRef, data);
+      tx.set(rubricRef.collection('versions').doc(String(nextVersion)), data);
+      return nextVersion;
+    });
+
+    if (version === null) {
+      return res.status(404).json({ error: 'Rúbrica no encontrada' });
+    }
+
+    activeRubricCache.data = null;
+    console.log(`✅ [rubrics] Rúbrica ${rubricId} actualizada a v${version} por ${req.user.email}`);
+    res.json({ ok: true, rubricId, version });
+  } catch (error) {
+    console.error('Error al actualizar rúbrica:', error);
+    res.status(500).json({ error: 'Error al actualizar la rúbrica' });
+  }
+});
+
+// Activa una rúbrica y desactiva las demás (solo una activa a la vez)
+app.post('/admin/rubrics/:rubricId/activate', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { rubricId } = req.params;
+    const rubricRef = db.collection('rubrics').doc(rubricId);
+    const doc = await rubricRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Rúbrica no encontrada' });
+    }
+
+    const activeSnapshot = await db.collection('rubrics').where('active', '==', true).get();
+    const batch = db.batch();
+    activeSnapshot.forEach(d => {
+      if (d.id !== rubricId) batch.update(d.ref, { active: false, updatedAt: FieldValue.serverTimestamp() });
+    });
+    batch.update(rubricRef, { active: true, updatedAt: FieldValue.serverTimestamp(), updatedBy: req.user.uid });
+    await batch.commit();
+
+    activeRubricCache.data = null;
+    console.log(`✅ [rubrics] Rúbrica activa: ${rubricId} v${doc.data().version} por ${req.user.email}`);
+    res.json({ ok: true, rubricId, version: doc.data().version });
+  } catch (error) {
+    console.error('Error al activar rúbrica:', error);
+    res.status(500).json({ error: 'Error al activar la rúbrica' });
+  }
+});
+
+app.delete('/admin/rubrics/:rubricId', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { rubricId } = req.params;
+    const rubricRef = db.collection('rubrics').doc(rubricId);
+    const doc = await rubricRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Rúbrica no encontrada' });
+    }
+    if (doc.data().active) {
+      return res.status(400).json({ error: 'No se puede eliminar la rúbrica activa' });
+    }
+
+    // Solo se borra el documento principal: la subcolección `versions` se
+    // conserva para poder interpretar reportes antiguos
+    await rubricRef.delete();
+
+    console.log(`🗑️ [rubrics] Rúbrica eliminada: ${rubricId} por ${req.user.email}`);
+    res.json({ ok: true, message: 'Rúbrica eliminada' });
+  } catch (error) {
+    console.error('Error al eliminar rúbrica:', error);
+    res.status(500).json({ error: 'Error al eliminar la rúbrica' });
+  }
+});
+
+// ====== Endpoints: Cuotas (solo superAdmin) ======
+// scope: user (uid) | plantel (nombre del plantel) | role (director, mentor, user)
+async function describeQuota(scope, id) {
+  const overrides = await getQuotaOverrides(scope, id);
+  let role = null;
+  let sources = [overrides, QUOTA_DEFAULTS.plantel];
+  if (scope === 'user') {
+    const userDoc = await db.collection('users').doc(id).get();
+    role = userDoc.exists ? userDoc.data().role || 'user' : 'user';
+    sources = [overrides, await getQuotaOverrides('role', role), QUOTA_DEFAULTS[role] || QUOTA_DEFAULTS.user];
+  } else if (scope === 'role') {
+    sources = [overrides, QUOTA_DEFAULTS[id] || QUOTA_DEFAULTS.user];
+  }
+
+  const counters = {};
+  if (scope !== 'role') {
+    for (const period of QUOTA_PERIODS) {
+      const { label, resetAt } = quotaPeriodInfo(period);
+      const doc = await db.collection('quotaCounters').doc(`${quotaKey(scope, id)}_${label}`).get();
+      counters[period] = { counts: doc.exists ? doc.data().counts || {} : {}, resetAt: resetAt.toISOString() };
+    }
+  }
 
-    // Si es superAdmin, tiene acceso a todo
-    if (userRole === 'superAdmin' || userRole === 'admin') {
-      return res.json({
-        ok: true,
-        permisos: {
-          analizador_videos: true,
-          carta_descriptiva: true,
-          buscador_materias: true,
-          solicitud_certificado: true
+  const features = {};
+  for (const feature of QUOTA_FEATURES) {
+    features[feature] = {};
+    for (const period of QUOTA_PERIODS) {
+      const limit = pickQuotaLimit(feature, period, ...sources);
+      const entry = { limit };
+      if (scope !== 'role') {
+        const used = counters[period].counts[feature] || 0;
+        Object.assign(entry, {
+          used,
+          remaining: limit === null ? null : Math.max(0, limit - used),
+          resetAt: counters[period].resetAt
+        });
+      }
+      features[feature][period] = entry;
+    }
+  }
+
+  return {
+    scope,
+    id,
+    ...(role && { role, unlimited: isAdminRole(role) }),
+    overrides,
+    features
+  };
+}
+
+function validateQuotaParams(scope, body = {}) {
+  const errors = [];
+  if (!QUOTA_SCOPES.includes(scope)) errors.push(`scope debe ser ${QUOTA_SCOPES.join(', ')}`);
+
+  const { limits, used } = body;
+  for (const [name, value] of Object.entries({ limits, used })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'object' || value === null) {
+      errors.push(`${name} debe ser un objeto { función: { daily, monthly } }`);
+      continue;
+    }
+    for (const [feature, periods] of Object.entries(value)) {
+      if (!QUOTA_FEATURES.includes(feature)) errors.push(`${name}.${feature}: función desconocida`);
+      for (const [period, n] of Object.entries(periods || {})) {
+        if (!QUOTA_PERIODS.includes(period)) errors.push(`${name}.${feature}.${period}: periodo desconocido`);
+        const allowsNull = name === 'limits';
+        if (!(allowsNull && n === null) && !(Number.isInteger(n) && n >= 0)) {
+          errors.push(`${name}.${feature}.${period} debe ser un entero >= 0${allowsNull ? ' o null (sin límite)' : ''}`);
         }
-      });
+      }
     }
+  }
+  if (used && scope === 'role') errors.push('used solo aplica a user o plantel');
+  return errors;
+}
 
-    // Obtener la configuración de permisos
-    const configRef = db.collection('config').doc('permisosDashboard');
-    const configDoc = await configRef.get();
+app.get('/admin/quotas/:scope/:id', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { scope, id } = req.params;
+    if (!QUOTA_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope debe ser ${QUOTA_SCOPES.join(', ')}` });
+    }
+    res.json({ ok: true, quota: await describeQuota(scope, id) });
+  } catch (error) {
+    console.error('Error al obtener cuota:', error);
+    res.status(500).json({ error: 'Error al obtener la cuota' });
+  }
+});
 
-    if (!configDoc.exists) {
-      // Usar permisos por defecto
-      const permisosDefault = {
-        director: {
-          analizador_videos: true,
-          carta_descriptiva: true,
-          buscador_materias: true,
-          solicitud_certificado: true
-        },
-        mentor: {
-          analizador_videos: true,
-          carta_descriptiva: true,
-          buscador_materias: true,
-          solicitud_certificado: false
-        },
-        user: {
-          analizador_videos: false,
-          carta_descriptiva: false,
-          buscador_materias: true,
-          solicitud_certificado: false
+// Body: { limits?: { función: { daily?, monthly? } }, used?: { función: { daily?, monthly? } } }
+// `limits` fija overrides (null = sin límite); `used` ajusta el consumo del periodo actual.
+app.put('/admin/quotas/:scope/:id', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { scope, id } = req.params;
+    const errors = validateQuotaParams(scope, req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Cuota inválida', details: errors });
+    }
+
+    const { limits, used } = req.body;
+    if (limits) {
+      await db.collection('quotaLimits').doc(quotaKey(scope, id)).set({
+        scope,
+        id,
+        limits,
+        updatedAt: FieldValue.serverTimestamp(),
+        updatedBy: req.user.uid
+      }, { merge: true });
+    }
+
+    for (const [feature, periods] of Object.entries(used || {})) {
+      for (const [period, n] of Object.entries(periods)) {
+        const { label, resetAt } = quotaPeriodInfo(period);
+        await db.collection('quotaCounters').doc(`${quotaKey(scope, id)}_${label}`).set({
+          scope,
+          id,
+          period,
+          resetAt,
+          counts: { [feature]: n },
+          updatedAt: FieldValue.serverTimestamp()
+        }, { merge: true });
+      }
+    }
+
+    console.log(`✅ [quotas] Cuota ${scope}/${id} actualizada por ${req.user.email}`);
+    res.json({ ok: true, quota: await describeQuota(scope, id) });
+  } catch (error) {
+    console.error('Error al actualizar cuota:', error);
+    res.status(500).json({ error: 'Error al actualizar la cuota' });
+  }
+});
+
+// ====== Endpoint: Reporte de consumo de IA (solo superAdmin) ======
+// GET /admin/aiUsage/report?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|user|plantel|feature
+// Filtros opcionales: userId, plantel, feature, provider. Fechas en UTC, `to` inclusive.
+// Lee los acumulados de `aiUsageDaily` (filas por día y combinación, no por llamada), así que
+// filtrar y agrupar en memoria cuesta lo mismo aunque el rango sea de un año.
+const AI_USAGE_GROUP_FIELDS = { day: 'day', user: 'userId', plantel: 'plantel', feature: 'feature', model: 'model', provider: 'provider' };
+const AI_USAGE_MAX_DAYS = 366;
+
+function emptyUsageTotals() {
+  return { calls: 0, failedCalls: 0, fallbackCalls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, estimatedCostUsd: 0, latencyMs: 0 };
+}
+
+function addUsage(totals, rollup) {
+  for (const key of Object.keys(totals)) totals[key] += rollup[key] || 0;
+}
+
+function finishUsageTotals(totals) {
+  const { latencyMs, ...rest } = totals;
+  return {
+    ...rest,
+    estimatedCostUsd: Math.round(totals.estimatedCostUsd * 10_000) / 10_000,
+    avgLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : null
+  };
+}
+
+function aiUsageRangeError(from, to) {
+  const fromDate = new Date(`${from}T00:00:00.000Z`);
+  const toDate = new Date(`${to}T00:00:00.000Z`);
+  const days = (toDate - fromDate) / 86_400_000 + 1;
+  if (!(days > 0) || days > AI_USAGE_MAX_DAYS) return `El rango debe ser de 1 a ${AI_USAGE_MAX_DAYS} días`;
+  return null;
+}
+
+app.get('/admin/aiUsage/report', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const { from = `${today.slice(0, 7)}-01`, to = today, groupBy = 'day', userId, plantel, feature, provider } = req.query;
+
+    const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRe.test(from) || !dateRe.test(to)) {
+      return res.status(400).json({ error: 'from y to deben tener formato YYYY-MM-DD' });
+    }
+    if (!AI_USAGE_GROUP_FIELDS[groupBy]) {
+      return res.status(400).json({ error: `groupBy debe ser ${Object.keys(AI_USAGE_GROUP_FIELDS).join(', ')}` });
+    }
+
+    const rangeError = aiUsageRangeError(from, to);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+
+    const snapshot = await db.collection('aiUsageDaily')
+      .where('day', '>=', from)
+      .where('day', '<=', to)
+      .get();
+
+    const field = AI_USAGE_GROUP_FIELDS[groupBy];
+    const groups = new Map();
+    const totals = emptyUsageTotals();
+
+    snapshot.forEach(doc => {
+      const entry = doc.data();
+      if (userId && entry.userId !== userId) return;
+      if (plantel && entry.plantel !== plantel) return;
+      if (feature && entry.feature !== feature) return;
+      if (provider && entry.provider !== provider) return;
+
+      const key = entry[field] ?? '(sin dato)';
+      if (!groups.has(key)) groups.set(key, emptyUsageTotals());
+      addUsage(groups.get(key), entry);
+      addUsage(totals, entry);
+    });
+
+    const rows = [...groups.entries()]
+      .map(([key, value]) => ({ [groupBy]: key, ...finishUsageTotals(value) }))
+      .sort((a, b) => groupBy === 'day'
+        ? String(a.day).localeCompare(String(b.day))
+        : b.estimatedCostUsd - a.estimatedCostUsd || b.totalTokens - a.totalTokens);
+
+    res.json({
+      ok: true,
+      from,
+      to,
+      groupBy,
+      filters: { userId: userId || null, plantel: plantel || null, feature: feature || null, provider: provider || null },
+      currency: 'USD',
+      totals: finishUsageTotals(totals),
+      rows
+    });
+  } catch (error) {
+    console.error('Error al generar reporte de consumo de IA:', error);
+    res.status(500).json({ error: 'Error al generar el reporte de consumo de IA' });
+  }
+});
+
+// Recalcula los acumulados de `aiUsageDaily` a partir de `aiUsage`, día por día. Sirve para
+// los días anteriores a los acumulados; el día en curso sigue recibiendo llamadas, no lo rehagas.
+// Body: { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+app.post('/admin/aiUsage/rebuildRollups', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRe.test(from || '') || !dateRe.test(to || '')) {
+      return res.status(400).json({ error: 'from y to deben tener formato YYYY-MM-DD' });
+    }
+    const rangeError = aiUsageRangeError(from, to);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+
+    const rebuilt = [];
+    for (const day = new Date(`${from}T00:00:00.000Z`); day.toISOString().slice(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+      const dayKey = day.toISOString().slice(0, 10);
+      const rollups = new Map();
+      const calls = await db.collection('aiUsage').where('day', '==', dayKey).get();
+      calls.forEach(doc => {
+        const entry = doc.data();
+        const ref = aiUsageRollupRef(dayKey, entry);
+        if (!rollups.has(ref.id)) {
+          rollups.set(ref.id, {
+            ref,
+            data: { day: dayKey, ...Object.fromEntries(AI_USAGE_DIMENSIONS.map(d => [d, entry[d] ?? null])), ...emptyUsageTotals() }
+          });
         }
-      };
+        addUsage(rollups.get(ref.id).data, aiUsageRollupCounters(entry));
+      });
+
+      const existing = await db.collection('aiUsageDaily').where('day', '==', dayKey).get();
+      const writer = db.bulkWriter();
+      existing.forEach(doc => { if (!rollups.has(doc.id)) writer.delete(doc.ref); });
+      rollups.forEach(({ ref, data }) => writer.set(ref, { ...data, updatedAt: FieldValue.serverTimestamp() }));
+      await writer.close();
+      rebuilt.push({ day: dayKey, calls: calls.size, rollups: rollups.size });
+    }
+
+    res.json({ ok: true, rebuilt });
+  } catch (error) {
+    console.error('Error al recalcular acumulados de consumo de IA:', error);
+    res.status(500).json({ error: 'Error al recalcular los acumulados de consumo de IA' });
+  }
+});
+
+// ====== Endpoints: Webhooks (solo superAdmin) ======
+function serializeWebhook(id, data) {
+  const { secret, ...rest } = data;
+  return {
+    id,
+    ...rest,
+    secretHint: secret ? `…${secret.slice(-4)}` : null,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || null,
+    updatedAt: data.updatedAt?.toDate?.()?.toISOString() || null
+  };
+}
+
+app.get('/admin/webhooks', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const snapshot = await db.collection('webhooks').get();
+    const webhooks = [];
+    snapshot.forEach(doc => webhooks.push(serializeWebhook(doc.id, doc.data())));
+    res.json({ ok: true, webhooks });
+  } catch (error) {
+    console.error('Error al listar webhooks:', error);
+    res.status(500).json({ error: 'Error al obtener los webhooks' });
+  }
+});
+
+// Body: { url, plantel?, events?, description? } — el secreto solo se devuelve al crearlo
+app.post('/admin/webhooks', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { url, plantel = null, events = WEBHOOK_EVENTS, description = '' } = req.body || {};
+    if (!url) {
+      return res.status(400).json({ error: 'url es obligatoria' });
+    }
+    if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+      return res.status(400).json({ error: `events debe ser un subconjunto de ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const data = {
+      url: await validateWebhookUrl(url),
+      plantel: plantel || null,
+      events,
+      description: String(description),
+      secret,
+      active: true,
+      createdBy: req.user.uid,
+      createdAt: FieldValue.serverTimestamp()
+    };
+    const ref = await db.collection('webhooks').add(data);
+
+    console.log(`✅ [webhooks] Webhook ${ref.id} creado por ${req.user.email} (${data.plantel || 'global'})`);
+    res.status(201).json({ ok: true, webhook: { ...serializeWebhook(ref.id, data), createdAt: null }, secret });
+  } catch (error) {
+    if (error.httpStatus) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('Error al crear webhook:', error);
+    res.status(500).json({ error: 'Error al crear el webhook' });
+  }
+});
 
-      return res.json({ ok: true, permisos: permisosDefault[userRole] || permisosDefault.user });
+// Body: { active?, events?, url? }
+app.put('/admin/webhooks/:webhookId', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const ref = db.collection('webhooks').doc(req.params.webhookId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    const { active, events, url } = req.body || {};
+    const update = { updatedAt: FieldValue.serverTimestamp() };
+    if (active !== undefined) update.active = !!active;
+    if (url !== undefined) update.url = await validateWebhookUrl(url);
+    if (events !== undefined) {
+      if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+        return res.status(400).json({ error: `events debe ser un subconjunto de ${WEBHOOK_EVENTS.join(', ')}` });
+      }
+      update.events = events;
+    }
+
+    await ref.update(update);
+    const updated = await ref.get();
+    res.json({ ok: true, webhook: serializeWebhook(ref.id, updated.data()) });
+  } catch (error) {
+    if (error.httpStatus) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('Error al actualizar webhook:', error);
+    res.status(500).json({ error: 'Error al actualizar el webhook' });
+  }
+});
+
+app.delete('/admin/webhooks/:webhookId', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    await db.collection('webhooks').doc(req.params.webhookId).delete();
+    console.log(`🗑️ [webhooks] Webhook eliminado: ${req.params.webhookId} por ${req.user.email}`);
+    res.json({ ok: true, message: 'Webhook eliminado' });
+  } catch (error) {
+    console.error('Error al eliminar webhook:', error);
+    res.status(500).json({ error: 'Error al eliminar el webhook' });
+  }
+});
+
+// GET /admin/webhookDeliveries?analysisId=&webhookId=&status=pending|sending|delivered|failed
+app.get('/admin/webhookDeliveries', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { analysisId, webhookId, status } = req.query;
+    let query = db.collection('webhookDeliveries');
+    if (analysisId) query = query.where('analysisId', '==', analysisId);
+    if (webhookId) query = query.where('webhookId', '==', webhookId);
+    if (status) query = query.where('status', '==', status);
+
+    const snapshot = await query.limit(200).get();
+    const deliveries = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      deliveries.push({
+        id: doc.id,
+        ...data,
+        createdAt: data.createdAt?.toDate?.()?.toISOString() || null,
+        deliveredAt: data.deliveredAt?.toDate?.()?.toISOString() || null,
+        nextAttemptAt: data.nextAttemptAt?.toDate?.()?.toISOString() || null
+      });
+    });
+    deliveries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    res.json({ ok: true, deliveries });
+  } catch (error) {
+    console.error('Error al listar envíos de webhooks:', error);
+    res.status(500).json({ error: 'Error al obtener los envíos de webhooks' });
+  }
+});
+
+// Reenvía una entrega como un intento nuevo. El envío corre en segundo plano (202); un
+// temporizador de reintento que ya estuviera armado queda invalidado por el token nuevo.
+app.post('/admin/webhookDeliveries/:deliveryId/redeliver', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const ref = db.collection('webhookDeliveries').doc(req.params.deliveryId);
+    const claim = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return { httpStatus: 404, error: 'Envío no encontrado' };
+      const previous = doc.data();
+      if (previous.status === 'sending' && !webhookLeaseExpired(previous)) {
+        return { httpStatus: 409, error: 'El envío se está realizando en este momento' };
+      }
+      const token = (previous.attemptToken || 0) + 1;
+      tx.update(ref, {
+        status: 'pending',
+        attemptToken: token,
+        previousAttempts: [...(previous.previousAttempts || []), ...(previous.attempts || [])],
+        attempts: [],
+        lastError: null,
+        nextAttemptAt: new Date(),
+        sendingUntil: null
+      });
+      return { previous, token };
+    });
+    if (claim.error) {
+      return res.status(claim.httpStatus).json({ error: claim.error });
+    }
+
+    scheduleWebhookAttempt(ref.id, await webhookSecretFor(claim.previous), claim.token);
+    res.status(202).json({ ok: true, deliveryId: ref.id, status: 'pending' });
+  } catch (error) {
+    console.error('Error al reenviar webhook:', error);
+    res.status(500).json({ error: 'Error al reenviar el webhook' });
+  }
+});
+
+// ====== Endpoints: Mantenimiento (solo superAdmin) ======
+// Corre el mantenimiento en el momento y devuelve lo que limpió
+app.post('/admin/maintenance/run', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const report = await runMaintenance({ trigger: 'manual', requestedBy: req.user.uid });
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    console.error('[Mantenimiento] Error:', e?.message);
+    res.status(500).json({ error: e.message || 'Error al correr el mantenimiento' });
+  }
+});
+
+app.get('/admin/maintenanceRuns', verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const snapshot = await db.collection('maintenanceRuns').orderBy('createdAt', 'desc').limit(limit).get();
+    res.json({
+      ok: true,
+      runs: snapshot.docs.map(doc => {
+        const { createdAt, ...data } = doc.data();
+        return { runId: doc.id, ...data, createdAt: toIsoOrNull(createdAt) };
+      })
+    });
+  } catch (e) {
+    console.error('[Mantenimiento] Error:', e?.message);
+    res.status(500).json({ error: e.message || 'Error al obtener las corridas' });
+  }
+});
+
+// ====== Endpoint: Obtener permisos del usuario (cualquier usuario autenticado) ======
+app.get('/getPermisosUsuario', verifyAuth, async (req, res) => {
+  try {
+    // Obtener el rol del usuario
+    const userDoc = await db.collection('users').doc(req.user.uid).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
     }
 
-    const configData = configDoc.data();
-    const permisosUsuario = configData.permisos[userRole] || {};
+    const userRole = userDoc.data().role;
+
+    // superAdmin/admin tienen acceso a todo; el resto según config/permisosDashboard (o defaults)
+    const permisosUsuario = await getPermisosForRole(userRole);
 
     res.json({ ok: true, permisos: permisosUsuario });
   } catch (error) {
@@ -1985,12 +7749,19 @@ app.get('/health', async (_req, res) => {
     res.json({
       ok: true,
       projectId: admin.app().options.projectId,
-      videoModel: VIDEO_MODEL,
-      textModel: TEXT_MODEL,
+      videoModel: videoProvider.models.video[0],
+      textModel: textProvider.models.text[0],
+      aiProviders: { video: videoProvider.name, text: textProvider.name },
       openaiConfigured: !!OPENAI_API_KEY,
       vimeoConfigured: !!VIMEO_ACCESS_TOKEN,
       scoreThreshold: SCORE_THRESHOLD,
-      cartaDescriptivaEngine: openai ? 'OpenAI (GPT-4)' : 'Gemini (fallback)'
+      cartaDescriptivaEngine: `${textProvider.name} (${textProvider.models.text[0]})`,
+      analysisQueue: {
+        concurrency: ANALYSIS_CONCURRENCY,
+        active: runningAnalysisJobs,
+        pending: analysisQueue.length
+      },
+      aiCircuitBreakers: describeModelBreakers()
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: String(e) });
@@ -1999,4 +7770,30 @@ app.get('/health', async (_req, res) => {
 
 // ====== Inicio ======
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => console.log('Analyzer listening on', PORT));
\ No newline at end of file
+// ANALYZER_NO_LISTEN=1 permite importar el módulo (tests) sin abrir el puerto ni los timers
+if (process.env.ANALYZER_NO_LISTEN !== '1') {
+  app.listen(PORT, () => {
+    console.log('Analyzer listening on', PORT);
+    resumePendingWebhookDeliveries().catch(e => console.warn('[Webhook] No se pudieron retomar envíos pendientes:', e?.message));
+    scheduleMaintenance();
+    scheduleRetentionSweep();
+  });
+}
+
+// Funciones puras que cubre la suite de `npm test`
+export {
+  DEFAULT_RUBRIC,
+  planSegments,
+  absolutizeSegmentResult,
+  mergeSegmentResults,
+  aiProviders,
+  validateAnalysisResult,
+  computeRubricScore,
+  finalizeAnalysisResult,
+  consensusFinding,
+  buildConsensusResult,
+  transcriptToVTT,
+  transcriptToSRT,
+  buildVimeoChapters,
+  parseCartaSections
+};
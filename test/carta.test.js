@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import server from './load-server.js';
+
+const { parseCartaSections } = server;
+
+test('parseCartaSections lee secciones, tipos y tiempos planeados', () => {
+  const sections = parseCartaSections([
+    '## SECCIÓN 2: Micro-práctica guiada (05:00 - 07:30)',
+    'texto libre',
+    '**SECCIÓN 1: Hook** (0:00–1:00)',
+    'SECCION 3. Tarea final (1:10:00 - 1:15:00)'
+  ].join('\n'));
+  assert.deepEqual(sections.map(s => [s.number, s.kind, s.plannedStart, s.plannedEnd]), [
+    [1, 'hook', 0, 60],
+    [2, 'microPractica', 300, 450],
+    [3, 'tarea', 4200, 4500]
+  ]);
+});
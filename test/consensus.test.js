@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import server from './load-server.js';
+
+const { consensusFinding, buildConsensusResult } = server;
+
+const rubric = { id: 'test', version: 1, rules: [{ id: 'A', title: 'A', weight: 1 }, { id: 'B', title: 'B', weight: 1 }] };
+const run = (a, b, score) => ({
+  score,
+  findings: [
+    { ruleId: 'A', ok: a >= 70, subScore: a, note: `A=${a}`, evidence: {}, suggestions: '' },
+    { ruleId: 'B', ok: b >= 70, subScore: b, note: `B=${b}`, evidence: {}, suggestions: '' }
+  ],
+  unknownRules: []
+});
+
+test('consensusFinding toma la mediana y la mayoría', () => {
+  const { finding, unknown } = consensusFinding(rubric.rules[0], [run(80, 0), run(75, 0), run(40, 0)]);
+  assert.equal(unknown, false);
+  assert.equal(finding.subScore, 75);
+  assert.equal(finding.ok, true);
+  assert.equal(finding.note, 'A=75');
+  assert.equal(finding.consensus.okVotes, 2);
+  assert.equal(finding.consensus.spread, 40);
+  assert.equal(finding.consensus.lowConfidence, true);
+});
+
+test('consensusFinding marca unknown si ninguna corrida evaluó la regla', () => {
+  const runs = [run(80, 0), run(70, 0)].map(r => ({ ...r, unknownRules: ['A'] }));
+  const { finding, unknown } = consensusFinding(rubric.rules[0], runs);
+  assert.equal(unknown, true);
+  assert.equal(finding.consensus.known, 0);
+});
+
+test('buildConsensusResult fusiona hallazgos y resume el acuerdo', () => {
+  const result = buildConsensusResult([run(80, 60, 70), run(82, 62, 72), run(78, 90, 84)], rubric, { strategy: 'median' });
+  assert.deepEqual(result.findings.map(f => f.subScore), [80, 62]);
+  assert.equal(result.score, 72);
+  assert.deepEqual(result.consensus.runScores, [70, 72, 84]);
+  assert.equal(result.consensus.scoreSpread, 14);
+  assert.equal(result.consensus.requestedRuns, 3);
+  assert.deepEqual(result.unknownRules, []);
+});
@@ -0,0 +1,18 @@
+// Importa server.js sin escuchar ni usar red: emulador de Firestore (no se conecta hasta
+// la primera consulta), proveedor fake y carpetas temporales propias.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'analyzer-test-'));
+
+process.env.FIRESTORE_EMULATOR_HOST ||= 'localhost:8080';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON_FILE = path.join(tmp, 'no-existe.json');
+process.env.ANALYZER_NO_LISTEN = '1';
+process.env.AI_PROVIDER = 'fake';
+process.env.UPLOAD_TMP_DIR = path.join(tmp, 'uploads');
+process.env.VIDEO_RETENTION_DIR = path.join(tmp, 'retained');
+
+process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+export default await import('../server.js');
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import server from './load-server.js';
+
+const { DEFAULT_RUBRIC, aiProviders, validateAnalysisResult, computeRubricScore, finalizeAnalysisResult } = server;
+
+const rubric = {
+  id: 'test',
+  version: 1,
+  rules: [
+    { id: 'A', title: 'A', weight: 3 },
+    { id: 'B', title: 'B', weight: 1 },
+    { id: 'C', title: 'C', weight: 2 }
+  ],
+  bulletPenalty: { ruleId: 'B', maxBullets: 3, points: 5 }
+};
+
+const finding = (ruleId, subScore) => ({ ruleId, ok: subScore >= 70, subScore, note: '', evidence: {}, suggestions: '' });
+
+async function fakeAnalysis() {
+  const { text } = await aiProviders.fake.analyzeVideo({ fileName: 'clase.mp4', size: 1024 }, { rubric: DEFAULT_RUBRIC });
+  return JSON.parse(text);
+}
+
+test('computeRubricScore promedia subScore por peso', () => {
+  const computed = computeRubricScore({ findings: [finding('A', 80), finding('B', 40), finding('C', 60)] }, rubric);
+  assert.equal(computed.score, Math.round((80 * 3 + 40 + 60 * 2) / 6));
+  assert.equal(computed.weightUsed, 6);
+  assert.deepEqual(computed.excludedRules, []);
+  assert.equal(computed.penaltyApplied, 0);
+});
+
+test('computeRubricScore excluye reglas unknown y sin subScore', () => {
+  const computed = computeRubricScore({
+    findings: [finding('A', 80), finding('B', 0), finding('C', null)],
+    unknownRules: ['B']
+  }, rubric);
+  assert.equal(computed.score, 80);
+  assert.deepEqual(computed.excludedRules, ['B', 'C']);
+  assert.equal(computed.weightUsed, 3);
+});
+
+test('computeRubricScore aplica la penalización de bullets', () => {
+  const findings = [finding('A', 80), finding('B', 80), finding('C', 80)];
+  assert.equal(computeRubricScore({ findings, compliance: { bulletsMax: 5 } }, rubric).score, 75);
+  assert.equal(computeRubricScore({ findings, compliance: { bulletsMax: 3, bulletsBreaches: [{ t: 10, count: 6 }] } }, rubric).penaltyApplied, 5);
+  assert.equal(computeRubricScore({ findings, compliance: { bulletsMax: 3 } }, rubric).penaltyApplied, 0);
+});
+
+test('finalizeAnalysisResult reemplaza el score y guarda el del modelo', () => {
+  const { result, scoreCheck } = finalizeAnalysisResult({ score: 90, findings: [finding('A', 60), finding('B', 60), finding('C', 60)] }, rubric);
+  assert.equal(result.score, 60);
+  assert.equal(result.modelScore, 90);
+  assert.equal(scoreCheck.delta, 30);
+  assert.equal(scoreCheck.mismatch, true);
+});
+
+test('finalizeAnalysisResult tolera diferencias pequeñas y marca la falta de score del modelo', () => {
+  const findings = [finding('A', 60), finding('B', 60), finding('C', 60)];
+  assert.equal(finalizeAnalysisResult({ score: 61, findings }, rubric).scoreCheck.mismatch, false);
+  const { scoreCheck } = finalizeAnalysisResult({ findings }, rubric);
+  assert.equal(scoreCheck.modelScore, null);
+  assert.equal(scoreCheck.delta, null);
+  assert.equal(scoreCheck.mismatch, true);
+});
+
+test('finalizeAnalysisResult usa modelScore si el resultado ya fue finalizado', () => {
+  const findings = [finding('A', 60), finding('B', 60), finding('C', 60)];
+  const once = finalizeAnalysisResult({ score: 90, findings }, rubric).result;
+  const { result, scoreCheck } = finalizeAnalysisResult(once, rubric);
+  assert.equal(result.modelScore, 90);
+  assert.equal(scoreCheck.delta, 30);
+});
+
+test('la respuesta del proveedor fake pasa la validación sin observaciones', async () => {
+  const raw = await fakeAnalysis();
+  const { result, issues, fatal } = validateAnalysisResult(raw);
+  assert.deepEqual(issues, []);
+  assert.equal(fatal, false);
+  const { scoreCheck } = finalizeAnalysisResult(result);
+  assert.equal(scoreCheck.computedScore, raw.score);
+  assert.equal(scoreCheck.mismatch, false);
+});
+
+test('validateAnalysisResult repara tiempos y métricas con formato de texto', async () => {
+  const raw = await fakeAnalysis();
+  raw.structure.microPracticas = [{ t: '01:30', instruccion: 'x' }, { instruccion: 'sin tiempo' }];
+  raw.pacing.longSegments = [{ start: '2:00', end: '2:45', desc: 'bloque largo' }];
+  raw.metrics.cortes_por_min = '1,5';
+  const { result, issues, fatal } = validateAnalysisResult(raw);
+  assert.equal(fatal, false);
+  assert.deepEqual(result.structure.microPracticas, [{ t: 90, instruccion: 'x' }]);
+  assert.deepEqual(result.pacing.longSegments, [{ start: 120, end: 165, desc: 'bloque largo' }]);
+  assert.equal(result.metrics.cortes_por_min, 1.5);
+  assert.ok(issues.some(i => i.startsWith('structure.microPracticas')));
+});
+
+test('validateAnalysisResult marca fatal una sección que no es objeto o muchas reglas faltantes', async () => {
+  const raw = await fakeAnalysis();
+  assert.equal(validateAnalysisResult({ ...raw, structure: 'no disponible' }).fatal, true);
+  assert.equal(validateAnalysisResult({ ...raw, findings: raw.findings.slice(0, 3) }).fatal, true);
+  assert.equal(validateAnalysisResult({ ...raw, findings: raw.findings.slice(1) }).fatal, false);
+});
+
+test('validateAnalysisResult convierte findings en objeto y sanea subScore', async () => {
+  const raw = await fakeAnalysis();
+  const findings = Object.fromEntries(raw.findings.map(({ ruleId, ...f }) => [ruleId, f]));
+  findings.R1_HOOK.subScore = '120';
+  findings.R2_OBJETIVOS.subScore = 'n/a';
+  const { result } = validateAnalysisResult({ ...raw, findings });
+  const byId = Object.fromEntries(result.findings.map(f => [f.ruleId, f]));
+  assert.equal(byId.R1_HOOK.subScore, 100);
+  assert.equal(byId.R2_OBJETIVOS.subScore, null);
+  assert.ok(result.unknownRules.includes('R2_OBJETIVOS'));
+});
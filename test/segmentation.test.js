@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import server from './load-server.js';
+
+const { DEFAULT_RUBRIC, planSegments, absolutizeSegmentResult, mergeSegmentResults } = server;
+
+// Resultado mínimo de un tramo: todas las reglas con el mismo subScore y los inicios de R5 indicados
+function segmentResult({ subScore = 70, score, modelScore, blockStarts = [], bloques = 3 } = {}) {
+  return {
+    score,
+    ...(modelScore !== undefined && { modelScore }),
+    summary: '',
+    findings: DEFAULT_RUBRIC.rules.map(r => ({
+      ruleId: r.id,
+      ok: subScore >= 70,
+      subScore,
+      note: '',
+      evidence: { timestamps: r.id === 'R5_SEGMENTACION' ? blockStarts.map(start => ({ start, end: start + 30 })) : [] },
+      suggestions: ''
+    })),
+    unknownRules: [],
+    structure: { microPracticas: [] },
+    metrics: { bloques_count: bloques }
+  };
+}
+
+test('planSegments cubre el video con tramos que se solapan', () => {
+  const segments = planSegments(1500, { length: 600, overlap: 30 });
+  assert.deepEqual(segments.map(s => [s.start, s.end]), [[0, 600], [570, 1170], [1140, 1500]]);
+  assert.ok(segments.every((s, i) => s.index === i && s.count === 3));
+});
+
+test('planSegments absorbe un último tramo demasiado corto', () => {
+  const segments = planSegments(1200, { length: 600, overlap: 30 });
+  assert.deepEqual(segments.map(s => [s.start, s.end]), [[0, 600], [570, 1200]]);
+});
+
+test('planSegments deja un solo tramo en videos cortos', () => {
+  assert.deepEqual(planSegments(300, { length: 600, overlap: 30 }), [{ index: 0, start: 0, end: 300, count: 1 }]);
+});
+
+test('absolutizeSegmentResult desplaza tiempos y descarta el solape ajeno', () => {
+  const segments = planSegments(1200, { length: 600, overlap: 30 });
+  // El corte del solape [570, 600) queda en 585
+  const first = absolutizeSegmentResult(segmentResult({ blockStarts: [0, 580, 590] }), segments, 0);
+  const second = absolutizeSegmentResult(segmentResult({ blockStarts: [10, 20, 300] }), segments, 1);
+  const r5 = (r) => r.findings.find(f => f.ruleId === 'R5_SEGMENTACION').evidence.timestamps.map(t => t.start);
+  assert.deepEqual(r5(first), [0, 580]);
+  assert.deepEqual(r5(second), [590, 870]);
+});
+
+test('mergeSegmentResults cuenta una sola vez los bloques repetidos en el solape', () => {
+  const segments = planSegments(1200, { length: 600, overlap: 30 });
+  const merged = mergeSegmentResults([
+    segmentResult({ blockStarts: [0, 300, 580.2] }),
+    segmentResult({ blockStarts: [580, 900] })
+  ], segments);
+  assert.equal(merged.metrics.bloques_count, 4);
+});
+
+test('mergeSegmentResults suma bloques_count cuando no hay tiempos de R5', () => {
+  const segments = planSegments(1200, { length: 600, overlap: 30 });
+  const merged = mergeSegmentResults([segmentResult({ bloques: 2 }), segmentResult({ bloques: 3 })], segments);
+  assert.equal(merged.metrics.bloques_count, 5);
+});
+
+test('mergeSegmentResults pondera por duración el score del modelo de cada tramo', () => {
+  const segments = planSegments(1200, { length: 600, overlap: 30 }); // 600 s y 630 s
+  const merged = mergeSegmentResults([
+    segmentResult({ score: 60 }),
+    segmentResult({ score: 50, modelScore: 80 }) // ya finalizado: manda modelScore
+  ], segments);
+  assert.equal(merged.score, Math.round((60 * 600 + 80 * 630) / 1230));
+});
+
+test('mergeSegmentResults pondera subScore por duración y toma las reglas globales de su tramo', () => {
+  const segments = planSegments(1200, { length: 600, overlap: 30 });
+  const merged = mergeSegmentResults([segmentResult({ subScore: 50 }), segmentResult({ subScore: 90 })], segments);
+  const byId = Object.fromEntries(merged.findings.map(f => [f.ruleId, f]));
+  assert.equal(byId.R5_SEGMENTACION.subScore, Math.round((50 * 600 + 90 * 630) / 1230));
+  assert.equal(byId.R1_HOOK.subScore, 50);
+  assert.equal(byId.R12_TAREA_Y_CRITERIOS.subScore, 90);
+  assert.deepEqual(merged.unknownRules, []);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import server from './load-server.js';
+
+const { transcriptToVTT, transcriptToSRT } = server;
+
+test('transcriptToVTT y transcriptToSRT formatean los cues', () => {
+  const transcript = { segments: [{ start: 0, end: 2.5, text: 'Hola' }, { start: 3661.25, end: 3663, text: 'Adiós' }] };
+  assert.equal(transcriptToVTT(transcript),
+    'WEBVTT\n\n00:00:00.000 --> 00:00:02.500\nHola\n\n01:01:01.250 --> 01:01:03.000\nAdiós\n');
+  assert.equal(transcriptToSRT(transcript),
+    '1\n00:00:00,000 --> 00:00:02,500\nHola\n\n2\n01:01:01,250 --> 01:01:03,000\nAdiós\n');
+});
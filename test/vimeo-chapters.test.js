@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import server from './load-server.js';
+
+const { buildVimeoChapters } = server;
+
+test('buildVimeoChapters ordena, descarta capítulos muy juntos y arranca en 0', () => {
+  const chapters = buildVimeoChapters({
+    structure: {
+      hook: { start: 5, type: 'pregunta' },
+      mapa: { steps: ['Uno', 'Dos'] },
+      microPracticas: [{ t: 300, instruccion: 'Resuelve' }, { t: 305, instruccion: 'Muy cerca' }, { t: 900, instruccion: 'Fuera' }]
+    },
+    findings: [
+      { ruleId: 'R5_SEGMENTACION', evidence: { timestamps: [{ start: 120, desc: 'Concepto' }, { start: 400 }] } },
+      { ruleId: 'R11_CIERRE_RECAP', evidence: { timestamps: [{ start: 550 }] } }
+    ]
+  }, { durationSec: 600 });
+  assert.deepEqual(chapters, [
+    { timecode: 0, title: 'Introducción: una pregunta' },
+    { timecode: 120, title: 'Parte 1 de 2: Concepto' },
+    { timecode: 300, title: 'Práctica: Resuelve' },
+    { timecode: 400, title: 'Parte 2 de 2: Dos' },
+    { timecode: 550, title: 'Recapitulación' }
+  ]);
+});